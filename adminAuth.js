@@ -0,0 +1,360 @@
+// adminAuth.js - Admin users, password hashing and dashboard sessions for ReplyBolt License Server
+const crypto = require("crypto")
+const { promisify } = require("util")
+const { readJsonFile, updateJsonFile } = require("./jsonFile")
+
+const scrypt = promisify(crypto.scrypt)
+
+const ADMIN_USERS_FILE = "./data/admin-users.json"
+const ADMIN_SESSIONS_FILE = "./data/admin-sessions.json"
+
+// The password the server used to fall back to - never allowed in production
+const DEFAULT_PASSWORD = "changeme"
+const MIN_PASSWORD_LENGTH = 10
+
+const SESSION_COOKIE = "rb_session"
+const SESSION_TTL_MS = parseFloat(process.env.SESSION_TTL_HOURS || "12") * 60 * 60 * 1000
+
+// scrypt cost parameters, stored with each hash so they can be raised later
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 }
+const SCRYPT_KEY_LENGTH = 64
+
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/
+
+// Roles from least to most access - each role can do everything the ones before it can
+// viewer: read the dashboard and export, support: create and look after licenses, owner: revoke, delete and change settings
+const ROLES = ["viewer", "support", "owner"]
+
+const isValidRole = role => ROLES.includes(role)
+
+// Admins created before roles existed keep full access
+const getRole = user => user.role || "owner"
+
+const hasRole = (admin, role) => Boolean(admin) && ROLES.indexOf(admin.role) >= ROLES.indexOf(role)
+
+const isProduction = () => process.env.NODE_ENV === "production"
+
+// Hash a password as "scrypt$N$r$p$salt$hash"
+const hashPassword = async password => {
+	const salt = crypto.randomBytes(16)
+	const { N, r, p } = SCRYPT_PARAMS
+	const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH, { N, r, p, maxmem: 64 * 1024 * 1024 })
+	return ["scrypt", N, r, p, salt.toString("base64"), hash.toString("base64")].join("$")
+}
+
+const verifyPassword = async (password, stored) => {
+	const [scheme, N, r, p, salt, hash] = (stored || "").split("$")
+	if (scheme !== "scrypt" || !hash) {
+		return false
+	}
+	const expected = Buffer.from(hash, "base64")
+	const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length, {
+		N: Number(N),
+		r: Number(r),
+		p: Number(p),
+		maxmem: 64 * 1024 * 1024
+	})
+	return crypto.timingSafeEqual(actual, expected)
+}
+
+// Returns an error message, or null if the password is acceptable
+const validatePassword = password => {
+	if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+		return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+	}
+	if (password === DEFAULT_PASSWORD) {
+		return "Choose a password other than the default"
+	}
+	return null
+}
+
+const loadAdminUsers = () => readJsonFile(ADMIN_USERS_FILE, {})
+
+// Admin users without their password hashes
+const listAdminUsers = async () => {
+	const users = await loadAdminUsers()
+	return Object.entries(users).map(([username, user]) => ({
+		username,
+		role: getRole(user),
+		createdAt: user.createdAt,
+		passwordChangedAt: user.passwordChangedAt || null,
+		lastLoginAt: user.lastLoginAt || null
+	}))
+}
+
+// Make sure there is at least one admin, and that none uses the default password in production
+// The first admin comes from ADMIN_USERNAME / ADMIN_PASSWORD (username defaults to "admin")
+const ensureAdminUsers = async () => {
+	const users = await loadAdminUsers()
+
+	if (Object.keys(users).length === 0) {
+		const username = (process.env.ADMIN_USERNAME || "admin").toLowerCase()
+		const password = process.env.ADMIN_PASSWORD || DEFAULT_PASSWORD
+
+		if (password === DEFAULT_PASSWORD) {
+			if (isProduction()) {
+				throw new Error("ADMIN_PASSWORD must be set to something other than the default before starting in production")
+			}
+			console.warn(`⚠️  No ADMIN_PASSWORD set - created admin "${username}" with the default password. Change it before deploying.`)
+		}
+
+		const passwordHash = await hashPassword(password)
+		await updateJsonFile(ADMIN_USERS_FILE, current => {
+			current[username] = {
+				passwordHash,
+				role: "owner",
+				createdAt: new Date().toISOString(),
+				passwordChangedAt: null,
+				lastLoginAt: null
+			}
+		})
+		console.log(`Created admin user "${username}" (owner)`)
+		return
+	}
+
+	if (isProduction()) {
+		for (const [username, user] of Object.entries(users)) {
+			if (await verifyPassword(DEFAULT_PASSWORD, user.passwordHash)) {
+				throw new Error(`Admin user "${username}" still has the default password - change it before starting in production`)
+			}
+		}
+	}
+}
+
+// Only the file's own keys are admins - a username like "constructor" must not find Object.prototype members
+const hasUser = (users, username) => typeof username === "string" && Object.prototype.hasOwnProperty.call(users, username)
+
+// An admin as { username, role }, or null
+const getAdminUser = async username => {
+	const users = await loadAdminUsers()
+	const user = hasUser(users, username) ? users[username] : null
+	return user ? { username, role: getRole(user) } : null
+}
+
+// Check a username and password, returning { username, role } or null
+const authenticate = async (username, password) => {
+	const name = String(username || "").toLowerCase()
+	const users = await loadAdminUsers()
+	const user = hasUser(users, name) ? users[name] : null
+	if (!user || typeof password !== "string" || !(await verifyPassword(password, user.passwordHash))) {
+		return null
+	}
+	return { username: name, role: getRole(user) }
+}
+
+const recordLogin = async username => {
+	await updateJsonFile(ADMIN_USERS_FILE, users => {
+		if (hasUser(users, username)) {
+			users[username].lastLoginAt = new Date().toISOString()
+		}
+	})
+}
+
+// Owners other than the given user - there must always be at least one owner
+const countOtherOwners = (users, username) =>
+	Object.entries(users).filter(([name, user]) => name !== username && getRole(user) === "owner").length
+
+// Returns an error message, or null once the user is created
+const createAdminUser = async (username, password, role = "viewer") => {
+	const name = String(username || "").toLowerCase()
+	if (!USERNAME_PATTERN.test(name)) {
+		return "Username must be 3-32 characters: letters, digits, '.', '_' or '-'"
+	}
+	if (!isValidRole(role)) {
+		return `Role must be one of: ${ROLES.join(", ")}`
+	}
+	const passwordError = validatePassword(password)
+	if (passwordError) {
+		return passwordError
+	}
+
+	const passwordHash = await hashPassword(password)
+	let exists = false
+	await updateJsonFile(ADMIN_USERS_FILE, users => {
+		exists = hasUser(users, name)
+		if (!exists) {
+			users[name] = { passwordHash, role, createdAt: new Date().toISOString(), passwordChangedAt: null, lastLoginAt: null }
+		}
+	})
+	return exists ? "An admin with that username already exists" : null
+}
+
+// Change a password and sign the user out everywhere - returns an error message or null
+const setAdminPassword = async (username, password) => {
+	const passwordError = validatePassword(password)
+	if (passwordError) {
+		return passwordError
+	}
+
+	const passwordHash = await hashPassword(password)
+	let found = false
+	await updateJsonFile(ADMIN_USERS_FILE, users => {
+		found = hasUser(users, username)
+		if (found) {
+			users[username].passwordHash = passwordHash
+			users[username].passwordChangedAt = new Date().toISOString()
+		}
+	})
+	if (!found) {
+		return "Admin user not found"
+	}
+
+	await destroyUserSessions(username)
+	return null
+}
+
+// Change an admin's role (takes effect on their next request) - returns an error message or null
+const setAdminRole = async (username, role) => {
+	if (!isValidRole(role)) {
+		return `Role must be one of: ${ROLES.join(", ")}`
+	}
+
+	let error = null
+	await updateJsonFile(ADMIN_USERS_FILE, users => {
+		if (!hasUser(users, username)) {
+			error = "Admin user not found"
+		} else if (role !== "owner" && getRole(users[username]) === "owner" && countOtherOwners(users, username) === 0) {
+			error = "Can't remove the last owner"
+		} else {
+			users[username].role = role
+		}
+	})
+	return error
+}
+
+// Remove an admin (never the last owner) - returns an error message or null
+const deleteAdminUser = async username => {
+	let error = null
+	await updateJsonFile(ADMIN_USERS_FILE, users => {
+		if (!hasUser(users, username)) {
+			error = "Admin user not found"
+		} else if (getRole(users[username]) === "owner" && countOtherOwners(users, username) === 0) {
+			error = "Can't delete the last owner"
+		} else {
+			delete users[username]
+		}
+	})
+	if (!error) {
+		await destroyUserSessions(username)
+	}
+	return error
+}
+
+// SESSIONS
+// Stored by the SHA-256 of their ID, so the sessions file alone can't be used to sign in
+
+const hashSessionId = sessionId => crypto.createHash("sha256").update(sessionId).digest("hex")
+
+// Start a session, returning { sessionId, csrfToken, expiresAt }
+const createSession = async (username, { ip } = {}) => {
+	const sessionId = crypto.randomBytes(32).toString("hex")
+	const now = Date.now()
+	const session = {
+		username,
+		csrfToken: crypto.randomBytes(32).toString("hex"),
+		ip: ip || null,
+		createdAt: new Date(now).toISOString(),
+		expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+	}
+
+	// Drop expired sessions while we're writing anyway
+	await updateJsonFile(ADMIN_SESSIONS_FILE, sessions => {
+		for (const [id, existing] of Object.entries(sessions)) {
+			if (new Date(existing.expiresAt).getTime() <= now) {
+				delete sessions[id]
+			}
+		}
+		sessions[hashSessionId(sessionId)] = session
+	})
+	await recordLogin(username)
+
+	return { sessionId, csrfToken: session.csrfToken, expiresAt: session.expiresAt }
+}
+
+// The live session for a session ID, or null
+const getSession = async sessionId => {
+	if (!sessionId) {
+		return null
+	}
+	const sessions = await readJsonFile(ADMIN_SESSIONS_FILE, {})
+	const session = sessions[hashSessionId(sessionId)]
+	if (!session || new Date(session.expiresAt).getTime() <= Date.now()) {
+		return null
+	}
+	return session
+}
+
+const destroySession = async sessionId => {
+	await updateJsonFile(ADMIN_SESSIONS_FILE, sessions => {
+		delete sessions[hashSessionId(sessionId)]
+	})
+}
+
+const destroyUserSessions = async username => {
+	await updateJsonFile(ADMIN_SESSIONS_FILE, sessions => {
+		for (const [id, session] of Object.entries(sessions)) {
+			if (session.username === username) {
+				delete sessions[id]
+			}
+		}
+	})
+}
+
+// Constant-time comparison of the CSRF token sent with a request against the session's
+const checkCsrfToken = (session, token) => {
+	const expected = Buffer.from(session.csrfToken)
+	const actual = Buffer.from(String(token || ""))
+	return actual.length === expected.length && crypto.timingSafeEqual(actual, expected)
+}
+
+// Read a cookie from the Cookie header
+const getCookie = (req, name) => {
+	const cookies = (req.headers.cookie || "").split(";")
+	for (const cookie of cookies) {
+		const [key, ...value] = cookie.trim().split("=")
+		if (key === name) {
+			// A malformed cookie is treated as missing
+			try {
+				return decodeURIComponent(value.join("="))
+			} catch {
+				return null
+			}
+		}
+	}
+	return null
+}
+
+// Session cookie attributes - Secure whenever the request came in over HTTPS
+const sessionCookie = (req, value, maxAgeMs) => {
+	const attributes = [`${SESSION_COOKIE}=${value}`, "Path=/", "HttpOnly", "SameSite=Strict", `Max-Age=${Math.floor(maxAgeMs / 1000)}`]
+	if (req.secure) {
+		attributes.push("Secure")
+	}
+	return attributes.join("; ")
+}
+
+// Export functions
+module.exports = {
+	SESSION_COOKIE,
+	SESSION_TTL_MS,
+	MIN_PASSWORD_LENGTH,
+	ROLES,
+	isValidRole,
+	hasRole,
+	hashPassword,
+	verifyPassword,
+	ensureAdminUsers,
+	listAdminUsers,
+	getAdminUser,
+	authenticate,
+	createAdminUser,
+	setAdminPassword,
+	setAdminRole,
+	deleteAdminUser,
+	createSession,
+	getSession,
+	destroySession,
+	checkCsrfToken,
+	getCookie,
+	sessionCookie
+}
@@ -0,0 +1,131 @@
+// apiKeys.js - API keys for scripted access to the admin API of ReplyBolt License Server
+const crypto = require("crypto")
+const { readJsonFile, updateJsonFile } = require("./jsonFile")
+
+const API_KEYS_FILE = "./data/api-keys.json"
+
+// What a key can be allowed to do - each admin route names the scope it needs,
+// and routes that don't name one (admin users, API keys, dashboard pages) never accept a key
+const API_KEY_SCOPES = {
+	read: "Read licenses, stats, plans, extensions, jobs, backups, rate limits and the audit log",
+	"licenses:write": "Create, import, edit, extend, resend, revoke, reinstate and delete licenses and reset devices",
+	"settings:write": "Change plans and extensions, rebuild stats, run jobs, make and restore backups, rotate signing keys, unblock IPs"
+}
+
+// Keys look like rbk_<id>_<secret> - the id finds the record, only a hash of the whole key is stored
+const KEY_PATTERN = /^rbk_([0-9a-f]{12})_([0-9a-f]{48})$/
+
+// How stale lastUsedAt can get before a request updates it
+const LAST_USED_INTERVAL_MS = 60 * 1000
+
+const hashKey = key => crypto.createHash("sha256").update(key).digest("hex")
+
+const getStatus = (apiKey, now = Date.now()) => {
+	if (apiKey.revokedAt) {
+		return "revoked"
+	}
+	if (apiKey.expiresAt && new Date(apiKey.expiresAt).getTime() <= now) {
+		return "expired"
+	}
+	return "active"
+}
+
+// Keys without their hashes, newest first
+const listApiKeys = async () => {
+	const keys = await readJsonFile(API_KEYS_FILE, {})
+	return Object.entries(keys)
+		.map(([id, apiKey]) => {
+			const { keyHash, ...details } = apiKey
+			return { id, ...details, status: getStatus(apiKey) }
+		})
+		.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+}
+
+// Issue a key - returns { key, apiKey } (the key is only ever shown here) or { error }
+const createApiKey = async ({ name, scopes, expiresAt, createdBy }) => {
+	if (typeof name !== "string" || !name.trim() || name.length > 100) {
+		return { error: "Name is required (up to 100 characters)" }
+	}
+	if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_KEY_SCOPES[scope])) {
+		return { error: `Scopes must be a list of: ${Object.keys(API_KEY_SCOPES).join(", ")}` }
+	}
+	if (expiresAt && !(new Date(expiresAt).getTime() > Date.now())) {
+		return { error: "Expiry must be a date in the future" }
+	}
+
+	const id = crypto.randomBytes(6).toString("hex")
+	const key = `rbk_${id}_${crypto.randomBytes(24).toString("hex")}`
+	const apiKey = {
+		name: name.trim(),
+		prefix: `rbk_${id}_`,
+		scopes: Array.from(new Set(scopes)),
+		createdBy: createdBy || null,
+		createdAt: new Date().toISOString(),
+		expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+		lastUsedAt: null,
+		lastUsedIp: null,
+		revokedAt: null
+	}
+
+	await updateJsonFile(API_KEYS_FILE, keys => {
+		keys[id] = { ...apiKey, keyHash: hashKey(key) }
+	})
+
+	return { key, apiKey: { id, ...apiKey, status: "active" } }
+}
+
+// Revoke a key (the record stays, for its history) - returns an error message or null
+const revokeApiKey = async id => {
+	let error = null
+	await updateJsonFile(API_KEYS_FILE, keys => {
+		if (!Object.prototype.hasOwnProperty.call(keys, id)) {
+			error = "API key not found"
+		} else if (keys[id].revokedAt) {
+			error = "API key already revoked"
+		} else {
+			keys[id].revokedAt = new Date().toISOString()
+		}
+	})
+	return error
+}
+
+// The key's { id, name, scopes } if it's valid, active and not expired, otherwise null
+const authenticateApiKey = async (key, { ip } = {}) => {
+	const match = KEY_PATTERN.exec(key || "")
+	if (!match) {
+		return null
+	}
+
+	const id = match[1]
+	const keys = await readJsonFile(API_KEYS_FILE, {})
+	const apiKey = keys[id]
+	if (!apiKey) {
+		return null
+	}
+
+	const expected = Buffer.from(apiKey.keyHash, "hex")
+	const actual = Buffer.from(hashKey(key), "hex")
+	if (!crypto.timingSafeEqual(actual, expected) || getStatus(apiKey) !== "active") {
+		return null
+	}
+
+	if (!apiKey.lastUsedAt || Date.now() - new Date(apiKey.lastUsedAt) > LAST_USED_INTERVAL_MS) {
+		await updateJsonFile(API_KEYS_FILE, latest => {
+			if (latest[id]) {
+				latest[id].lastUsedAt = new Date().toISOString()
+				latest[id].lastUsedIp = ip || null
+			}
+		})
+	}
+
+	return { id, name: apiKey.name, scopes: apiKey.scopes }
+}
+
+// Export functions
+module.exports = {
+	API_KEY_SCOPES,
+	listApiKeys,
+	createApiKey,
+	revokeApiKey,
+	authenticateApiKey
+}
@@ -0,0 +1,180 @@
+// auditLog.js - Append-only audit log of license changes for ReplyBolt License Server
+const crypto = require("crypto")
+const { createReadStream } = require("fs")
+const readline = require("readline")
+const { appendJsonLine } = require("./jsonFile")
+
+// One JSON entry per line - entries are only ever appended, never rewritten
+const AUDIT_LOG_FILE = "./data/audit-log.jsonl"
+
+// Who made a change: an admin (actor is the username), an API key (the key's name), a PayPal webhook
+// (the event ID), the extension (the device ID) or the server itself (the job or route name)
+const ACTOR_TYPES = ["admin", "api-key", "webhook", "extension", "system"]
+
+// Actions recorded - filtering on a prefix such as "license.device." matches several
+const AUDIT_ACTIONS = [
+	"license.create",
+	"license.import",
+	"license.payment",
+	"license.status",
+	"license.update",
+	"license.revoke",
+	"license.reinstate",
+	"license.extend",
+	"license.expiry",
+	"license.plan",
+	"license.delete",
+	"license.restore",
+	"license.purge",
+	"license.reminder",
+	"license.devices.reset",
+	"license.device.activate",
+	"license.device.deactivate",
+	"backup.restore"
+]
+
+// Columns in the CSV export
+const CSV_COLUMNS = ["id", "at", "actorType", "actor", "ip", "action", "licenseKey", "reason", "changes", "before", "after"]
+
+// Top-level license fields that differ between two snapshots
+const changedFields = (before, after) => {
+	const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})])
+	return Array.from(keys)
+		.filter(key => JSON.stringify((before || {})[key]) !== JSON.stringify((after || {})[key]))
+		.sort()
+}
+
+// Add an entry - before/after are the license as stored before and after the change (null when it didn't exist)
+const recordAudit = async ({ actorType, actor, ip, action, licenseKey, reason, before, after }) => {
+	const entry = {
+		id: crypto.randomBytes(8).toString("hex"),
+		at: new Date().toISOString(),
+		actorType: ACTOR_TYPES.includes(actorType) ? actorType : "system",
+		actor: actor || null,
+		ip: ip || null,
+		action,
+		licenseKey: licenseKey || null,
+		reason: reason || null,
+		changes: changedFields(before, after),
+		before: before || null,
+		after: after || null
+	}
+	await appendJsonLine(AUDIT_LOG_FILE, entry)
+	return entry
+}
+
+// Test for the filters: licenseKey, actorType, actor, action (exact, or a prefix ending in "."), since, until
+const entryFilter = filters => {
+	const since = filters.since ? new Date(filters.since).getTime() : null
+	const until = filters.until ? new Date(filters.until).getTime() : null
+	const action = filters.action || null
+
+	return entry => {
+		const at = new Date(entry.at).getTime()
+		return !(
+			(filters.licenseKey && entry.licenseKey !== filters.licenseKey) ||
+			(filters.actorType && entry.actorType !== filters.actorType) ||
+			(filters.actor && entry.actor !== filters.actor) ||
+			(action && entry.action !== action && !(action.endsWith(".") && entry.action.startsWith(action))) ||
+			(since && at < since) ||
+			(until && at > until)
+		)
+	}
+}
+
+// Call onEntry (awaited) for each entry matching the filters, oldest first - read a line at a time,
+// so the log is never loaded whole
+const forEachAuditEntry = async (filters, onEntry) => {
+	const matches = entryFilter(filters)
+	const stream = createReadStream(AUDIT_LOG_FILE, "utf8")
+	try {
+		for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+			// Cheap test first - a license's page only wants its own entries
+			if (!line.trim() || (filters.licenseKey && !line.includes(filters.licenseKey))) {
+				continue
+			}
+			let entry
+			try {
+				entry = JSON.parse(line)
+			} catch {
+				// A crash mid-append can leave a partial last line
+				continue
+			}
+			if (matches(entry)) {
+				await onEntry(entry)
+			}
+		}
+	} catch (error) {
+		if (error.code !== "ENOENT") {
+			throw error
+		}
+	} finally {
+		stream.destroy()
+	}
+}
+
+// Entries matching every filter given (see entryFilter), newest first - with a limit, only the newest that many are kept
+const readAuditLog = async (filters = {}) => {
+	const entries = []
+	await forEachAuditEntry(filters, entry => {
+		entries.push(entry)
+		if (filters.limit && entries.length > filters.limit) {
+			entries.shift()
+		}
+	})
+	return entries.reverse()
+}
+
+// Quote a CSV value - values starting with a formula character get a leading ' so spreadsheets show them as text
+const toCsvValue = value => {
+	let text = value === null || value === undefined ? "" : typeof value === "object" ? JSON.stringify(value) : String(value)
+	if (/^[=+\-@\t\r]/.test(text)) {
+		text = `'${text}`
+	}
+	return `"${text.replace(/"/g, '""')}"`
+}
+
+// Write a chunk to the response, waiting for it to drain (or close) when the client falls behind
+const writeChunk = async (res, chunk) => {
+	if (!res.write(chunk)) {
+		await new Promise(resolve => {
+			const done = () => {
+				res.off("drain", done)
+				res.off("close", done)
+				resolve()
+			}
+			res.on("drain", done)
+			res.on("close", done)
+		})
+	}
+}
+
+// Write the entries matching the filters to the response as CSV or JSON Lines, oldest first, each as it's read
+const writeAuditExport = async (res, filters, format) => {
+	if (format === "csv") {
+		await writeChunk(res, CSV_COLUMNS.join(",") + "\n")
+	}
+	await forEachAuditEntry(filters, async entry => {
+		// The client went away - the rest of the log is skipped unwritten
+		if (res.destroyed) {
+			return
+		}
+		const line =
+			format === "csv"
+				? CSV_COLUMNS.map(column => toCsvValue(column === "changes" ? entry.changes.join(" ") : entry[column])).join(",")
+				: JSON.stringify(entry)
+		await writeChunk(res, line + "\n")
+	})
+	res.end()
+}
+
+// Export functions
+module.exports = {
+	ACTOR_TYPES,
+	AUDIT_ACTIONS,
+	recordAudit,
+	readAuditLog,
+	toCsvValue,
+	writeChunk,
+	writeAuditExport
+}
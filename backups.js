@@ -0,0 +1,130 @@
+// backups.js - Rotating backups of the data directory for ReplyBolt License Server
+const fs = require("fs").promises
+const path = require("path")
+const { readJsonFile, writeJsonFile } = require("./jsonFile")
+
+const DATA_DIR = "./data"
+const BACKUP_DIR = process.env.BACKUP_DIR || "./backups"
+
+// How many backups to keep - older ones are deleted as new ones are made
+const BACKUP_KEEP = parseInt(process.env.BACKUP_KEEP || "14", 10)
+
+// Backup names are timestamps with an optional label, e.g. 2024-01-01T00-00-00-000Z-pre-restore
+const BACKUP_NAME = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z(-[a-z0-9-]+)?$/
+
+const isBackupName = name => BACKUP_NAME.test(name)
+
+// JSON files in a directory
+const listJsonFiles = async dir => (await fs.readdir(dir)).filter(file => file.endsWith(".json"))
+
+// The business data a restore puts back - admins, sessions, API keys and signing keys stay as they are,
+// so a restore can't bring back a deleted admin or old password, revive a revoked key, or drop the key that
+// signed tokens already issued
+const RESTORED_FILES = ["licenses.json", "plans.json", "extensions.json", "stats.json", "license-trash.json", "webhook-events.json"]
+
+// JSON Lines logs (the audit log) - backed up, but never restored over, since they're append-only
+const listJsonLinesFiles = async dir => (await fs.readdir(dir)).filter(file => file.endsWith(".jsonl"))
+
+// Copy every JSON data file (and the license database, if the store keeps one) into a new backup
+// store is the license store - drivers that don't keep their data in a JSON file back themselves up
+const createBackup = async ({ store, label, prune = true } = {}) => {
+	const name = new Date().toISOString().replace(/[:.]/g, "-") + (label ? `-${label}` : "")
+	const backupPath = path.join(BACKUP_DIR, name)
+	await fs.mkdir(backupPath, { recursive: true })
+
+	// Data files are replaced by rename, so a copy always sees a complete file
+	// (a log copied mid-append may end in a partial line, which readers skip)
+	const files = [...(await listJsonFiles(DATA_DIR)), ...(await listJsonLinesFiles(DATA_DIR))]
+	for (const file of files) {
+		await fs.copyFile(path.join(DATA_DIR, file), path.join(backupPath, file))
+	}
+	if (store && store.backup) {
+		files.push(...(await store.backup(backupPath)))
+	}
+
+	console.log(`Backup created: ${name} (${files.length} file(s))`)
+
+	const pruned = prune ? await pruneBackups() : []
+	return { name, files, pruned }
+}
+
+// Backups, newest first
+const listBackups = async () => {
+	let names = []
+	try {
+		names = (await fs.readdir(BACKUP_DIR)).filter(isBackupName)
+	} catch (error) {
+		if (error.code !== "ENOENT") {
+			throw error
+		}
+	}
+
+	const backups = []
+	for (const name of names.sort().reverse()) {
+		const files = await fs.readdir(path.join(BACKUP_DIR, name))
+		let size = 0
+		for (const file of files) {
+			size += (await fs.stat(path.join(BACKUP_DIR, name, file))).size
+		}
+		const timestamp = name.slice(0, 24).replace(/T(\d{2})-(\d{2})-(\d{2})-/, "T$1:$2:$3.")
+		backups.push({ name, createdAt: new Date(timestamp).toISOString(), files, size })
+	}
+	return backups
+}
+
+// Delete the oldest backups beyond BACKUP_KEEP, returning their names
+const pruneBackups = async () => {
+	const backups = await listBackups()
+	const expired = backups.slice(Math.max(BACKUP_KEEP, 1))
+	for (const backup of expired) {
+		await fs.rm(path.join(BACKUP_DIR, backup.name), { recursive: true, force: true })
+	}
+	return expired.map(backup => backup.name)
+}
+
+// Put a backup's files back in the data directory, taking a backup of the current data first
+const restoreBackup = async (name, { store } = {}) => {
+	if (!isBackupName(name)) {
+		throw new Error("Invalid backup name")
+	}
+	const backupPath = path.join(BACKUP_DIR, name)
+	try {
+		await fs.access(backupPath)
+	} catch {
+		return null
+	}
+
+	// Check every file parses before touching the live data
+	const files = (await listJsonFiles(backupPath)).filter(file => RESTORED_FILES.includes(file))
+	const contents = {}
+	for (const file of files) {
+		contents[file] = await readJsonFile(path.join(backupPath, file), {})
+	}
+
+	// Not pruned until the restore is done - pruning could remove the backup being restored
+	const safetyBackup = await createBackup({ store, label: "pre-restore", prune: false })
+
+	// Written through the same queue as every other write, so no in-flight save lands in between
+	for (const file of files) {
+		await writeJsonFile(path.join(DATA_DIR, file), contents[file])
+	}
+	if (store && store.restore) {
+		files.push(...(await store.restore(backupPath)))
+	}
+
+	console.log(`Backup restored: ${name} (${files.length} file(s))`)
+
+	await pruneBackups()
+	return { name, files, safetyBackup: safetyBackup.name }
+}
+
+// Export functions
+module.exports = {
+	BACKUP_DIR,
+	BACKUP_KEEP,
+	isBackupName,
+	createBackup,
+	listBackups,
+	pruneBackups,
+	restoreBackup
+}
@@ -0,0 +1,66 @@
+// devices.js - Device activations and seat limits for ReplyBolt licenses
+
+// Seats for plans that don't set their own
+const DEFAULT_SEATS = parseInt(process.env.DEFAULT_SEATS || "1", 10)
+
+// Device IDs are fingerprints generated by the extension - keep them to a sane shape
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/
+
+const isValidDeviceId = deviceId => typeof deviceId === "string" && DEVICE_ID_PATTERN.test(deviceId)
+
+// Seat limit for a license - a per-license override, then its plan, then DEFAULT_SEATS
+const getSeatLimit = (license, plan) => license.seats || (plan && plan.seats) || DEFAULT_SEATS
+
+const getDevices = license => license.devices || []
+
+const findDevice = (license, deviceId) => getDevices(license).find(device => device.deviceId === deviceId) || null
+
+// Device names come from the extension - cut to 100 characters, whether set on activation or re-activation
+const MAX_DEVICE_NAME_LENGTH = 100
+const toDeviceName = name => (name ? String(name).slice(0, MAX_DEVICE_NAME_LENGTH) : null)
+
+// Bind a device to a license (changes license.devices in place)
+// Returns { device, created } or { error } when every seat is taken
+const activateDevice = (license, { deviceId, name }, seats, now = new Date()) => {
+	const existing = findDevice(license, deviceId)
+	if (existing) {
+		existing.lastSeenAt = now.toISOString()
+		if (name) {
+			existing.name = toDeviceName(name)
+		}
+		return { device: existing, created: false }
+	}
+
+	const devices = getDevices(license)
+	if (devices.length >= seats) {
+		return { error: `All ${seats} seat(s) for this license are in use. Deactivate another device first.` }
+	}
+
+	const device = {
+		deviceId: deviceId,
+		name: toDeviceName(name),
+		activatedAt: now.toISOString(),
+		lastSeenAt: now.toISOString()
+	}
+	license.devices = [...devices, device]
+	return { device, created: true }
+}
+
+// Unbind one device, or every device when deviceId is omitted - returns the devices removed
+const deactivateDevices = (license, deviceId) => {
+	const devices = getDevices(license)
+	const removed = deviceId ? devices.filter(device => device.deviceId === deviceId) : devices
+	license.devices = devices.filter(device => !removed.includes(device))
+	return removed
+}
+
+// Export functions
+module.exports = {
+	DEFAULT_SEATS,
+	isValidDeviceId,
+	getSeatLimit,
+	getDevices,
+	findDevice,
+	activateDevice,
+	deactivateDevices
+}
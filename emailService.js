@@ -1,5 +1,6 @@
 // emailService.js - Email functionality for ReplyBolt License Server
 const nodemailer = require("nodemailer")
+const { describePrice } = require("./planCatalog")
 
 // Email configuration from environment variables
 const emailConfig = {
@@ -12,6 +13,9 @@ const emailConfig = {
 	}
 }
 
+// Where customers are sent for help when their extension doesn't name its own support address
+const SUPPORT_EMAIL = process.env.SUPPORT_EMAIL || "support@replybolt.com"
+
 // Check if email is configured
 const isEmailConfigured = () => {
 	return !!(process.env.EMAIL_HOST && process.env.EMAIL_USER && process.env.EMAIL_PASS)
@@ -23,6 +27,18 @@ if (isEmailConfigured()) {
 	transporter = nodemailer.createTransport(emailConfig)
 }
 
+// Escape text for the HTML emails - extension names, logo URLs and reasons are typed in by admins
+const escapeHtml = value =>
+	String(value === null || value === undefined ? "" : value)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&#39;")
+
+// Plan label for the emails - the catalog plan's name, or the subscription type for licenses sold before the plan catalog
+const getPlanName = (plan, subscriptionType) => (plan ? plan.name : subscriptionType.charAt(0).toUpperCase() + subscriptionType.slice(1))
+
 // Format date nicely
 const formatDate = dateString => {
 	const date = new Date(dateString)
@@ -41,10 +57,24 @@ const sendLicenseEmail = async licenseData => {
 		return { sent: false, reason: "Email not configured" }
 	}
 
-	const { email, licenseKey, extensionName, subscriptionType, expiresAt } = licenseData
+	const {
+		email,
+		licenseKey,
+		extensionName,
+		subscriptionType,
+		plan,
+		expiresAt,
+		supportEmail = SUPPORT_EMAIL,
+		branding = {},
+		chromeWebStoreId
+	} = licenseData
+
+	// The extension's own colour and logo, from the extension registry
+	const brandColor = branding.color || "#1976d2"
 
-	// Format subscription type nicely
-	const planName = subscriptionType.charAt(0).toUpperCase() + subscriptionType.slice(1)
+	// Name the plan, with its price when it comes from the plan catalog
+	const planName = getPlanName(plan, subscriptionType)
+	const planText = plan ? `${planName} (${describePrice(plan)})` : `${planName} Subscription`
 
 	// Create expiry text
 	let expiryText = ""
@@ -69,7 +99,7 @@ const sendLicenseEmail = async licenseData => {
             padding: 20px;
         }
         .header {
-            background-color: #1976d2;
+            background-color: ${brandColor};
             color: white;
             padding: 30px;
             text-align: center;
@@ -83,7 +113,7 @@ const sendLicenseEmail = async licenseData => {
         }
         .license-box {
             background-color: white;
-            border: 2px solid #1976d2;
+            border: 2px solid ${brandColor};
             border-radius: 8px;
             padding: 20px;
             margin: 20px 0;
@@ -93,7 +123,7 @@ const sendLicenseEmail = async licenseData => {
             font-family: 'Courier New', monospace;
             font-size: 20px;
             font-weight: bold;
-            color: #1976d2;
+            color: ${brandColor};
             letter-spacing: 1px;
             margin: 10px 0;
         }
@@ -127,7 +157,7 @@ const sendLicenseEmail = async licenseData => {
             content: attr(data-step);
             position: absolute;
             left: 0;
-            background-color: #1976d2;
+            background-color: ${brandColor};
             color: white;
             width: 24px;
             height: 24px;
@@ -146,7 +176,7 @@ const sendLicenseEmail = async licenseData => {
         }
         .button {
             display: inline-block;
-            background-color: #1976d2;
+            background-color: ${brandColor};
             color: white;
             padding: 12px 30px;
             text-decoration: none;
@@ -157,13 +187,14 @@ const sendLicenseEmail = async licenseData => {
 </head>
 <body>
     <div class="header">
-        <h1>🎉 Your ${extensionName} License is Ready!</h1>
+        ${branding.logoUrl ? `<img src="${escapeHtml(branding.logoUrl)}" alt="${escapeHtml(extensionName)}" style="max-height: 48px;"><br>` : ""}
+        <h1>🎉 Your ${escapeHtml(extensionName)} License is Ready!</h1>
     </div>
     
     <div class="content">
         <p>Hi there!</p>
         
-        <p>Thank you for your purchase! Your ${extensionName} license has been activated and is ready to use.</p>
+        <p>Thank you for your purchase! Your ${escapeHtml(extensionName)} license has been activated and is ready to use.</p>
         
         <div class="license-box">
             <div>Your License Key:</div>
@@ -175,11 +206,11 @@ const sendLicenseEmail = async licenseData => {
             <h3 style="margin-top: 0;">License Details:</h3>
             <div class="details-row">
                 <span class="details-label">Extension:</span>
-                <span>${extensionName}</span>
+                <span>${escapeHtml(extensionName)}</span>
             </div>
             <div class="details-row">
                 <span class="details-label">Plan Type:</span>
-                <span>${planName} Subscription</span>
+                <span>${escapeHtml(planText)}</span>
             </div>
             <div class="details-row">
                 <span class="details-label">Licensed Email:</span>
@@ -198,7 +229,7 @@ const sendLicenseEmail = async licenseData => {
         <div class="steps">
             <h3 style="margin-top: 0;">How to Activate Your License:</h3>
             <div class="step" data-step="1">
-                <strong>Open ${extensionName}</strong><br>
+                <strong>Open ${escapeHtml(extensionName)}</strong><br>
                 Click on the extension icon in your Chrome toolbar
             </div>
             <div class="step" data-step="2">
@@ -211,21 +242,26 @@ const sendLicenseEmail = async licenseData => {
             </div>
             <div class="step" data-step="4">
                 <strong>Click Activate</strong><br>
-                You're all set! Enjoy using ${extensionName}
+                You're all set! Enjoy using ${escapeHtml(extensionName)}
             </div>
         </div>
+        ${
+					chromeWebStoreId
+						? `<p>Don't have the extension yet? <a href="https://chromewebstore.google.com/detail/${chromeWebStoreId}">Install ${escapeHtml(extensionName)} from the Chrome Web Store</a></p>`
+						: ""
+				}
         
         <p><strong>Need Help?</strong><br>
         If you have any questions or issues with activation, please don't hesitate to contact our support team.</p>
         
         <center>
-            <a href="mailto:support@replybolt.com" class="button">Contact Support</a>
+            <a href="mailto:${escapeHtml(supportEmail)}" class="button">Contact Support</a>
         </center>
     </div>
     
     <div class="footer">
         <p>This is an automated email. Please do not reply directly to this message.</p>
-        <p>© ${new Date().getFullYear()} ${extensionName}. All rights reserved.</p>
+        <p>© ${new Date().getFullYear()} ${escapeHtml(extensionName)}. All rights reserved.</p>
     </div>
 </body>
 </html>
@@ -241,7 +277,7 @@ LICENSE KEY: ${licenseKey}
 
 License Details:
 - Extension: ${extensionName}
-- Plan: ${planName} Subscription
+- Plan: ${planText}
 - Email: ${email}
 - Status: Active
 - ${expiryText}
@@ -251,8 +287,8 @@ How to Activate:
 2. Go to Settings/Options
 3. Enter your license key
 4. Click Activate
-
-Need help? Contact support@replybolt.com
+${chromeWebStoreId ? `\nInstall ${extensionName} from the Chrome Web Store: https://chromewebstore.google.com/detail/${chromeWebStoreId}\n` : ""}
+Need help? Contact ${supportEmail}
 
 This is an automated email. Please do not reply directly to this message.
 © ${new Date().getFullYear()} ${extensionName}. All rights reserved.
@@ -277,6 +313,640 @@ This is an automated email. Please do not reply directly to this message.
 	}
 }
 
+// Format a payment amount
+const formatAmount = (amount, currency = "USD") => {
+	return new Intl.NumberFormat("en-US", { style: "currency", currency }).format(amount)
+}
+
+// Send renewal confirmation email
+const sendRenewalEmail = async renewalData => {
+	// Skip if email not configured
+	if (!isEmailConfigured()) {
+		console.log("Email not configured, skipping renewal email")
+		return { sent: false, reason: "Email not configured" }
+	}
+
+	const {
+		email,
+		licenseKey,
+		extensionName,
+		subscriptionType,
+		plan,
+		expiresAt,
+		amount,
+		currency,
+		supportEmail = SUPPORT_EMAIL
+	} = renewalData
+
+	// The amount paid is listed on its own, so the plan is named without its catalog price
+	const planName = getPlanName(plan, subscriptionType)
+	const planText = plan ? planName : `${planName} Subscription`
+
+	// HTML email template for renewal
+	const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+        }
+        .header {
+            background-color: #4caf50;
+            color: white;
+            padding: 30px;
+            text-align: center;
+            border-radius: 10px 10px 0 0;
+        }
+        .content {
+            background-color: #f9f9f9;
+            padding: 40px;
+            border-radius: 0 0 10px 10px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .license-key {
+            font-family: 'Courier New', monospace;
+            font-size: 18px;
+            font-weight: bold;
+            color: #1976d2;
+            letter-spacing: 1px;
+        }
+        .details {
+            background-color: #e8f5e9;
+            padding: 20px;
+            border-radius: 8px;
+            margin: 20px 0;
+        }
+        .details-row {
+            display: flex;
+            justify-content: space-between;
+            margin: 10px 0;
+        }
+        .details-label {
+            font-weight: bold;
+            color: #666;
+        }
+        .footer {
+            text-align: center;
+            margin-top: 30px;
+            color: #666;
+            font-size: 14px;
+        }
+        .button {
+            display: inline-block;
+            background-color: #1976d2;
+            color: white;
+            padding: 12px 30px;
+            text-decoration: none;
+            border-radius: 5px;
+            margin-top: 20px;
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>✅ Renewal Confirmed</h1>
+    </div>
+    
+    <div class="content">
+        <p>Hi there!</p>
+        
+        <p>Thanks for staying with ${escapeHtml(extensionName)}! We've received your payment and your license has been extended. There's nothing you need to do - your existing license key keeps working.</p>
+        
+        <div class="details">
+            <h3 style="margin-top: 0;">Renewal Details:</h3>
+            <div class="details-row">
+                <span class="details-label">License Key:</span>
+                <span class="license-key">${licenseKey}</span>
+            </div>
+            <div class="details-row">
+                <span class="details-label">Plan Type:</span>
+                <span>${escapeHtml(planText)}</span>
+            </div>
+            <div class="details-row">
+                <span class="details-label">Amount Paid:</span>
+                <span>${formatAmount(amount, currency)}</span>
+            </div>
+            <div class="details-row">
+                <span class="details-label">Valid Until:</span>
+                <span>${formatDate(expiresAt)}</span>
+            </div>
+        </div>
+        
+        <p>If you didn't expect this payment or have any questions about your subscription, please contact our support team.</p>
+        
+        <center>
+            <a href="mailto:${escapeHtml(supportEmail)}" class="button">Contact Support</a>
+        </center>
+    </div>
+    
+    <div class="footer">
+        <p>This is an automated receipt for your ${escapeHtml(extensionName)} subscription.</p>
+        <p>© ${new Date().getFullYear()} ${escapeHtml(extensionName)}. All rights reserved.</p>
+    </div>
+</body>
+</html>
+    `
+
+	// Plain text version
+	const textContent = `
+Renewal Confirmed - ${extensionName}
+
+Thanks for staying with ${extensionName}! We've received your payment and your license has been extended.
+Your existing license key keeps working.
+
+Renewal Details:
+- License Key: ${licenseKey}
+- Plan: ${planText}
+- Amount Paid: ${formatAmount(amount, currency)}
+- Valid Until: ${formatDate(expiresAt)}
+
+If you didn't expect this payment or have any questions, please contact ${supportEmail}
+
+This is an automated receipt for your ${extensionName} subscription.
+© ${new Date().getFullYear()} ${extensionName}. All rights reserved.
+    `
+
+	// Email options
+	const mailOptions = {
+		from: process.env.EMAIL_FROM || `${extensionName} <noreply@replybolt.com>`,
+		to: email,
+		subject: `Your ${extensionName} Subscription Has Been Renewed`,
+		text: textContent,
+		html: htmlContent
+	}
+
+	try {
+		const info = await transporter.sendMail(mailOptions)
+		console.log("Renewal email sent successfully:", info.messageId)
+		return { sent: true, messageId: info.messageId }
+	} catch (error) {
+		console.error("Failed to send renewal email:", error)
+		return { sent: false, error: error.message }
+	}
+}
+
+// Send expiry reminder email
+const sendExpiryReminderEmail = async reminderData => {
+	// Skip if email not configured
+	if (!isEmailConfigured()) {
+		console.log("Email not configured, skipping expiry reminder email")
+		return { sent: false, reason: "Email not configured" }
+	}
+
+	const { email, licenseKey, extensionName, subscriptionType, plan, expiresAt, daysLeft, supportEmail = SUPPORT_EMAIL } = reminderData
+
+	const planName = getPlanName(plan, subscriptionType)
+	const timeLeft = daysLeft === 1 ? "1 day" : `${daysLeft} days`
+
+	// HTML email template for expiry reminders
+	const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+        }
+        .header {
+            background-color: #ff9800;
+            color: white;
+            padding: 30px;
+            text-align: center;
+            border-radius: 10px 10px 0 0;
+        }
+        .content {
+            background-color: #f9f9f9;
+            padding: 40px;
+            border-radius: 0 0 10px 10px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .warning-box {
+            background-color: #fff3cd;
+            border: 2px solid #ffc107;
+            border-radius: 8px;
+            padding: 20px;
+            margin: 20px 0;
+            text-align: center;
+        }
+        .license-key {
+            font-family: 'Courier New', monospace;
+            font-size: 18px;
+            font-weight: bold;
+            color: #1976d2;
+            letter-spacing: 1px;
+            margin: 10px 0;
+        }
+        .footer {
+            text-align: center;
+            margin-top: 30px;
+            color: #666;
+            font-size: 14px;
+        }
+        .button {
+            display: inline-block;
+            background-color: #1976d2;
+            color: white;
+            padding: 12px 30px;
+            text-decoration: none;
+            border-radius: 5px;
+            margin-top: 20px;
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>⏰ Your License Expires in ${timeLeft}</h1>
+    </div>
+    
+    <div class="content">
+        <p>Hi there,</p>
+        
+        <p>This is a friendly reminder that your ${escapeHtml(extensionName)} license expires soon.</p>
+        
+        <div class="warning-box">
+            <div>License Key:</div>
+            <div class="license-key">${licenseKey}</div>
+            <p style="color: #856404; margin-top: 10px;">${escapeHtml(planName)} license - expires on <strong>${formatDate(expiresAt)}</strong></p>
+        </div>
+        
+        <h3>What happens next?</h3>
+        <ul>
+            <li>The extension keeps working until ${formatDate(expiresAt)}</li>
+            <li>After that, you will need a new license to continue using ${escapeHtml(extensionName)}</li>
+        </ul>
+        
+        <p><strong>Want to keep using ${escapeHtml(extensionName)}?</strong><br>
+        Purchase a new subscription before your license expires, or contact our support team if you have any questions.</p>
+        
+        <center>
+            <a href="mailto:${escapeHtml(supportEmail)}" class="button">Contact Support</a>
+        </center>
+    </div>
+    
+    <div class="footer">
+        <p>This is an automated reminder regarding your ${escapeHtml(extensionName)} license.</p>
+        <p>© ${new Date().getFullYear()} ${escapeHtml(extensionName)}. All rights reserved.</p>
+    </div>
+</body>
+</html>
+    `
+
+	// Plain text version
+	const textContent = `
+Your ${extensionName} License Expires in ${timeLeft}
+
+This is a friendly reminder that your ${extensionName} license expires soon.
+
+LICENSE KEY: ${licenseKey}
+${planName} license - expires on ${formatDate(expiresAt)}
+
+What happens next:
+- The extension keeps working until ${formatDate(expiresAt)}
+- After that, you will need a new license to continue using ${extensionName}
+
+Want to keep using ${extensionName}? Purchase a new subscription before your license expires,
+or contact ${supportEmail} if you have any questions.
+
+This is an automated reminder regarding your ${extensionName} license.
+© ${new Date().getFullYear()} ${extensionName}. All rights reserved.
+    `
+
+	// Email options
+	const mailOptions = {
+		from: process.env.EMAIL_FROM || `${extensionName} <noreply@replybolt.com>`,
+		to: email,
+		subject: `Reminder: Your ${extensionName} License Expires in ${timeLeft}`,
+		text: textContent,
+		html: htmlContent
+	}
+
+	try {
+		const info = await transporter.sendMail(mailOptions)
+		console.log("Expiry reminder email sent successfully:", info.messageId)
+		return { sent: true, messageId: info.messageId }
+	} catch (error) {
+		console.error("Failed to send expiry reminder email:", error)
+		return { sent: false, error: error.message }
+	}
+}
+
+// Copy for each license status a customer can be moved to
+const STATUS_EMAILS = {
+	suspended: {
+		color: "#ff9800",
+		title: "⏸️ License Suspended",
+		subject: "Your {name} Subscription Has Been Suspended",
+		message: "Your {name} subscription has been suspended in PayPal, so your license is paused.",
+		nextSteps: [
+			"The extension will stop working with this license key while it is suspended",
+			"Re-activate your subscription in PayPal to restore access",
+			"Your license key stays the same once it is re-activated"
+		]
+	},
+	active: {
+		color: "#4caf50",
+		title: "✅ License Active Again",
+		subject: "Your {name} License Is Active Again",
+		message: "Good news - your {name} subscription has been re-activated and your license works again.",
+		nextSteps: ["Your existing license key keeps working", "There's nothing else you need to do"]
+	},
+	expired: {
+		color: "#9e9e9e",
+		title: "License Expired",
+		subject: "Your {name} License Has Expired",
+		message: "Your {name} subscription has ended and your license has expired.",
+		nextSteps: [
+			"The extension will stop working with this license key",
+			"You can purchase a new subscription at any time to continue using {name}"
+		]
+	},
+	past_due: {
+		color: "#ff9800",
+		title: "⚠️ Payment Failed",
+		subject: "Action Needed: Your {name} Payment Failed",
+		message: "We couldn't process the latest payment for your {name} subscription. Your license keeps working until {until}.",
+		nextSteps: [
+			"Please update your payment method in PayPal",
+			"PayPal will retry the payment automatically",
+			"Your license stays active as soon as the payment goes through"
+		]
+	},
+	cancelled: {
+		color: "#9e9e9e",
+		title: "Subscription Cancelled",
+		subject: "Your {name} Subscription Has Been Cancelled",
+		message: "Your {name} subscription has been cancelled. You keep access until {until}, the end of the period you've already paid for.",
+		nextSteps: [
+			"Your license key keeps working until {until}",
+			"You won't be charged again",
+			"You can purchase a new subscription at any time to continue using {name}"
+		]
+	},
+	refunded: {
+		color: "#f44336",
+		title: "License Refunded",
+		subject: "Your {name} Payment Has Been Refunded",
+		message: "The payment for your {name} license has been refunded, so the license is no longer valid.",
+		nextSteps: ["The extension will stop working with this license key", "You will need a new license to continue using {name}"]
+	},
+	disputed: {
+		color: "#f44336",
+		title: "⚠️ Payment Disputed",
+		subject: "Your {name} License Is On Hold",
+		message: "A dispute was opened for the payment on your {name} license, so the license is on hold until it is resolved.",
+		nextSteps: [
+			"The extension will stop working with this license key while the dispute is open",
+			"If you opened the dispute by mistake, please close it in PayPal or contact our support team"
+		]
+	}
+}
+
+// Send a notice built from a template ({ color, title, subject, message, nextSteps }) - fill replaces the
+// template's placeholders; shared by the status change and license change emails
+const sendNoticeEmail = async (template, fill, { email, licenseKey, extensionName, reason, supportEmail }, label) => {
+	const message = fill(template.message)
+	const nextSteps = template.nextSteps.map(fill)
+
+	// HTML email template for notices
+	const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+        }
+        .header {
+            background-color: ${template.color};
+            color: white;
+            padding: 30px;
+            text-align: center;
+            border-radius: 10px 10px 0 0;
+        }
+        .content {
+            background-color: #f9f9f9;
+            padding: 40px;
+            border-radius: 0 0 10px 10px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .license-box {
+            background-color: white;
+            border: 2px solid ${template.color};
+            border-radius: 8px;
+            padding: 20px;
+            margin: 20px 0;
+            text-align: center;
+        }
+        .license-key {
+            font-family: 'Courier New', monospace;
+            font-size: 18px;
+            font-weight: bold;
+            color: ${template.color};
+            letter-spacing: 1px;
+            margin: 10px 0;
+        }
+        .reason-box {
+            background-color: #f5f5f5;
+            padding: 15px;
+            border-radius: 8px;
+            margin: 20px 0;
+            border-left: 4px solid ${template.color};
+        }
+        .footer {
+            text-align: center;
+            margin-top: 30px;
+            color: #666;
+            font-size: 14px;
+        }
+        .button {
+            display: inline-block;
+            background-color: #1976d2;
+            color: white;
+            padding: 12px 30px;
+            text-decoration: none;
+            border-radius: 5px;
+            margin-top: 20px;
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>${template.title}</h1>
+    </div>
+    
+    <div class="content">
+        <p>Hi there,</p>
+        
+        <p>${escapeHtml(message)}</p>
+        
+        <div class="license-box">
+            <div>License Key:</div>
+            <div class="license-key">${licenseKey}</div>
+        </div>
+        
+        ${
+					reason
+						? `
+        <div class="reason-box">
+            <strong>Details:</strong><br>
+            ${escapeHtml(reason)}
+        </div>
+        `
+						: ""
+				}
+        
+        <h3>What happens next?</h3>
+        <ul>
+            ${nextSteps.map(step => `<li>${escapeHtml(step)}</li>`).join("\n            ")}
+        </ul>
+        
+        <center>
+            <a href="mailto:${escapeHtml(supportEmail)}" class="button">Contact Support</a>
+        </center>
+    </div>
+    
+    <div class="footer">
+        <p>This is an automated email regarding your ${escapeHtml(extensionName)} license.</p>
+        <p>© ${new Date().getFullYear()} ${escapeHtml(extensionName)}. All rights reserved.</p>
+    </div>
+</body>
+</html>
+    `
+
+	// Plain text version
+	const textContent = `
+${template.title.replace(/^[^A-Za-z]+/, "")} - ${extensionName}
+
+${message}
+
+LICENSE KEY: ${licenseKey}
+
+${reason ? `Details: ${reason}\n` : ""}
+What happens next:
+${nextSteps.map(step => `- ${step}`).join("\n")}
+
+Questions? Contact ${supportEmail}
+
+This is an automated email regarding your ${extensionName} license.
+© ${new Date().getFullYear()} ${extensionName}. All rights reserved.
+    `
+
+	// Email options
+	const mailOptions = {
+		from: process.env.EMAIL_FROM || `${extensionName} <noreply@replybolt.com>`,
+		to: email,
+		subject: fill(template.subject),
+		text: textContent,
+		html: htmlContent
+	}
+
+	try {
+		const info = await transporter.sendMail(mailOptions)
+		console.log(`${label} sent successfully:`, info.messageId)
+		return { sent: true, messageId: info.messageId }
+	} catch (error) {
+		console.error(`Failed to send ${label.toLowerCase()}:`, error)
+		return { sent: false, error: error.message }
+	}
+}
+
+// Send license status change email (suspended, re-activated, expired, past due, cancelled, refunded, disputed)
+const sendStatusChangeEmail = async statusData => {
+	// Skip if email not configured
+	if (!isEmailConfigured()) {
+		console.log("Email not configured, skipping status change email")
+		return { sent: false, reason: "Email not configured" }
+	}
+
+	const { email, licenseKey, extensionName, status, reason, accessUntil, supportEmail = SUPPORT_EMAIL } = statusData
+
+	const template = STATUS_EMAILS[status]
+	if (!template) {
+		return { sent: false, reason: `No email for status ${status}` }
+	}
+
+	// Fill in the extension name and the date access lasts until
+	const fill = text =>
+		text
+			.replace(/\{name\}/g, extensionName)
+			.replace(/\{until\}/g, accessUntil ? formatDate(accessUntil) : "the end of the current billing period")
+
+	return sendNoticeEmail(template, fill, { email, licenseKey, extensionName, reason, supportEmail }, `Status change email (${status})`)
+}
+
+// Emails for changes support makes to a license - {name} is the extension, {plan} the plan name,
+// {validity} "valid until <date>" or "valid for life"
+const LICENSE_CHANGE_EMAILS = {
+	reinstated: {
+		color: "#4caf50",
+		title: "✅ License Reinstated",
+		subject: "Your {name} License Has Been Reinstated",
+		message: "Your {name} license has been reinstated and works again. It is {validity}.",
+		nextSteps: ["Your existing license key keeps working", "There's nothing else you need to do"]
+	},
+	extended: {
+		color: "#1976d2",
+		title: "🎁 License Extended",
+		subject: "Your {name} License Has Been Extended",
+		message: "Your {name} license has been extended and is now {validity}.",
+		nextSteps: ["Your license key stays the same", "There's nothing else you need to do"]
+	},
+	expiry_changed: {
+		color: "#1976d2",
+		title: "📅 License Expiry Updated",
+		subject: "The Expiry Date of Your {name} License Has Changed",
+		message: "The expiry date of your {name} license has been changed - it is now {validity}.",
+		nextSteps: ["Your license key stays the same", "Contact our support team if you have questions about this change"]
+	},
+	plan_changed: {
+		color: "#1976d2",
+		title: "🔄 License Plan Changed",
+		subject: "Your {name} License Is Now on the {plan} Plan",
+		message: "Your {name} license has been moved to the {plan} plan and is {validity}.",
+		nextSteps: ["Your license key stays the same", "The extension picks up the new plan the next time it checks your license"]
+	}
+}
+
+// Send an email about a change support made to a license (reinstated, extended, expiry changed, plan changed)
+const sendLicenseChangeEmail = async changeData => {
+	// Skip if email not configured
+	if (!isEmailConfigured()) {
+		console.log("Email not configured, skipping license change email")
+		return { sent: false, reason: "Email not configured" }
+	}
+
+	const { email, licenseKey, extensionName, change, planName, expiresAt, lifetime, reason, supportEmail = SUPPORT_EMAIL } = changeData
+
+	const template = LICENSE_CHANGE_EMAILS[change]
+	if (!template) {
+		return { sent: false, reason: `No email for change ${change}` }
+	}
+
+	const fill = text =>
+		text
+			.replace(/\{name\}/g, extensionName)
+			.replace(/\{plan\}/g, planName || "new")
+			.replace(/\{validity\}/g, lifetime ? "valid for life" : `valid until ${formatDate(expiresAt)}`)
+
+	return sendNoticeEmail(template, fill, { email, licenseKey, extensionName, reason, supportEmail }, `License change email (${change})`)
+}
+
 // Send revocation email
 const sendRevocationEmail = async revocationData => {
 	// Skip if email not configured
@@ -285,7 +955,7 @@ const sendRevocationEmail = async revocationData => {
 		return { sent: false, reason: "Email not configured" }
 	}
 
-	const { email, licenseKey, extensionName, reason } = revocationData
+	const { email, licenseKey, extensionName, reason, supportEmail = SUPPORT_EMAIL } = revocationData
 
 	// HTML email template for revocation
 	const htmlContent = `
@@ -362,7 +1032,7 @@ const sendRevocationEmail = async revocationData => {
     <div class="content">
         <p>Hi there,</p>
         
-        <p>We're writing to inform you that your ${extensionName} license has been revoked.</p>
+        <p>We're writing to inform you that your ${escapeHtml(extensionName)} license has been revoked.</p>
         
         <div class="warning-box">
             <div>Revoked License Key:</div>
@@ -375,7 +1045,7 @@ const sendRevocationEmail = async revocationData => {
 						? `
         <div class="reason-box">
             <strong>Reason for revocation:</strong><br>
-            ${reason}
+            ${escapeHtml(reason)}
         </div>
         `
 						: ""
@@ -384,7 +1054,7 @@ const sendRevocationEmail = async revocationData => {
         <h3>What happens next?</h3>
         <ul>
             <li>The extension will stop working with this license key</li>
-            <li>You will need a new license to continue using ${extensionName}</li>
+            <li>You will need a new license to continue using ${escapeHtml(extensionName)}</li>
             <li>Any active features will be disabled</li>
         </ul>
         
@@ -392,13 +1062,13 @@ const sendRevocationEmail = async revocationData => {
         If you believe this revocation was made in error or would like to purchase a new license, please contact our support team.</p>
         
         <center>
-            <a href="mailto:support@replybolt.com" class="button">Contact Support</a>
+            <a href="mailto:${escapeHtml(supportEmail)}" class="button">Contact Support</a>
         </center>
     </div>
     
     <div class="footer">
-        <p>This is an automated email regarding your ${extensionName} license.</p>
-        <p>© ${new Date().getFullYear()} ${extensionName}. All rights reserved.</p>
+        <p>This is an automated email regarding your ${escapeHtml(extensionName)} license.</p>
+        <p>© ${new Date().getFullYear()} ${escapeHtml(extensionName)}. All rights reserved.</p>
     </div>
 </body>
 </html>
@@ -419,7 +1089,7 @@ What happens next:
 - You will need a new license to continue using ${extensionName}
 - Any active features will be disabled
 
-If you believe this revocation was made in error or would like to purchase a new license, please contact support@replybolt.com
+If you believe this revocation was made in error or would like to purchase a new license, please contact ${supportEmail}
 
 This is an automated email regarding your ${extensionName} license.
 © ${new Date().getFullYear()} ${extensionName}. All rights reserved.
@@ -452,7 +1122,10 @@ const sendDeletionEmail = async deletionData => {
 		return { sent: false, reason: "Email not configured" }
 	}
 
-	const { email, extensionName, subscriptionType } = deletionData
+	const { email, extensionName, subscriptionType, plans = [], restorableUntil, supportEmail = SUPPORT_EMAIL } = deletionData
+
+	// Plans on offer for this extension, from the plan catalog
+	const planLines = plans.map(plan => `${plan.name} - ${describePrice(plan)}`)
 
 	// HTML email template for deletion
 	const htmlContent = `
@@ -513,37 +1186,34 @@ const sendDeletionEmail = async deletionData => {
     <div class="content">
         <p>Hi there,</p>
         
-        <p>This email confirms that your ${extensionName} license has been permanently deleted from our system.</p>
+        <p>This email confirms that your ${escapeHtml(extensionName)} license has been deleted.</p>
         
         <div class="info-box">
             <h3 style="margin-top: 0;">What this means:</h3>
             <ul style="margin-bottom: 0;">
                 <li>Your ${subscriptionType} subscription has been removed</li>
                 <li>The extension will no longer function with your previous license key</li>
-                <li>All license data has been permanently deleted</li>
-                <li>This action cannot be undone</li>
+                ${restorableUntil ? `<li>If this was a mistake, contact our support team before ${formatDate(restorableUntil)} and we can restore your license with the same key</li>` : ""}
             </ul>
         </div>
         
-        <p><strong>Want to continue using ${extensionName}?</strong><br>
+        <p><strong>Want to continue using ${escapeHtml(extensionName)}?</strong><br>
         You'll need to purchase a new license. We offer flexible plans to suit your needs:</p>
         
         <ul>
-            <li>Monthly - $9.99/month</li>
-            <li>Annual - $99/year (save 17%)</li>
-            <li>Lifetime - $199 one-time payment</li>
+            ${planLines.map(line => `<li>${escapeHtml(line)}</li>`).join("\n            ")}
         </ul>
         
         <p>If you have any questions or concerns about this deletion, please don't hesitate to contact our support team.</p>
         
         <center>
-            <a href="mailto:support@replybolt.com" class="button">Contact Support</a>
+            <a href="mailto:${escapeHtml(supportEmail)}" class="button">Contact Support</a>
         </center>
     </div>
     
     <div class="footer">
         <p>This is an automated confirmation of license deletion.</p>
-        <p>© ${new Date().getFullYear()} ${extensionName}. All rights reserved.</p>
+        <p>© ${new Date().getFullYear()} ${escapeHtml(extensionName)}. All rights reserved.</p>
     </div>
 </body>
 </html>
@@ -553,21 +1223,17 @@ const sendDeletionEmail = async deletionData => {
 	const textContent = `
 License Deleted - ${extensionName}
 
-This email confirms that your ${extensionName} license has been permanently deleted from our system.
+This email confirms that your ${extensionName} license has been deleted.
 
 What this means:
 - Your ${subscriptionType} subscription has been removed
 - The extension will no longer function with your previous license key
-- All license data has been permanently deleted
-- This action cannot be undone
-
+${restorableUntil ? `- If this was a mistake, contact our support team before ${formatDate(restorableUntil)} and we can restore your license with the same key\n` : ""}
 Want to continue using ${extensionName}?
 You'll need to purchase a new license. We offer:
-- Monthly - $9.99/month
-- Annual - $99/year (save 17%)
-- Lifetime - $199 one-time payment
+${planLines.map(line => `- ${line}`).join("\n")}
 
-If you have any questions, please contact support@replybolt.com
+If you have any questions, please contact ${supportEmail}
 
 This is an automated confirmation of license deletion.
 © ${new Date().getFullYear()} ${extensionName}. All rights reserved.
@@ -595,6 +1261,10 @@ This is an automated confirmation of license deletion.
 // Export functions
 module.exports = {
 	sendLicenseEmail,
+	sendRenewalEmail,
+	sendStatusChangeEmail,
+	sendLicenseChangeEmail,
+	sendExpiryReminderEmail,
 	sendRevocationEmail,
 	sendDeletionEmail,
 	isEmailConfigured
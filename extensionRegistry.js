@@ -0,0 +1,128 @@
+// extensionRegistry.js - Extensions that licenses can be issued for, for ReplyBolt License Server
+const fs = require("fs").promises
+const { readJsonFile, writeJsonFile, updateJsonFile } = require("./jsonFile")
+
+const EXTENSIONS_FILE = "./data/extensions.json"
+
+// Extension IDs are what the extension sends to /api/verify, so they never change once licenses use them
+const EXTENSION_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/
+
+// Chrome Web Store item IDs are 32 letters from a to p
+const CHROME_WEB_STORE_ID_PATTERN = /^[a-p]{32}$/
+
+// Registry, keyed by extension ID: { name, supportEmail, planIds, branding: { color, logoUrl }, chromeWebStoreId }
+// supportEmail, branding and chromeWebStoreId are optional - emails fall back to SUPPORT_EMAIL and the default colours
+const loadExtensions = () => readJsonFile(EXTENSIONS_FILE, {})
+
+// Change the registry in one queued step, so concurrent edits don't overwrite each other
+const updateExtensions = async update => {
+	await updateJsonFile(EXTENSIONS_FILE, update)
+}
+
+// Create the registry file if it doesn't exist, with the extensions the plan catalog and existing licenses use
+// (seeded once - after that the registry is managed from the admin dashboard)
+const ensureExtensionsFile = async ({ plans, licenses }) => {
+	try {
+		await fs.access(EXTENSIONS_FILE)
+		return false
+	} catch {
+		// Seed below
+	}
+
+	const extensions = {}
+	const register = (extensionId, name) => {
+		if (extensionId && EXTENSION_ID_PATTERN.test(extensionId) && !extensions[extensionId]) {
+			extensions[extensionId] = { name: name || extensionId, supportEmail: null, planIds: [], branding: {}, chromeWebStoreId: null }
+		}
+	}
+	for (const [planId, plan] of Object.entries(plans)) {
+		register(plan.extensionId, plan.extensionName)
+		if (extensions[plan.extensionId]) {
+			extensions[plan.extensionId].planIds.push(planId)
+		}
+	}
+	for (const license of licenses) {
+		register(license.extensionId, license.extensionName)
+	}
+
+	await writeJsonFile(EXTENSIONS_FILE, extensions)
+	return true
+}
+
+// Look up an extension by ID, returning { extensionId, ...extension } or null
+// Own keys only - IDs such as "constructor" would otherwise find Object.prototype's members
+const findExtension = (extensions, extensionId) => {
+	return typeof extensionId === "string" && Object.prototype.hasOwnProperty.call(extensions, extensionId)
+		? { extensionId, ...extensions[extensionId] }
+		: null
+}
+
+// First extension with the given display name (for older API clients that send extensionName)
+const findExtensionByName = (extensions, name) => {
+	const wanted = (name || "").trim().toLowerCase()
+	const match = Object.entries(extensions).find(([, extension]) => extension.name.toLowerCase() === wanted)
+	return match ? { extensionId: match[0], ...match[1] } : null
+}
+
+// Whether manual licenses for the extension can be on the plan
+const isPlanAllowed = (extension, planId) => {
+	return (extension.planIds || []).includes(planId)
+}
+
+// Logos are linked from customer emails - a well-formed https:// address, with nothing that could end the attribute
+const isLogoUrl = value => {
+	if (typeof value !== "string" || value.length > 500 || /["'<>\s]/.test(value)) {
+		return false
+	}
+	try {
+		return new URL(value).protocol === "https:"
+	} catch {
+		return false
+	}
+}
+
+// Validate an extension submitted from the admin dashboard, returning an error message or null
+const validateExtension = (extensionId, extension, plans) => {
+	if (!EXTENSION_ID_PATTERN.test(extensionId || "") || extensionId.length > 50) {
+		return "Extension ID must be lowercase letters and digits separated by single hyphens (up to 50 characters)"
+	}
+	if (!extension || typeof extension !== "object") {
+		return "Extension must be an object"
+	}
+	if (typeof extension.name !== "string" || !extension.name.trim() || extension.name.length > 100) {
+		return "Extension name is required (up to 100 characters)"
+	}
+	if (extension.supportEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(extension.supportEmail)) {
+		return "Support email must be an email address"
+	}
+	if (!Array.isArray(extension.planIds) || !extension.planIds.every(planId => typeof planId === "string")) {
+		return "Plan IDs must be a list"
+	}
+	const unknown = extension.planIds.filter(planId => !Object.prototype.hasOwnProperty.call(plans, planId))
+	if (unknown.length > 0) {
+		return `Unknown plans: ${unknown.join(", ")}`
+	}
+	const branding = extension.branding || {}
+	if (branding.color && !/^#[0-9a-fA-F]{6}$/.test(branding.color)) {
+		return "Brand color must be a hex colour such as #1976d2"
+	}
+	if (branding.logoUrl && !isLogoUrl(branding.logoUrl)) {
+		return "Logo URL must be an https:// address"
+	}
+	if (extension.chromeWebStoreId && !CHROME_WEB_STORE_ID_PATTERN.test(extension.chromeWebStoreId)) {
+		return "Chrome Web Store ID must be 32 letters from a to p"
+	}
+	return null
+}
+
+// Export functions
+module.exports = {
+	EXTENSION_ID_PATTERN,
+	loadExtensions,
+	updateExtensions,
+	ensureExtensionsFile,
+	findExtension,
+	findExtensionByName,
+	isPlanAllowed,
+	validateExtension
+}
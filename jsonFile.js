@@ -0,0 +1,94 @@
+// jsonFile.js - Safe JSON file writes for the data directory
+const fs = require("fs").promises
+const path = require("path")
+
+// Pending writes per file - each file's writes run one at a time, in the order they were queued
+const queues = new Map()
+
+// Run task after every write already queued for the same file
+const enqueue = (file, task) => {
+	const key = path.resolve(file)
+	const run = (queues.get(key) || Promise.resolve()).then(task)
+	const tail = run.catch(() => {})
+	queues.set(key, tail)
+	tail.then(() => {
+		if (queues.get(key) === tail) {
+			queues.delete(key)
+		}
+	})
+	return run
+}
+
+// Write to a temp file, flush it to disk, then rename it over the real one -
+// a crash leaves either the old file or the new one, never half of each
+const writeAtomic = async (file, contents) => {
+	const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`
+	try {
+		const handle = await fs.open(tempFile, "w")
+		try {
+			await handle.writeFile(contents)
+			await handle.sync()
+		} finally {
+			await handle.close()
+		}
+		await fs.rename(tempFile, file)
+	} catch (error) {
+		await fs.unlink(tempFile).catch(() => {})
+		throw error
+	}
+}
+
+// Read a JSON file, returning fallback if it doesn't exist (a corrupt file still throws)
+const readJsonFile = async (file, fallback) => {
+	try {
+		const data = await fs.readFile(file, "utf8")
+		return JSON.parse(data)
+	} catch (error) {
+		if (error.code === "ENOENT") {
+			return fallback
+		}
+		throw error
+	}
+}
+
+// Replace a JSON file's contents
+const writeJsonFile = (file, data) => enqueue(file, () => writeAtomic(file, JSON.stringify(data, null, 2)))
+
+// Read, change and write a JSON file as one queued step, so overlapping updates can't lose each other's changes
+// update receives the current contents and returns the new contents (or undefined to keep its changes in place)
+const updateJsonFile = (file, update, fallback = {}) =>
+	enqueue(file, async () => {
+		const current = await readJsonFile(file, fallback)
+		const result = await update(current)
+		const data = result === undefined ? current : result
+		await writeAtomic(file, JSON.stringify(data, null, 2))
+		return data
+	})
+
+// Append one JSON value as a line to a JSON Lines file, flushed to disk before resolving
+// Appends are queued like writes, so lines from concurrent calls never interleave
+// With rotateTo, a file that has reached maxBytes is first renamed to rotateTo (replacing it) and a new one started
+const appendJsonLine = (file, data, { maxBytes, rotateTo } = {}) =>
+	enqueue(file, async () => {
+		if (rotateTo) {
+			const stats = await fs.stat(file).catch(() => null)
+			if (stats && stats.size >= maxBytes) {
+				await fs.rename(file, rotateTo)
+			}
+		}
+		const handle = await fs.open(file, "a")
+		try {
+			await handle.writeFile(JSON.stringify(data) + "\n")
+			await handle.sync()
+		} finally {
+			await handle.close()
+		}
+	})
+
+// Export functions
+module.exports = {
+	readJsonFile,
+	writeJsonFile,
+	updateJsonFile,
+	appendJsonLine
+}
@@ -0,0 +1,112 @@
+// licenseEvents.js - Emails sent and verify calls for each license, for ReplyBolt License Server
+const { createReadStream } = require("fs")
+const readline = require("readline")
+const { appendJsonLine } = require("./jsonFile")
+const { isValidDeviceId } = require("./devices")
+
+// One JSON entry per line, like the audit log - these don't change the license, so they're kept out of it
+const LICENSE_EVENTS_FILE = "./data/license-events.jsonl"
+
+// Once the file passes LICENSE_EVENTS_MAX_MB it's renamed to ROTATED_EVENTS_FILE, replacing the one before -
+// so at most twice that is kept, and the oldest events are dropped
+const ROTATED_EVENTS_FILE = "./data/license-events.1.jsonl"
+const LICENSE_EVENTS_MAX_BYTES =
+	(parseInt(process.env.LICENSE_EVENTS_MAX_MB, 10) > 0 ? parseInt(process.env.LICENSE_EVENTS_MAX_MB, 10) : 10) * 1024 * 1024
+
+// The timeline shows this many of a license's newest events
+const LICENSE_EVENTS_LIMIT = 500
+
+// The extension verifies every few minutes - one call is recorded per license, device and answer in this window
+const VERIFY_EVENT_INTERVAL_MS = 60 * 60 * 1000
+
+// When each license, device and answer was last recorded
+const lastVerifyEvents = new Map()
+
+// Add an event - type is "email" or "verify", the other fields depend on it
+const recordLicenseEvent = async ({ licenseKey, type, ...details }) => {
+	const entry = { at: new Date().toISOString(), licenseKey, type, ...details }
+	await appendJsonLine(LICENSE_EVENTS_FILE, entry, { maxBytes: LICENSE_EVENTS_MAX_BYTES, rotateTo: ROTATED_EVENTS_FILE })
+	return entry
+}
+
+// Record a customer email that was sent or failed to send (skipped ones, e.g. with email not configured, aren't)
+// template names the email, e.g. "license", "renewal" or "status:suspended"
+const recordEmailEvent = async (licenseKey, to, template, result) => {
+	if (!result.sent && !result.error) {
+		return null
+	}
+	return recordLicenseEvent({ licenseKey, type: "email", template, to, sent: result.sent, error: result.error || null })
+}
+
+// Record a verify call, unless the same answer for the same device was recorded within VERIFY_EVENT_INTERVAL_MS
+// Calls with a malformed device ID can't be for an activated device, and aren't recorded
+const recordVerifyEvent = async ({ licenseKey, deviceId, extensionId, valid, error, ip }, now = Date.now()) => {
+	if (!isValidDeviceId(deviceId)) {
+		return null
+	}
+	const key = `${licenseKey}|${deviceId}|${valid ? "valid" : error}`
+	const last = lastVerifyEvents.get(key)
+	if (last && now - last < VERIFY_EVENT_INTERVAL_MS) {
+		return null
+	}
+	lastVerifyEvents.set(key, now)
+
+	// Forget old calls now and then so the map doesn't grow forever
+	if (lastVerifyEvents.size > 10000) {
+		for (const [seenKey, seenAt] of lastVerifyEvents) {
+			if (now - seenAt >= VERIFY_EVENT_INTERVAL_MS) {
+				lastVerifyEvents.delete(seenKey)
+			}
+		}
+	}
+
+	return recordLicenseEvent({ licenseKey, type: "verify", deviceId, extensionId, valid, error: error || null, ip: ip || null })
+}
+
+// Add one file's events for the license to events, keeping the newest limit - read a line at a time,
+// so the file is never loaded whole
+const readEventsFile = async (file, licenseKey, events, limit) => {
+	const stream = createReadStream(file, "utf8")
+	try {
+		for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+			// Cheap test first - most lines are for other licenses
+			if (!line.includes(licenseKey)) {
+				continue
+			}
+			let entry
+			try {
+				entry = JSON.parse(line)
+			} catch {
+				// A crash mid-append can leave a partial last line
+				continue
+			}
+			if (entry.licenseKey === licenseKey) {
+				events.push(entry)
+				if (events.length > limit) {
+					events.shift()
+				}
+			}
+		}
+	} catch (error) {
+		if (error.code !== "ENOENT") {
+			throw error
+		}
+	} finally {
+		stream.destroy()
+	}
+}
+
+// Events for one license, newest first - up to limit, from the current and the rotated file
+const readLicenseEvents = async (licenseKey, limit = LICENSE_EVENTS_LIMIT) => {
+	const events = []
+	await readEventsFile(ROTATED_EVENTS_FILE, licenseKey, events, limit)
+	await readEventsFile(LICENSE_EVENTS_FILE, licenseKey, events, limit)
+	return events.reverse()
+}
+
+// Export functions
+module.exports = {
+	recordEmailEvent,
+	recordVerifyEvent,
+	readLicenseEvents
+}
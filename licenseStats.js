@@ -0,0 +1,99 @@
+// licenseStats.js - Dashboard stats derived from license and payment records
+
+// Round money to cents so float sums don't show up as 19.979999999
+const roundMoney = amount => Math.round(amount * 100) / 100
+
+const addTo = (totals, key, amount) => {
+	totals[key] = roundMoney((totals[key] || 0) + amount)
+}
+
+// Revenue totals for one currency, created on its first payment
+const getCurrencyRevenue = (revenue, currency) => {
+	if (!Object.prototype.hasOwnProperty.call(revenue.byCurrency, currency)) {
+		revenue.byCurrency[currency] = { total: 0, refunded: 0, byMonth: {}, byPlan: {}, byExtension: {} }
+	}
+	return revenue.byCurrency[currency]
+}
+
+// Payments recorded on a license. Licenses from before payments were recorded
+// count as one payment of their plan price on the day they were created.
+const getPayments = (license, plan) => {
+	if (Array.isArray(license.payments)) {
+		return license.payments
+	}
+	if (license.manual || !plan) {
+		return []
+	}
+	return [{ amount: plan.price, currency: plan.currency, paidAt: license.createdAt, type: "initial", estimated: true }]
+}
+
+// A license's payments with the plan they were made on filled in, for when it moves to another plan -
+// revenue goes to a payment's own planId when it has one, so past payments (including the estimated one
+// of an older license) stay with the plan that was paid for
+const assignPaymentPlan = (license, plan, planId) =>
+	getPayments(license, plan).map(payment => (payment.planId ? payment : { ...payment, planId }))
+
+// Compute stats for a set of licenses
+// plans is the plan catalog, used to name plans and price licenses without payment records
+const computeStats = (licenses, plans = {}) => {
+	const stats = {
+		generatedAt: new Date().toISOString(),
+		totalLicenses: 0,
+		totalSales: 0,
+		manualLicenses: 0,
+		activeSubscriptions: 0,
+		byStatus: {},
+		byPlan: {},
+		byExtension: {},
+		// Revenue is kept per currency - amounts in different currencies can't be added up
+		revenue: {
+			currencies: [],
+			byCurrency: {}
+		}
+	}
+
+	for (const license of Object.values(licenses)) {
+		const planId = license.planId || license.subscriptionType
+		const plan = plans[planId] || Object.values(plans).find(candidate => candidate.subscriptionType === license.subscriptionType)
+		const extensionId = license.extensionId || license.extensionName || "unknown"
+
+		stats.totalLicenses += 1
+		if (license.manual) {
+			stats.manualLicenses += 1
+		} else {
+			stats.totalSales += 1
+		}
+		if (license.status === "active") {
+			stats.activeSubscriptions += 1
+		}
+
+		stats.byStatus[license.status] = (stats.byStatus[license.status] || 0) + 1
+		stats.byPlan[planId] = (stats.byPlan[planId] || 0) + 1
+		stats.byExtension[extensionId] = (stats.byExtension[extensionId] || 0) + 1
+
+		for (const payment of getPayments(license, plan)) {
+			const amount = Number(payment.amount) || 0
+			const month = (payment.paidAt || license.createdAt || "").slice(0, 7) || "unknown"
+
+			const revenue = getCurrencyRevenue(stats.revenue, payment.currency || "USD")
+
+			revenue.total = roundMoney(revenue.total + amount)
+			if (amount < 0) {
+				revenue.refunded = roundMoney(revenue.refunded - amount)
+			}
+			addTo(revenue.byMonth, month, amount)
+			addTo(revenue.byPlan, payment.planId || planId, amount)
+			addTo(revenue.byExtension, extensionId, amount)
+		}
+	}
+
+	stats.revenue.currencies = Object.keys(stats.revenue.byCurrency).sort()
+
+	return stats
+}
+
+// Export functions
+module.exports = {
+	assignPaymentPlan,
+	computeStats
+}
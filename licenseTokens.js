@@ -0,0 +1,118 @@
+// licenseTokens.js - Signed license tokens the extension can check offline
+const crypto = require("crypto")
+const { readJsonFile, updateJsonFile } = require("./jsonFile")
+
+const SIGNING_KEYS_FILE = "./data/signing-keys.json"
+const TOKEN_ISSUER = "replybolt-license-server"
+
+// How long a token stays valid - the extension calls /api/verify again before it runs out
+const TOKEN_TTL_HOURS = parseFloat(process.env.TOKEN_TTL_HOURS || "24")
+const TOKEN_TTL_MS = TOKEN_TTL_HOURS * 60 * 60 * 1000
+
+// Ed25519 public keys in SPKI DER form are a fixed 12-byte header followed by the 32-byte key
+const ED25519_SPKI_PREFIX_LENGTH = 12
+
+const base64url = buffer => Buffer.from(buffer).toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")
+
+const generateKey = () => {
+	const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519")
+	return {
+		kid: crypto.randomBytes(8).toString("hex"),
+		publicKey: publicKey.export({ type: "spki", format: "pem" }),
+		privateKey: privateKey.export({ type: "pkcs8", format: "pem" }),
+		createdAt: new Date().toISOString(),
+		retiredAt: null
+	}
+}
+
+// Retired keys stay published until every token they signed has expired
+const isPublished = (key, now = Date.now()) => !key.retiredAt || new Date(key.retiredAt).getTime() + TOKEN_TTL_MS > now
+
+// Signing keys as { currentKid, keys: [{ kid, publicKey, privateKey, createdAt, retiredAt }] },
+// creating the first key if there are none yet
+const loadSigningKeys = async () => {
+	const keys = await readJsonFile(SIGNING_KEYS_FILE, null)
+	if (keys && keys.currentKid) {
+		return keys
+	}
+
+	return updateJsonFile(SIGNING_KEYS_FILE, current => {
+		if (current.currentKid) {
+			return current
+		}
+		const key = generateKey()
+		console.log(`Generated token signing key ${key.kid}`)
+		return { currentKid: key.kid, keys: [key] }
+	})
+}
+
+// Replace the current signing key; the old one keeps verifying tokens until they expire
+const rotateSigningKey = async () => {
+	await loadSigningKeys()
+	const key = generateKey()
+	const now = new Date()
+
+	await updateJsonFile(SIGNING_KEYS_FILE, current => ({
+		currentKid: key.kid,
+		keys: [
+			...current.keys
+				.map(existing => (existing.retiredAt ? existing : { ...existing, retiredAt: now.toISOString() }))
+				.filter(existing => isPublished(existing, now.getTime())),
+			key
+		]
+	}))
+
+	console.log(`Token signing key rotated to ${key.kid}`)
+	return key.kid
+}
+
+// Public half of a key as a JWK (with the PEM alongside for clients without JWK support)
+const toPublicJwk = key => {
+	const der = crypto.createPublicKey(key.publicKey).export({ type: "spki", format: "der" })
+	return {
+		kty: "OKP",
+		crv: "Ed25519",
+		x: base64url(der.subarray(ED25519_SPKI_PREFIX_LENGTH)),
+		kid: key.kid,
+		use: "sig",
+		alg: "EdDSA",
+		pem: key.publicKey,
+		createdAt: key.createdAt,
+		retiredAt: key.retiredAt
+	}
+}
+
+// Keys the extension should accept tokens from, current key first
+const getPublicKeys = async () => {
+	const { currentKid, keys } = await loadSigningKeys()
+	return keys
+		.filter(key => isPublished(key))
+		.sort((a, b) => (b.kid === currentKid) - (a.kid === currentKid))
+		.map(toPublicJwk)
+}
+
+// Sign a token for a license (a compact JWT using EdDSA)
+// claims carry the license details; the token never outlives notAfter (when the license stops being valid)
+const issueLicenseToken = async (claims, { notAfter } = {}) => {
+	const { currentKid, keys } = await loadSigningKeys()
+	const key = keys.find(candidate => candidate.kid === currentKid)
+
+	const now = Date.now()
+	const expiresAt = Math.min(now + TOKEN_TTL_MS, notAfter ? new Date(notAfter).getTime() : Infinity)
+
+	const header = { alg: "EdDSA", typ: "JWT", kid: key.kid }
+	const payload = { iss: TOKEN_ISSUER, ...claims, iat: Math.floor(now / 1000), exp: Math.floor(expiresAt / 1000) }
+
+	const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`
+	const signature = crypto.sign(null, Buffer.from(signingInput), key.privateKey)
+
+	return { token: `${signingInput}.${base64url(signature)}`, expiresAt: new Date(payload.exp * 1000).toISOString() }
+}
+
+// Export functions
+module.exports = {
+	TOKEN_TTL_HOURS,
+	getPublicKeys,
+	rotateSigningKey,
+	issueLicenseToken
+}
@@ -0,0 +1,260 @@
+// licenseTransfer.js - License export and import files (CSV, JSON and JSON Lines), for ReplyBolt License Server
+const { toCsvValue, writeChunk } = require("./auditLog")
+
+const TRANSFER_FORMATS = ["csv", "json", "jsonl"]
+
+// Columns every CSV export starts with - any other fields the licenses have follow in alphabetical order
+const LEADING_COLUMNS = [
+	"licenseKey",
+	"email",
+	"status",
+	"planId",
+	"subscriptionType",
+	"extensionId",
+	"extensionName",
+	"createdAt",
+	"expiresAt",
+	"seats",
+	"manual",
+	"subscriptionId",
+	"paypalSubscriptionId",
+	"revokedAt",
+	"revocationReason",
+	"notes"
+]
+
+// Fields that aren't plain text in a CSV cell - lists and objects are written as JSON
+const JSON_FIELDS = ["devices", "payments", "statusHistory", "remindersSent"]
+const INTEGER_FIELDS = ["seats"]
+const BOOLEAN_FIELDS = ["manual", "cancelAtPeriodEnd"]
+
+// Timestamps are the ...At fields, plus graceUntil - in licenses and in their payments, devices and history
+const isDateField = field => field.endsWith("At") || field === "graceUntil"
+
+// The timestamps a license itself can have - an import takes these and no other
+const LICENSE_DATE_FIELDS = [
+	"createdAt",
+	"expiresAt",
+	"graceUntil",
+	"statusChangedAt",
+	"updatedAt",
+	"renewedAt",
+	"revokedAt",
+	"reinstatedAt",
+	"suspendedAt",
+	"reactivatedAt",
+	"expiredAt",
+	"paymentFailedAt",
+	"cancelledAt",
+	"refundedAt",
+	"disputedAt"
+]
+
+// Every timestamp in ISO 8601 with milliseconds - PayPal sends some without, and older records may differ
+const normalizeDates = value => {
+	if (Array.isArray(value)) {
+		return value.map(normalizeDates)
+	}
+	if (!value || typeof value !== "object") {
+		return value
+	}
+	const normalized = {}
+	for (const [field, fieldValue] of Object.entries(value)) {
+		const time = isDateField(field) && typeof fieldValue === "string" ? new Date(fieldValue) : null
+		normalized[field] = time && !Number.isNaN(time.getTime()) ? time.toISOString() : normalizeDates(fieldValue)
+	}
+	return normalized
+}
+
+const toExportRecord = (licenseKey, license) => normalizeDates({ licenseKey, ...license })
+
+const csvColumns = entries => {
+	const fields = new Set()
+	entries.forEach(([, license]) => Object.keys(license).forEach(field => fields.add(field)))
+	return [
+		...LEADING_COLUMNS,
+		...Array.from(fields)
+			.filter(field => !LEADING_COLUMNS.includes(field))
+			.sort()
+	]
+}
+
+// Write [licenseKey, license] entries to the response in the format, a license at a time
+// Each license is converted as it's written, waiting whenever the client falls behind, so the output for a
+// big export is never built up in memory
+const writeLicenseExport = async (res, entries, format) => {
+	const write = chunk => writeChunk(res, chunk)
+
+	const columns = format === "csv" ? csvColumns(entries) : null
+	if (format === "csv") {
+		await write(columns.join(",") + "\n")
+	} else if (format === "json") {
+		await write("[\n")
+	}
+
+	for (const [index, [licenseKey, license]] of entries.entries()) {
+		// The client went away
+		if (res.destroyed) {
+			return
+		}
+		const record = toExportRecord(licenseKey, license)
+		if (format === "csv") {
+			await write(columns.map(column => toCsvValue(record[column])).join(",") + "\n")
+		} else if (format === "json") {
+			await write(JSON.stringify(record) + (index < entries.length - 1 ? ",\n" : "\n"))
+		} else {
+			await write(JSON.stringify(record) + "\n")
+		}
+	}
+
+	res.end(format === "json" ? "]\n" : "")
+}
+
+// Split CSV text into rows of cells - quoted cells can hold commas, doubled quotes and line breaks
+const parseCsvRows = text => {
+	const rows = []
+	let row = []
+	let cell = ""
+	let quoted = false
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i]
+		if (quoted) {
+			if (char === '"' && text[i + 1] === '"') {
+				cell += '"'
+				i++
+			} else if (char === '"') {
+				quoted = false
+			} else {
+				cell += char
+			}
+		} else if (char === '"') {
+			quoted = true
+		} else if (char === ",") {
+			row.push(cell)
+			cell = ""
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && text[i + 1] === "\n") {
+				i++
+			}
+			row.push(cell)
+			rows.push(row)
+			row = []
+			cell = ""
+		} else {
+			cell += char
+		}
+	}
+	if (cell || row.length > 0) {
+		row.push(cell)
+		rows.push(row)
+	}
+
+	// Blank lines
+	return rows.filter(cells => cells.some(value => value !== ""))
+}
+
+// A CSV cell as a field value - undoes the ' that exports put before formula characters (see toCsvValue)
+const fromCsvCell = (field, cell) => {
+	const text = /^'[=+\-@\t\r]/.test(cell) ? cell.slice(1) : cell
+	if (JSON_FIELDS.includes(field)) {
+		try {
+			return JSON.parse(text)
+		} catch {
+			throw new Error(`${field} must be JSON`)
+		}
+	}
+	if (INTEGER_FIELDS.includes(field)) {
+		if (!/^\d+$/.test(text.trim())) {
+			throw new Error(`${field} must be a whole number`)
+		}
+		return Number(text)
+	}
+	if (BOOLEAN_FIELDS.includes(field)) {
+		if (text !== "true" && text !== "false") {
+			throw new Error(`${field} must be true or false`)
+		}
+		return text === "true"
+	}
+	return text
+}
+
+const toImportRecord = (row, fields) => {
+	if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+		return { row, fields: {}, error: "Must be an object" }
+	}
+	return { row, fields, error: null }
+}
+
+// Read an import file - returns { records } with one { row, fields, error } per license (row counts from 1,
+// not counting the CSV header), or { error } if the file can't be read at all
+// Takes what writeLicenseExport writes; a JSON file can also be a page from GET /api/v1/licenses
+const parseLicenseImport = (text, format) => {
+	// Spreadsheet apps often start files with a byte order mark
+	const content = String(text || "").replace(/^\uFEFF/, "")
+	if (!content.trim()) {
+		return { error: "The file is empty" }
+	}
+
+	if (format === "json") {
+		let data
+		try {
+			data = JSON.parse(content)
+		} catch (error) {
+			return { error: `Invalid JSON: ${error.message}` }
+		}
+		const list = Array.isArray(data) ? data : data && Array.isArray(data.data) ? data.data : null
+		if (!list) {
+			return { error: "JSON must be a list of licenses" }
+		}
+		return { records: list.map((fields, index) => toImportRecord(index + 1, fields)) }
+	}
+
+	if (format === "jsonl") {
+		const lines = content.split("\n").filter(line => line.trim())
+		return {
+			records: lines.map((line, index) => {
+				try {
+					return toImportRecord(index + 1, JSON.parse(line))
+				} catch (error) {
+					return { row: index + 1, fields: {}, error: `Invalid JSON: ${error.message}` }
+				}
+			})
+		}
+	}
+
+	if (format === "csv") {
+		const [header, ...rows] = parseCsvRows(content)
+		// Blank rows are dropped, so a file of only blank rows has no header
+		if (!header) {
+			return { error: "The file is empty" }
+		}
+		const columns = header.map(column => column.trim())
+		return {
+			records: rows.map((cells, index) => {
+				const fields = {}
+				try {
+					columns.forEach((column, i) => {
+						// Empty cells are left out, as if the column wasn't there
+						if (column && cells[i]) {
+							fields[column] = fromCsvCell(column, cells[i])
+						}
+					})
+				} catch (error) {
+					return { row: index + 1, fields, error: error.message }
+				}
+				return { row: index + 1, fields, error: null }
+			})
+		}
+	}
+
+	return { error: `Format must be one of: ${TRANSFER_FORMATS.join(", ")}` }
+}
+
+// Export functions
+module.exports = {
+	TRANSFER_FORMATS,
+	LICENSE_DATE_FIELDS,
+	writeLicenseExport,
+	parseLicenseImport
+}
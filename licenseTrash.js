@@ -0,0 +1,85 @@
+// licenseTrash.js - Deleted licenses, kept for a while so they can be restored, for ReplyBolt License Server
+const { readJsonFile, updateJsonFile } = require("./jsonFile")
+
+const TRASH_FILE = "./data/license-trash.json"
+
+// Days a deleted license can be restored before the trash-purge job removes it for good
+const TRASH_RETENTION_DAYS = parseFloat(process.env.TRASH_RETENTION_DAYS || "30")
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+
+// Trashed licenses, keyed by license key: { license, deletedAt, deletedBy, reason, purgeAt }
+const loadTrash = () => readJsonFile(TRASH_FILE, {})
+
+// Only the trash's own keys - not Object.prototype members such as "constructor"
+const inTrash = (trash, licenseKey) => Object.prototype.hasOwnProperty.call(trash, licenseKey)
+
+// Trashed licenses as { licenseKey, ...entry }, most recently deleted first
+const listTrash = async () => {
+	const trash = await loadTrash()
+	return Object.entries(trash)
+		.map(([licenseKey, entry]) => ({ licenseKey, ...entry }))
+		.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+}
+
+const getTrashed = async licenseKey => {
+	const trash = await loadTrash()
+	return inTrash(trash, licenseKey) ? trash[licenseKey] : null
+}
+
+// Put a license in the trash - deletedBy names whoever deleted it (see adminAudit in server.js)
+const addToTrash = async (licenseKey, license, { deletedBy, reason } = {}) => {
+	const now = Date.now()
+	const entry = {
+		license,
+		deletedAt: new Date(now).toISOString(),
+		deletedBy: deletedBy || null,
+		reason: reason || null,
+		purgeAt: new Date(now + TRASH_RETENTION_MS).toISOString()
+	}
+	await updateJsonFile(TRASH_FILE, trash => {
+		trash[licenseKey] = entry
+	})
+	return entry
+}
+
+// Take a license out of the trash (to restore or purge it), returning its entry or null
+const removeFromTrash = async licenseKey => {
+	let entry = null
+	await updateJsonFile(TRASH_FILE, trash => {
+		if (inTrash(trash, licenseKey)) {
+			entry = trash[licenseKey]
+			delete trash[licenseKey]
+		}
+	})
+	return entry
+}
+
+// Take out every license whose retention ran out, returning them as { licenseKey, ...entry }
+const removeExpiredFromTrash = async (now = new Date()) => {
+	// Nothing to rewrite on most runs
+	const current = await loadTrash()
+	if (!Object.values(current).some(entry => new Date(entry.purgeAt) <= now)) {
+		return []
+	}
+
+	const expired = []
+	await updateJsonFile(TRASH_FILE, trash => {
+		for (const [licenseKey, entry] of Object.entries(trash)) {
+			if (new Date(entry.purgeAt) <= now) {
+				expired.push({ licenseKey, ...entry })
+				delete trash[licenseKey]
+			}
+		}
+	})
+	return expired
+}
+
+// Export functions
+module.exports = {
+	TRASH_RETENTION_DAYS,
+	listTrash,
+	getTrashed,
+	addToTrash,
+	removeFromTrash,
+	removeExpiredFromTrash
+}
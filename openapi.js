@@ -0,0 +1,350 @@
+// openapi.js - OpenAPI description of the REST API (/api/v1) of ReplyBolt License Server
+const { API_KEY_SCOPES } = require("./apiKeys")
+
+const LICENSE_STATUSES = ["active", "past_due", "suspended", "cancelled", "expired", "revoked", "refunded", "disputed"]
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` })
+const response = name => ({ $ref: `#/components/responses/${name}` })
+
+const jsonContent = schema => ({ "application/json": { schema } })
+
+const licenseKeyParameter = {
+	name: "licenseKey",
+	in: "path",
+	required: true,
+	schema: { type: "string", example: "RB-1A2B-3C4D-5E6F-7A8B" }
+}
+
+// A single license in the { data } envelope
+const licenseResponse = description => ({ description, content: jsonContent({ type: "object", properties: { data: ref("License") } }) })
+
+// Who can call an operation - the admin role for people, the scope for API keys
+const access = (role, scope) => ({
+	"x-required-role": role,
+	"x-required-scope": scope,
+	security: [{ apiKey: [scope] }, { basicAuth: [] }, { session: [] }]
+})
+
+const reasonBody = description => ({
+	content: jsonContent({ type: "object", properties: { reason: { type: "string", description } } })
+})
+
+const buildOpenApiDocument = ({ serverUrl } = {}) => ({
+	openapi: "3.0.3",
+	info: {
+		title: "ReplyBolt License Server API",
+		version: "1.0.0",
+		description:
+			"Licenses as a REST resource. Every change is recorded in the audit log under the admin or API key that made it. " +
+			"Errors are { error, code } with details for invalid fields."
+	},
+	servers: serverUrl ? [{ url: serverUrl }] : [],
+	tags: [{ name: "Licenses" }],
+	paths: {
+		"/api/v1/licenses": {
+			get: {
+				tags: ["Licenses"],
+				summary: "List licenses",
+				operationId: "listLicenses",
+				...access("viewer", "read"),
+				parameters: [
+					{ name: "status", in: "query", schema: { type: "string", enum: LICENSE_STATUSES } },
+					{ name: "email", in: "query", description: "Exact match, case-insensitive", schema: { type: "string" } },
+					{ name: "planId", in: "query", schema: { type: "string" } },
+					{ name: "subscriptionType", in: "query", schema: { type: "string" } },
+					{ name: "extensionId", in: "query", schema: { type: "string" } },
+					{ name: "q", in: "query", description: "Search in license key, email and extension name", schema: { type: "string" } },
+					...["createdFrom", "createdTo", "expiresFrom", "expiresTo"].map(name => ({
+						name,
+						in: "query",
+						description: "ISO 8601 date - a plain date as the upper bound means the whole of that day",
+						schema: { type: "string" }
+					})),
+					{ name: "page", in: "query", schema: { type: "integer", minimum: 1, default: 1 } },
+					{ name: "perPage", in: "query", schema: { type: "integer", minimum: 1, maximum: 200, default: 50 } },
+					{
+						name: "sort",
+						in: "query",
+						description: "Field to sort by, with a leading - for descending",
+						schema: {
+							type: "string",
+							enum: [
+								"createdAt",
+								"-createdAt",
+								"expiresAt",
+								"-expiresAt",
+								"email",
+								"-email",
+								"status",
+								"-status",
+								"subscriptionType",
+								"-subscriptionType"
+							],
+							default: "-createdAt"
+						}
+					}
+				],
+				responses: {
+					200: {
+						description: "A page of licenses",
+						content: jsonContent({
+							type: "object",
+							properties: { data: { type: "array", items: ref("License") }, pagination: ref("Pagination") }
+						})
+					},
+					400: response("ValidationFailed"),
+					401: response("Unauthorized"),
+					403: response("Forbidden")
+				}
+			},
+			post: {
+				tags: ["Licenses"],
+				summary: "Create a manual license and email the key to the customer",
+				operationId: "createLicense",
+				...access("support", "licenses:write"),
+				requestBody: { required: true, content: jsonContent(ref("LicenseCreate")) },
+				responses: {
+					201: {
+						description: "License created",
+						headers: { Location: { schema: { type: "string" } } },
+						content: jsonContent({ type: "object", properties: { data: ref("License"), emailSent: { type: "boolean" } } })
+					},
+					400: response("ValidationFailed"),
+					401: response("Unauthorized"),
+					403: response("Forbidden")
+				}
+			}
+		},
+		"/api/v1/licenses/{licenseKey}": {
+			parameters: [licenseKeyParameter],
+			get: {
+				tags: ["Licenses"],
+				summary: "Get a license",
+				operationId: "getLicense",
+				...access("viewer", "read"),
+				responses: {
+					200: licenseResponse("The license"),
+					401: response("Unauthorized"),
+					403: response("Forbidden"),
+					404: response("NotFound")
+				}
+			},
+			patch: {
+				tags: ["Licenses"],
+				summary: "Change a license's email, plan, expiry, extension or notes",
+				description: "The status is left alone - use revoke, reinstate or extend to change whether the license works.",
+				operationId: "updateLicense",
+				...access("support", "licenses:write"),
+				requestBody: { required: true, content: jsonContent(ref("LicenseUpdate")) },
+				responses: {
+					200: licenseResponse("The updated license"),
+					400: response("ValidationFailed"),
+					401: response("Unauthorized"),
+					403: response("Forbidden"),
+					404: response("NotFound")
+				}
+			},
+			delete: {
+				tags: ["Licenses"],
+				summary: "Move a license to the trash and tell the customer",
+				description: "It stops working at once and can be restored from the admin dashboard's trash until it is purged.",
+				operationId: "deleteLicense",
+				...access("owner", "licenses:write"),
+				parameters: [{ name: "reason", in: "query", description: "Recorded in the audit log", schema: { type: "string" } }],
+				responses: {
+					204: { description: "Moved to the trash" },
+					401: response("Unauthorized"),
+					403: response("Forbidden"),
+					404: response("NotFound")
+				}
+			}
+		},
+		"/api/v1/licenses/{licenseKey}/revoke": {
+			parameters: [licenseKeyParameter],
+			post: {
+				tags: ["Licenses"],
+				summary: "Revoke a license and tell the customer",
+				operationId: "revokeLicense",
+				...access("owner", "licenses:write"),
+				requestBody: reasonBody("Sent to the customer and recorded in the audit log"),
+				responses: {
+					200: licenseResponse("The revoked license"),
+					401: response("Unauthorized"),
+					403: response("Forbidden"),
+					404: response("NotFound"),
+					409: response("Conflict")
+				}
+			}
+		},
+		"/api/v1/licenses/{licenseKey}/reinstate": {
+			parameters: [licenseKeyParameter],
+			post: {
+				tags: ["Licenses"],
+				summary: "Undo a revocation, putting the license back in the status it had before",
+				operationId: "reinstateLicense",
+				...access("owner", "licenses:write"),
+				requestBody: reasonBody("Recorded in the audit log"),
+				responses: {
+					200: licenseResponse("The reinstated license"),
+					401: response("Unauthorized"),
+					403: response("Forbidden"),
+					404: response("NotFound"),
+					409: response("Conflict")
+				}
+			}
+		},
+		"/api/v1/licenses/{licenseKey}/extend": {
+			parameters: [licenseKeyParameter],
+			post: {
+				tags: ["Licenses"],
+				summary: "Push a license's expiry back",
+				description: "Counts from the current expiry, or from now if it has already passed. Lifetime licenses can't be extended.",
+				operationId: "extendLicense",
+				...access("support", "licenses:write"),
+				requestBody: {
+					required: true,
+					content: jsonContent({
+						type: "object",
+						required: ["count"],
+						properties: {
+							count: { type: "integer", minimum: 1, maximum: 3650 },
+							unit: { type: "string", enum: ["day", "month", "year"], default: "day" },
+							reason: { type: "string", description: "Recorded in the audit log" }
+						}
+					})
+				},
+				responses: {
+					200: licenseResponse("The extended license"),
+					400: response("ValidationFailed"),
+					401: response("Unauthorized"),
+					403: response("Forbidden"),
+					404: response("NotFound"),
+					409: response("Conflict")
+				}
+			}
+		}
+	},
+	components: {
+		securitySchemes: {
+			apiKey: {
+				type: "http",
+				scheme: "bearer",
+				description: `An API key from the admin dashboard, sent as "Authorization: Bearer rbk_...". Scopes: ${Object.entries(API_KEY_SCOPES)
+					.map(([scope, description]) => `${scope} (${description})`)
+					.join("; ")}`
+			},
+			basicAuth: { type: "http", scheme: "basic", description: "An admin's username and password" },
+			session: {
+				type: "apiKey",
+				in: "cookie",
+				name: "rb_session",
+				description: "The admin dashboard's session - changes also need its X-CSRF-Token header"
+			}
+		},
+		schemas: {
+			License: {
+				type: "object",
+				properties: {
+					licenseKey: { type: "string" },
+					email: { type: "string" },
+					status: { type: "string", enum: LICENSE_STATUSES },
+					planId: { type: "string", nullable: true },
+					subscriptionType: { type: "string" },
+					extensionName: {
+						type: "string",
+						description: "The extension's name when the license was issued - the registry has the current one"
+					},
+					extensionId: { type: "string" },
+					createdAt: { type: "string", format: "date-time" },
+					expiresAt: { type: "string", format: "date-time", nullable: true },
+					graceUntil: { type: "string", format: "date-time", nullable: true },
+					seats: { type: "integer", nullable: true, description: "Overrides the plan's seat count" },
+					manual: { type: "boolean" },
+					paypalSubscriptionId: { type: "string", nullable: true },
+					notes: { type: "string" },
+					devices: { type: "array", items: { type: "object" } },
+					payments: { type: "array", items: { type: "object" } },
+					statusHistory: {
+						type: "array",
+						items: {
+							type: "object",
+							properties: {
+								from: { type: "string" },
+								to: { type: "string" },
+								at: { type: "string", format: "date-time" },
+								reason: { type: "string", nullable: true }
+							}
+						}
+					}
+				},
+				additionalProperties: true
+			},
+			LicenseCreate: {
+				type: "object",
+				required: ["email", "planId"],
+				properties: {
+					email: { type: "string" },
+					planId: { type: "string", description: "A plan from the catalog (GET /api/admin/plans)" },
+					extensionId: {
+						type: "string",
+						description:
+							"An extension from the registry (GET /api/admin/extensions) that allows the plan - defaults to the plan's extension"
+					},
+					seats: { type: "integer", minimum: 1 },
+					notes: { type: "string", maxLength: 2000 }
+				},
+				additionalProperties: false
+			},
+			LicenseUpdate: {
+				type: "object",
+				minProperties: 1,
+				properties: {
+					email: { type: "string" },
+					planId: { type: "string" },
+					expiresAt: { type: "string", format: "date-time" },
+					extensionId: { type: "string", description: "An extension from the registry that allows the license's plan" },
+					notes: { type: "string", maxLength: 2000, nullable: true, description: "null clears the notes" }
+				},
+				additionalProperties: false
+			},
+			Pagination: {
+				type: "object",
+				properties: { page: { type: "integer" }, perPage: { type: "integer" }, total: { type: "integer" }, totalPages: { type: "integer" } }
+			},
+			Error: {
+				type: "object",
+				required: ["error", "code"],
+				properties: {
+					error: { type: "string", description: "What went wrong, for people" },
+					code: {
+						type: "string",
+						enum: [
+							"validation_failed",
+							"invalid_json",
+							"unauthorized",
+							"forbidden",
+							"not_found",
+							"conflict",
+							"rate_limited",
+							"internal_error"
+						]
+					},
+					details: { type: "object", additionalProperties: { type: "string" }, description: "The problem with each invalid field" }
+				}
+			}
+		},
+		responses: {
+			ValidationFailed: { description: "Invalid request", content: jsonContent(ref("Error")) },
+			Unauthorized: { description: "Not signed in, or the API key is invalid, expired or revoked", content: jsonContent(ref("Error")) },
+			Forbidden: { description: "The admin's role or the API key's scopes don't allow this", content: jsonContent(ref("Error")) },
+			NotFound: { description: "No such license", content: jsonContent(ref("Error")) },
+			Conflict: { description: "The license isn't in a state that allows this", content: jsonContent(ref("Error")) }
+		}
+	}
+})
+
+// Export functions
+module.exports = {
+	LICENSE_STATUSES,
+	buildOpenApiDocument
+}
@@ -0,0 +1,150 @@
+// paypalWebhook.js - PayPal webhook signature verification for ReplyBolt License Server
+const crypto = require("crypto")
+const https = require("https")
+const fs = require("fs").promises
+
+// Headers PayPal attaches to every webhook delivery
+const REQUIRED_HEADERS = [
+	"paypal-transmission-id",
+	"paypal-transmission-time",
+	"paypal-transmission-sig",
+	"paypal-cert-url",
+	"paypal-auth-algo"
+]
+
+// PayPal signs with SHA256withRSA; map its algorithm names to Node's
+const AUTH_ALGORITHMS = {
+	SHA256withRSA: "RSA-SHA256"
+}
+
+// Downloaded signing certificates, keyed by cert URL
+const certCache = new Map()
+
+// Verification mode: "paypal" (default) or "mock" for offline development
+const getVerifyMode = () => {
+	return (process.env.PAYPAL_WEBHOOK_VERIFY || "paypal").toLowerCase()
+}
+
+// Build the CRC32 lookup table once
+const CRC32_TABLE = (() => {
+	const table = new Int32Array(256)
+	for (let i = 0; i < 256; i++) {
+		let c = i
+		for (let k = 0; k < 8; k++) {
+			c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+		}
+		table[i] = c
+	}
+	return table
+})()
+
+// CRC32 of the raw body, as an unsigned decimal (the format PayPal signs)
+const crc32 = buffer => {
+	let crc = -1
+	for (let i = 0; i < buffer.length; i++) {
+		crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8)
+	}
+	return (crc ^ -1) >>> 0
+}
+
+// Only accept certificates served by PayPal over HTTPS
+const isTrustedCertUrl = certUrl => {
+	try {
+		const url = new URL(certUrl)
+		return url.protocol === "https:" && (url.hostname === "paypal.com" || url.hostname.endsWith(".paypal.com"))
+	} catch {
+		return false
+	}
+}
+
+// Download a PEM certificate
+const downloadCert = certUrl => {
+	return new Promise((resolve, reject) => {
+		https
+			.get(certUrl, { timeout: 10000 }, res => {
+				if (res.statusCode !== 200) {
+					res.resume()
+					return reject(new Error(`Certificate download failed with status ${res.statusCode}`))
+				}
+				let data = ""
+				res.setEncoding("utf8")
+				res.on("data", chunk => (data += chunk))
+				res.on("end", () => resolve(data))
+			})
+			.on("timeout", function () {
+				this.destroy(new Error("Certificate download timed out"))
+			})
+			.on("error", reject)
+	})
+}
+
+// Resolve the signing certificate: a local PEM file if configured, otherwise PayPal's
+const getSigningCert = async certUrl => {
+	if (process.env.PAYPAL_CERT_PATH) {
+		return fs.readFile(process.env.PAYPAL_CERT_PATH, "utf8")
+	}
+
+	if (!isTrustedCertUrl(certUrl)) {
+		throw new Error(`Untrusted certificate URL: ${certUrl}`)
+	}
+
+	if (!certCache.has(certUrl)) {
+		certCache.set(certUrl, await downloadCert(certUrl))
+	}
+	return certCache.get(certUrl)
+}
+
+// Verify a webhook delivery against the configured webhook ID
+// Returns { verified: true } or { verified: false, reason }
+const verifyWebhookSignature = async (headers, rawBody) => {
+	const missing = REQUIRED_HEADERS.filter(name => !headers[name])
+	if (missing.length > 0) {
+		return { verified: false, reason: `Missing headers: ${missing.join(", ")}` }
+	}
+
+	if (!rawBody || rawBody.length === 0) {
+		return { verified: false, reason: "Empty request body" }
+	}
+
+	if (getVerifyMode() === "mock") {
+		if (process.env.NODE_ENV === "production") {
+			return { verified: false, reason: "Mock verification is disabled in production" }
+		}
+		return { verified: true, mock: true }
+	}
+
+	const webhookId = process.env.PAYPAL_WEBHOOK_ID
+	if (!webhookId) {
+		return { verified: false, reason: "PAYPAL_WEBHOOK_ID is not configured" }
+	}
+
+	const algorithm = AUTH_ALGORITHMS[headers["paypal-auth-algo"]]
+	if (!algorithm) {
+		return { verified: false, reason: `Unsupported auth algorithm: ${headers["paypal-auth-algo"]}` }
+	}
+
+	let cert
+	try {
+		cert = await getSigningCert(headers["paypal-cert-url"])
+	} catch (error) {
+		return { verified: false, reason: error.message }
+	}
+
+	// PayPal signs "<transmission id>|<transmission time>|<webhook id>|<crc32 of body>"
+	const message = [headers["paypal-transmission-id"], headers["paypal-transmission-time"], webhookId, crc32(rawBody)].join("|")
+
+	try {
+		const verifier = crypto.createVerify(algorithm)
+		verifier.update(message)
+		const valid = verifier.verify(cert, headers["paypal-transmission-sig"], "base64")
+		return valid ? { verified: true } : { verified: false, reason: "Signature mismatch" }
+	} catch (error) {
+		return { verified: false, reason: `Signature check failed: ${error.message}` }
+	}
+}
+
+// Export functions
+module.exports = {
+	verifyWebhookSignature,
+	crc32
+}
@@ -0,0 +1,179 @@
+// planCatalog.js - PayPal plan catalog for ReplyBolt License Server
+const fs = require("fs").promises
+const { writeJsonFile, updateJsonFile } = require("./jsonFile")
+
+const PLANS_FILE = "./data/plans.json"
+
+// PayPal plan IDs (P-XXXX...), or short names for plans sold some other way
+const PLAN_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/
+
+// Billing period units a plan can use; "lifetime" plans never expire
+const DURATION_UNITS = ["day", "month", "year", "lifetime"]
+
+// Seed catalog, keyed by PayPal plan ID - replace the keys with your real plan IDs (P-XXXX...)
+// seats is how many devices a license on the plan can be activated on
+const DEFAULT_PLANS = {
+	monthly: {
+		name: "Monthly",
+		subscriptionType: "monthly",
+		extensionName: "ReplyBolt",
+		extensionId: "reply-bolt",
+		price: 9.99,
+		currency: "USD",
+		duration: { unit: "month", count: 1 },
+		seats: 1
+	},
+	annual: {
+		name: "Annual",
+		subscriptionType: "annual",
+		extensionName: "ReplyBolt",
+		extensionId: "reply-bolt",
+		price: 99,
+		currency: "USD",
+		duration: { unit: "year", count: 1 },
+		seats: 2
+	},
+	lifetime: {
+		name: "Lifetime",
+		subscriptionType: "lifetime",
+		extensionName: "ReplyBolt",
+		extensionId: "reply-bolt",
+		price: 199,
+		currency: "USD",
+		duration: { unit: "lifetime", count: 1 },
+		seats: 3
+	}
+}
+
+// Create the catalog file with the default plans if it doesn't exist
+const ensurePlansFile = async () => {
+	try {
+		await fs.access(PLANS_FILE)
+	} catch {
+		await writeJsonFile(PLANS_FILE, DEFAULT_PLANS)
+	}
+}
+
+const loadPlans = async () => {
+	try {
+		const data = await fs.readFile(PLANS_FILE, "utf8")
+		return JSON.parse(data)
+	} catch {
+		return { ...DEFAULT_PLANS }
+	}
+}
+
+const savePlans = async plans => {
+	await writeJsonFile(PLANS_FILE, plans)
+}
+
+// Change the catalog in one queued step, so concurrent edits don't overwrite each other
+const updatePlans = async update => {
+	await updateJsonFile(PLANS_FILE, update, { ...DEFAULT_PLANS })
+}
+
+// Look up a plan by PayPal plan ID, returning { planId, ...plan } or null
+// Own keys only, like findExtension
+const findPlan = (plans, planId) => {
+	return typeof planId === "string" && Object.prototype.hasOwnProperty.call(plans, planId) ? { planId, ...plans[planId] } : null
+}
+
+// First plan with the given subscription type (used for manual licenses and old records)
+const findPlanByType = (plans, subscriptionType) => {
+	const match = Object.entries(plans).find(([, plan]) => plan.subscriptionType === subscriptionType)
+	return match ? { planId: match[0], ...match[1] } : null
+}
+
+// One-off sales don't carry a plan ID - match them on price, preferring lifetime plans
+const findPlanByAmount = (plans, amount, currency = "USD") => {
+	const matches = Object.entries(plans)
+		.filter(([, plan]) => Number(plan.price) === Number(amount) && plan.currency === currency)
+		.sort(([, a], [, b]) => (b.duration.unit === "lifetime") - (a.duration.unit === "lifetime"))
+	return matches.length > 0 ? { planId: matches[0][0], ...matches[0][1] } : null
+}
+
+// Add one billing period to a date
+const addDuration = (from, duration) => {
+	const date = new Date(from)
+	const count = duration.count || 1
+	switch (duration.unit) {
+		case "day":
+			date.setDate(date.getDate() + count)
+			break
+		case "month":
+			date.setMonth(date.getMonth() + count)
+			break
+		case "year":
+			date.setFullYear(date.getFullYear() + count)
+			break
+		case "lifetime":
+			date.setFullYear(date.getFullYear() + 100) // Effectively lifetime
+			break
+		default:
+			date.setMonth(date.getMonth() + 1) // Default to monthly
+	}
+	return date
+}
+
+// Validate a plan submitted from the admin dashboard, returning an error message or null
+const validatePlan = (planId, plan) => {
+	if (!PLAN_ID_PATTERN.test(planId || "")) {
+		return "Plan ID must be up to 64 letters, digits, hyphens and underscores"
+	}
+	if (!plan || typeof plan !== "object") {
+		return "Plan must be an object"
+	}
+	if (typeof plan.name !== "string" || !plan.name.trim() || plan.name.length > 100) {
+		return "Plan name is required (up to 100 characters)"
+	}
+	if (typeof plan.subscriptionType !== "string" || !/^[a-z0-9_-]{1,50}$/.test(plan.subscriptionType)) {
+		return "Plan subscriptionType must be lowercase letters, digits, hyphens and underscores (up to 50 characters)"
+	}
+	if (!plan.extensionName || !plan.extensionId) {
+		return "Plan extensionName and extensionId are required"
+	}
+	if (typeof plan.price !== "number" || plan.price < 0) {
+		return "Plan price must be a non-negative number"
+	}
+	if (!/^[A-Z]{3}$/.test(plan.currency || "")) {
+		return "Plan currency must be a 3-letter currency code"
+	}
+	if (!plan.duration || !DURATION_UNITS.includes(plan.duration.unit)) {
+		return `Plan duration unit must be one of: ${DURATION_UNITS.join(", ")}`
+	}
+	if (!Number.isInteger(plan.duration.count) || plan.duration.count < 1) {
+		return "Plan duration count must be a positive integer"
+	}
+	// Plans without seats fall back to DEFAULT_SEATS
+	if (plan.seats !== undefined && plan.seats !== null && (!Number.isInteger(plan.seats) || plan.seats < 1)) {
+		return "Plan seats must be a positive integer"
+	}
+	return null
+}
+
+// Human readable price, e.g. "$9.99/month" or "$199 one-time payment"
+const describePrice = plan => {
+	const price = new Intl.NumberFormat("en-US", { style: "currency", currency: plan.currency }).format(plan.price)
+	const { unit, count } = plan.duration
+	if (unit === "lifetime") {
+		return `${price} one-time payment`
+	}
+	return count === 1 ? `${price}/${unit}` : `${price} every ${count} ${unit}s`
+}
+
+// Export functions
+module.exports = {
+	DEFAULT_PLANS,
+	PLAN_ID_PATTERN,
+	DURATION_UNITS,
+	ensurePlansFile,
+	loadPlans,
+	savePlans,
+	updatePlans,
+	findPlan,
+	findPlanByType,
+	findPlanByAmount,
+	addDuration,
+	validatePlan,
+	describePrice
+}
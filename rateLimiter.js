@@ -0,0 +1,163 @@
+// rateLimiter.js - In-memory rate limiting and IP blocking for ReplyBolt License Server
+
+// A limit or window from the environment - a non-numeric or non-positive value falls back to the default,
+// rather than a NaN limit that lets every request through or a zero one that blocks them all
+const limitFromEnv = (name, fallback) => {
+	if (!process.env[name]) {
+		return fallback
+	}
+	const value = Number(process.env[name])
+	if (value > 0) {
+		return value
+	}
+	console.warn(`${name} must be a positive number - using ${fallback}`)
+	return fallback
+}
+
+// Failed attempts (bad admin logins, invalid license keys) from one IP before it's blocked
+const MAX_FAILED_ATTEMPTS = limitFromEnv("MAX_FAILED_ATTEMPTS", 10)
+const FAILED_ATTEMPTS_WINDOW_MS = limitFromEnv("FAILED_ATTEMPTS_WINDOW_MINUTES", 15) * 60 * 1000
+const BLOCK_DURATION_MS = limitFromEnv("BLOCK_MINUTES", 15) * 60 * 1000
+
+// How often expired buckets and blocks are dropped from memory
+const CLEANUP_INTERVAL_MS = 60 * 1000
+
+// Limiters created so far, so one timer can clean them all up
+const limiters = []
+
+// Sliding window limiter: at most `max` hits per key in any `windowMs`
+// Each key keeps the timestamps of its hits inside the window
+const createRateLimiter = ({ name, windowMs, max }) => {
+	const buckets = new Map()
+
+	const recentHits = (key, now) => (buckets.get(key) || []).filter(time => time > now - windowMs)
+
+	const limiter = {
+		name,
+		windowMs,
+		max,
+
+		// Count a hit, returning { allowed, remaining, retryAfterMs }
+		hit: (key, now = Date.now()) => {
+			const hits = recentHits(key, now)
+			if (hits.length >= max) {
+				buckets.set(key, hits)
+				return { allowed: false, remaining: 0, retryAfterMs: hits[0] + windowMs - now }
+			}
+			hits.push(now)
+			buckets.set(key, hits)
+			return { allowed: true, remaining: max - hits.length, retryAfterMs: 0 }
+		},
+
+		reset: key => buckets.delete(key),
+
+		size: () => buckets.size,
+
+		cleanup: (now = Date.now()) => {
+			for (const key of buckets.keys()) {
+				const hits = recentHits(key, now)
+				if (hits.length === 0) {
+					buckets.delete(key)
+				} else {
+					buckets.set(key, hits)
+				}
+			}
+		}
+	}
+
+	limiters.push(limiter)
+	return limiter
+}
+
+// Failed attempts per IP, and IPs blocked because of them
+const failures = createRateLimiter({ name: "failures", windowMs: FAILED_ATTEMPTS_WINDOW_MS, max: MAX_FAILED_ATTEMPTS })
+const blockedIps = new Map()
+
+// Block details for an IP, or null if it isn't blocked
+const getBlock = (ip, now = Date.now()) => {
+	const block = blockedIps.get(ip)
+	if (block && block.until <= now) {
+		blockedIps.delete(ip)
+		return null
+	}
+	return block || null
+}
+
+// Record a failed attempt; too many in the window blocks the IP. Returns the block, if one started.
+const recordFailure = (ip, reason, now = Date.now()) => {
+	if (failures.hit(ip, now).remaining > 0) {
+		return null
+	}
+
+	const block = { ip, reason, blockedAt: now, until: now + BLOCK_DURATION_MS }
+	blockedIps.set(ip, block)
+	failures.reset(ip)
+	console.warn(`Blocked ${ip} for ${Math.round(BLOCK_DURATION_MS / 60000)} minute(s): ${reason}`)
+	return block
+}
+
+const unblockIp = ip => {
+	failures.reset(ip)
+	return blockedIps.delete(ip)
+}
+
+// Currently blocked IPs, most recent first
+const listBlockedIps = (now = Date.now()) =>
+	Array.from(blockedIps.keys())
+		.map(ip => getBlock(ip, now))
+		.filter(Boolean)
+		.sort((a, b) => b.blockedAt - a.blockedAt)
+		.map(block => ({ ...block, blockedAt: new Date(block.blockedAt).toISOString(), until: new Date(block.until).toISOString() }))
+
+// Limiter settings and currently blocked IPs, for the admin dashboard
+const getRateLimitStatus = () => ({
+	limiters: limiters.map(limiter => ({ name: limiter.name, windowMs: limiter.windowMs, max: limiter.max, trackedKeys: limiter.size() })),
+	blockDurationMs: BLOCK_DURATION_MS,
+	blockedIps: listBlockedIps()
+})
+
+// Send a 429 telling the client when to try again
+const sendTooManyRequests = (res, retryAfterMs, error = "Too many requests") => {
+	res.setHeader("Retry-After", String(Math.max(1, Math.ceil(retryAfterMs / 1000))))
+	return res.status(429).json({ error, code: "rate_limited" })
+}
+
+// Express middleware: reject blocked IPs, then count the request against each limiter
+// rules is a list of { limiter, key } - key picks the request's bucket (null or empty skips the limiter)
+const rateLimit = rules => (req, res, next) => {
+	const block = getBlock(req.ip)
+	if (block) {
+		return sendTooManyRequests(res, block.until - Date.now(), "Too many failed attempts - try again later")
+	}
+
+	for (const { limiter, key } of rules) {
+		const bucket = key(req)
+		if (bucket === null || bucket === undefined || bucket === "") {
+			continue
+		}
+		const result = limiter.hit(`${bucket}`)
+		if (!result.allowed) {
+			return sendTooManyRequests(res, result.retryAfterMs)
+		}
+	}
+
+	next()
+}
+
+setInterval(() => {
+	const now = Date.now()
+	limiters.forEach(limiter => limiter.cleanup(now))
+	blockedIps.forEach((block, ip) => getBlock(ip, now))
+}, CLEANUP_INTERVAL_MS).unref()
+
+// Export functions
+module.exports = {
+	limitFromEnv,
+	createRateLimiter,
+	rateLimit,
+	recordFailure,
+	getBlock,
+	unblockIp,
+	listBlockedIps,
+	getRateLimitStatus
+}
@@ -0,0 +1,109 @@
+// scheduler.js - In-process job scheduler for ReplyBolt License Server
+const fs = require("fs").promises
+const { updateJsonFile } = require("./jsonFile")
+
+const JOB_RUNS_FILE = "./data/job-runs.json"
+
+// How many past runs to keep per job
+const MAX_RUNS_PER_JOB = 50
+
+// Registered jobs, keyed by name
+const jobs = new Map()
+
+// Job run history, keyed by job name (most recent run last)
+const loadJobRuns = async () => {
+	try {
+		const data = await fs.readFile(JOB_RUNS_FILE, "utf8")
+		return JSON.parse(data)
+	} catch {
+		return {}
+	}
+}
+
+// Run a job now and record the run. Overlapping runs of the same job are skipped.
+const runJob = async name => {
+	const job = jobs.get(name)
+	if (!job) {
+		throw new Error(`Unknown job: ${name}`)
+	}
+	if (job.running) {
+		console.log(`Job ${name} is still running, skipping`)
+		return null
+	}
+
+	job.running = true
+	const startedAt = new Date()
+	const run = { startedAt: startedAt.toISOString(), finishedAt: null, durationMs: null, status: null, result: null, error: null }
+
+	try {
+		run.result = (await job.task()) || null
+		run.status = "ok"
+	} catch (error) {
+		console.error(`Job ${name} failed:`, error)
+		run.status = "failed"
+		run.error = error.message
+	} finally {
+		job.running = false
+		job.lastRunAt = startedAt
+	}
+
+	const finishedAt = new Date()
+	run.finishedAt = finishedAt.toISOString()
+	run.durationMs = finishedAt - startedAt
+
+	try {
+		await updateJsonFile(JOB_RUNS_FILE, runs => {
+			runs[name] = [...(runs[name] || []), run].slice(-MAX_RUNS_PER_JOB)
+		})
+	} catch (error) {
+		console.error(`Error recording run of job ${name}:`, error)
+	}
+
+	return run
+}
+
+// Register a job to run every intervalMs, starting shortly after startup
+const scheduleJob = (name, intervalMs, task, { initialDelayMs = 5000 } = {}) => {
+	if (jobs.has(name)) {
+		throw new Error(`Job already scheduled: ${name}`)
+	}
+
+	const job = { name, intervalMs, task, running: false, lastRunAt: null, timer: null }
+	jobs.set(name, job)
+
+	const tick = () => runJob(name).catch(error => console.error(`Job ${name} failed:`, error))
+
+	setTimeout(() => {
+		tick()
+		job.timer = setInterval(tick, intervalMs)
+	}, initialDelayMs)
+
+	console.log(`Job ${name} scheduled every ${Math.round(intervalMs / 60000)} minute(s)`)
+}
+
+// Status of every registered job, with its recorded runs (newest first)
+const getJobStatus = async () => {
+	const runs = await loadJobRuns()
+
+	return Array.from(jobs.values()).map(job => {
+		const history = (runs[job.name] || []).slice().reverse()
+		const lastRun = history[0] || null
+		const lastStart = job.lastRunAt || (lastRun ? new Date(lastRun.startedAt) : null)
+
+		return {
+			name: job.name,
+			intervalMs: job.intervalMs,
+			running: job.running,
+			lastRun: lastRun,
+			nextRunAt: lastStart ? new Date(lastStart.getTime() + job.intervalMs).toISOString() : null,
+			runs: history
+		}
+	})
+}
+
+// Export functions
+module.exports = {
+	scheduleJob,
+	runJob,
+	getJobStatus
+}
@@ -7,19 +7,169 @@ const cors = require("cors")
 const fs = require("fs").promises
 const path = require("path")
 const crypto = require("crypto")
-const { sendLicenseEmail, sendRevocationEmail, sendDeletionEmail, isEmailConfigured } = require("./emailService")
+const {
+	sendLicenseEmail,
+	sendRenewalEmail,
+	sendStatusChangeEmail,
+	sendLicenseChangeEmail,
+	sendExpiryReminderEmail,
+	sendRevocationEmail,
+	sendDeletionEmail,
+	isEmailConfigured
+} = require("./emailService")
+const { verifyWebhookSignature } = require("./paypalWebhook")
+const { scheduleJob, runJob, getJobStatus } = require("./scheduler")
+const {
+	ensurePlansFile,
+	loadPlans,
+	updatePlans,
+	findPlan,
+	findPlanByType,
+	findPlanByAmount,
+	addDuration,
+	validatePlan
+} = require("./planCatalog")
+const {
+	loadExtensions,
+	updateExtensions,
+	ensureExtensionsFile,
+	findExtension,
+	findExtensionByName,
+	isPlanAllowed,
+	validateExtension
+} = require("./extensionRegistry")
+const { assignPaymentPlan, computeStats } = require("./licenseStats")
+const { createLicenseStore } = require("./storage")
+const { writeJsonFile, updateJsonFile } = require("./jsonFile")
+const { isBackupName, createBackup, listBackups, restoreBackup } = require("./backups")
+const { getPublicKeys, rotateSigningKey, issueLicenseToken } = require("./licenseTokens")
+const { limitFromEnv, createRateLimiter, rateLimit, recordFailure, unblockIp, getRateLimitStatus } = require("./rateLimiter")
+const { API_KEY_SCOPES, listApiKeys, createApiKey, revokeApiKey, authenticateApiKey } = require("./apiKeys")
+const { ACTOR_TYPES, AUDIT_ACTIONS, recordAudit, readAuditLog, writeAuditExport } = require("./auditLog")
+const { LICENSE_STATUSES, buildOpenApiDocument } = require("./openapi")
+const { recordEmailEvent, recordVerifyEvent, readLicenseEvents } = require("./licenseEvents")
+const { TRANSFER_FORMATS, LICENSE_DATE_FIELDS, writeLicenseExport, parseLicenseImport } = require("./licenseTransfer")
+const { TRASH_RETENTION_DAYS, listTrash, getTrashed, addToTrash, removeFromTrash, removeExpiredFromTrash } = require("./licenseTrash")
+const { DEFAULT_SEATS, isValidDeviceId, getSeatLimit, getDevices, findDevice, activateDevice, deactivateDevices } = require("./devices")
+const {
+	SESSION_COOKIE,
+	SESSION_TTL_MS,
+	MIN_PASSWORD_LENGTH,
+	ROLES,
+	hasRole,
+	ensureAdminUsers,
+	listAdminUsers,
+	getAdminUser,
+	authenticate,
+	createAdminUser,
+	setAdminPassword,
+	setAdminRole,
+	deleteAdminUser,
+	createSession,
+	getSession,
+	destroySession,
+	checkCsrfToken,
+	getCookie,
+	sessionCookie
+} = require("./adminAuth")
 
 const app = express()
 const PORT = process.env.PORT || 3000
 
+// Job intervals from the environment - a non-numeric or non-positive value falls back to the default instead of
+// scheduling a timer that fires non-stop, and so does one longer than a timer can wait (about 24 days)
+const MAX_TIMER_MS = 2 ** 31 - 1
+function intervalFromEnv(name, fallback, unitMs) {
+	if (!process.env[name]) {
+		return fallback
+	}
+	const value = Number(process.env[name])
+	if (value > 0 && value * unitMs <= MAX_TIMER_MS) {
+		return value
+	}
+	console.warn(`${name} must be a positive number up to ${Math.floor(MAX_TIMER_MS / unitMs)} - using ${fallback}`)
+	return fallback
+}
+
+// Days a subscription keeps working after a missed or failed renewal (0 disables the grace period)
+const GRACE_PERIOD_DAYS = parseInt(process.env.GRACE_PERIOD_DAYS || "7", 10)
+
+// How often the expiry sweep runs, and how many days before expiry reminders go out
+const SWEEP_INTERVAL_MINUTES = intervalFromEnv("SWEEP_INTERVAL_MINUTES", 60, 60 * 1000)
+const REMINDER_DAYS = (process.env.REMINDER_DAYS || "7,1")
+	.split(",")
+	.map(days => parseInt(days, 10))
+	.filter(days => days > 0)
+	.sort((a, b) => a - b)
+
+// How stale a device's lastSeenAt can get before /api/verify updates it
+const DEVICE_SEEN_INTERVAL_MS = 60 * 60 * 1000
+
+// Request limits per RATE_LIMIT_WINDOW_SECONDS (sliding window)
+const RATE_LIMIT_WINDOW_MS = limitFromEnv("RATE_LIMIT_WINDOW_SECONDS", 60) * 1000
+const verifyIpLimiter = createRateLimiter({
+	name: "license-per-ip",
+	windowMs: RATE_LIMIT_WINDOW_MS,
+	max: limitFromEnv("LICENSE_RATE_LIMIT_PER_IP", 60)
+})
+const verifyKeyLimiter = createRateLimiter({
+	name: "license-per-key",
+	windowMs: RATE_LIMIT_WINDOW_MS,
+	max: limitFromEnv("LICENSE_RATE_LIMIT_PER_KEY", 30)
+})
+const adminIpLimiter = createRateLimiter({
+	name: "admin-per-ip",
+	windowMs: RATE_LIMIT_WINDOW_MS,
+	max: limitFromEnv("ADMIN_RATE_LIMIT_PER_IP", 120)
+})
+
+// Hours between automatic backups of the data directory (0 turns them off)
+const BACKUP_INTERVAL_HOURS =
+	Number(process.env.BACKUP_INTERVAL_HOURS) === 0 ? 0 : intervalFromEnv("BACKUP_INTERVAL_HOURS", 24, 60 * 60 * 1000)
+
+// Behind a reverse proxy (Railway, Render, nginx...) the client IP comes from X-Forwarded-For - set TRUST_PROXY
+// to the number of proxies in front of the server, or rate limits will see every request as the proxy's IP
+if (process.env.TRUST_PROXY) {
+	const hops = parseInt(process.env.TRUST_PROXY, 10)
+	app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops)
+}
+
 // Middleware
 app.use(cors())
-app.use(express.json())
+// License imports are whole files, sent as text and bigger than the JSON body limit
+app.use("/api/admin/import", express.text({ type: () => true, limit: "10mb" }))
+app.use(
+	express.json({
+		// Keep the raw body around - PayPal signatures are computed over the exact bytes sent
+		verify: (req, res, buf) => {
+			req.rawBody = buf
+		}
+	})
+)
 app.use(express.urlencoded({ extended: true }))
 
+// Rate limits - license checks per IP and per license key, admin routes per IP
+const licenseRateLimit = rateLimit([
+	{ limiter: verifyIpLimiter, key: req => req.ip },
+	{ limiter: verifyKeyLimiter, key: req => req.body && req.body.licenseKey }
+])
+app.use(["/api/verify", "/api/activate", "/api/deactivate"], licenseRateLimit)
+app.use(["/admin", "/api/admin", "/api/v1"], rateLimit([{ limiter: adminIpLimiter, key: req => req.ip }]))
+
+// License storage - JSON file or SQLite, picked by STORAGE_DRIVER
+const licenseStore = createLicenseStore()
+
 // Data file paths
-const LICENSES_FILE = "./data/licenses.json"
 const STATS_FILE = "./data/stats.json"
+const WEBHOOK_EVENTS_FILE = "./data/webhook-events.json"
+
+// The webhook-event-purge job keeps ledger entries for WEBHOOK_EVENTS_RETENTION_DAYS after their last delivery, and
+// only the newest WEBHOOK_EVENTS_MAX. Whatever those are set to, the newest WEBHOOK_EVENTS_MIN_KEPT and everything
+// still inside PayPal's retry window are kept, so a redelivery is always recognised as a duplicate
+const WEBHOOK_EVENTS_RETENTION_DAYS = Math.max(Number(process.env.WEBHOOK_EVENTS_RETENTION_DAYS) || 90, 3)
+const WEBHOOK_EVENTS_MAX = Math.max(parseInt(process.env.WEBHOOK_EVENTS_MAX, 10) || 10000, 100)
+const WEBHOOK_EVENTS_MIN_KEPT = 100
+const WEBHOOK_RETRY_WINDOW_MS = 3 * 24 * 60 * 60 * 1000
 
 // Ensure data directory exists
 async function ensureDataDir() {
@@ -28,60 +178,86 @@ async function ensureDataDir() {
 
 		// Initialize files if they don't exist
 		try {
-			await fs.access(LICENSES_FILE)
+			await fs.access(STATS_FILE)
 		} catch {
-			await fs.writeFile(LICENSES_FILE, JSON.stringify({}))
+			await fs.writeFile(STATS_FILE, JSON.stringify({}))
 		}
 
 		try {
-			await fs.access(STATS_FILE)
+			await fs.access(WEBHOOK_EVENTS_FILE)
 		} catch {
-			await fs.writeFile(
-				STATS_FILE,
-				JSON.stringify({
-					totalSales: 0,
-					monthlyRevenue: 0,
-					activeSubscriptions: 0
-				})
-			)
+			await fs.writeFile(WEBHOOK_EVENTS_FILE, JSON.stringify({}))
 		}
+
+		await ensurePlansFile()
 	} catch (error) {
 		console.error("Error creating data directory:", error)
 	}
 }
 
-// Initialize data directory
-ensureDataDir()
-
 // Helper functions
-async function loadLicenses() {
+// Stats are derived from the license and payment records; stats.json only holds the last rebuilt snapshot
+async function loadStats() {
 	try {
-		const data = await fs.readFile(LICENSES_FILE, "utf8")
+		const data = await fs.readFile(STATS_FILE, "utf8")
 		return JSON.parse(data)
 	} catch {
 		return {}
 	}
 }
 
-async function saveLicenses(licenses) {
-	await fs.writeFile(LICENSES_FILE, JSON.stringify(licenses, null, 2))
+async function saveStats(stats) {
+	await writeJsonFile(STATS_FILE, stats)
+}
+
+async function getStats() {
+	return computeStats(await licenseStore.list(), await loadPlans())
 }
 
-async function loadStats() {
+// Processed PayPal webhook events, keyed by PayPal event ID
+async function loadWebhookEvents() {
 	try {
-		const data = await fs.readFile(STATS_FILE, "utf8")
+		const data = await fs.readFile(WEBHOOK_EVENTS_FILE, "utf8")
 		return JSON.parse(data)
 	} catch {
-		return {
-			totalSales: 0,
-			monthlyRevenue: 0,
-			activeSubscriptions: 0
-		}
+		return {}
 	}
 }
 
-async function saveStats(stats) {
-	await fs.writeFile(STATS_FILE, JSON.stringify(stats, null, 2))
+// Change the ledger in one queued step - deliveries can be processed concurrently
+async function updateWebhookEvents(update) {
+	await updateJsonFile(WEBHOOK_EVENTS_FILE, update)
+}
+
+// Scheduled job: drop ledger entries past WEBHOOK_EVENTS_RETENTION_DAYS or beyond the newest WEBHOOK_EVENTS_MAX,
+// never the newest WEBHOOK_EVENTS_MIN_KEPT or any PayPal could still redeliver
+async function purgeWebhookEvents(now = Date.now()) {
+	const cutoff = now - WEBHOOK_EVENTS_RETENTION_DAYS * 24 * 60 * 60 * 1000
+	const receivedAt = entry => new Date(entry.lastReceivedAt || entry.receivedAt).getTime() || 0
+	const keptEntries = events =>
+		Object.entries(events)
+			.sort((a, b) => receivedAt(b[1]) - receivedAt(a[1]))
+			.filter(
+				([, entry], index) =>
+					index < WEBHOOK_EVENTS_MIN_KEPT ||
+					receivedAt(entry) > now - WEBHOOK_RETRY_WINDOW_MS ||
+					(index < WEBHOOK_EVENTS_MAX && receivedAt(entry) > cutoff)
+			)
+
+	// Nothing to rewrite on most runs
+	const current = await loadWebhookEvents()
+	if (keptEntries(current).length === Object.keys(current).length) {
+		return { purged: 0 }
+	}
+
+	let purged = 0
+	await updateWebhookEvents(events => {
+		const kept = keptEntries(events)
+		purged = Object.keys(events).length - kept.length
+		return Object.fromEntries(kept)
+	})
+	console.log(`Webhook events purged: ${purged}`)
+	return { purged }
 }
 
 // Generate unique license key
@@ -91,7 +267,7 @@ function generateLicenseKey() {
 	return `${prefix}-${random.slice(0, 4)}-${random.slice(4, 8)}-${random.slice(8, 12)}-${random.slice(12)}`
 }
 
-// Generate extension ID from extension name
+// Generate extension ID from extension name - only for licenses from before the extension registry
 function generateExtensionId(extensionName) {
 	// Convert to lowercase and replace spaces with hyphens
 	// Examples: "ReplyBolt" -> "reply-bolt", "BidLancer" -> "bidlancer"
@@ -101,102 +277,321 @@ function generateExtensionId(extensionName) {
 		.toLowerCase()
 }
 
-// Calculate expiry date based on subscription type
-function calculateExpiry(subscriptionType) {
-	const now = new Date()
-	switch (subscriptionType) {
-		case "monthly":
-			now.setMonth(now.getMonth() + 1)
-			break
-		case "annual":
-			now.setFullYear(now.getFullYear() + 1)
-			break
-		case "lifetime":
-			now.setFullYear(now.getFullYear() + 100) // Effectively lifetime
-			break
+// Extension a license is for; old licenses without extensionId derive it from extensionName
+function getLicenseExtensionId(license) {
+	return license.extensionId || generateExtensionId(license.extensionName || "ReplyBolt")
+}
+
+// Licenses are tied to one extension
+function isLicenseForExtension(license, extensionId) {
+	return getLicenseExtensionId(license) === extensionId
+}
+
+// Registry entry for a license's extension, or null if it isn't registered
+async function getLicenseExtension(license) {
+	return findExtension(await loadExtensions(), getLicenseExtensionId(license))
+}
+
+// What emails say about a license's extension - name, support address and branding come from the registry,
+// so a rename there shows in every email; extensions no longer registered keep the name stored on the license
+async function getExtensionEmailDetails(license) {
+	const extension = await getLicenseExtension(license)
+	if (!extension) {
+		return { extensionName: license.extensionName || "ReplyBolt" }
+	}
+	return {
+		extensionName: extension.name,
+		supportEmail: extension.supportEmail || undefined,
+		branding: extension.branding || {},
+		chromeWebStoreId: extension.chromeWebStoreId || null
+	}
+}
+
+// Calculate expiry date from a catalog plan
+// Counts one billing period from `from` (defaults to now); no plan means monthly
+function calculateExpiry(plan, from = new Date()) {
+	return addDuration(from, plan ? plan.duration : { unit: "month", count: 1 }).toISOString()
+}
+
+// Catalog plan for an existing license - by its PayPal plan ID, or by type for older licenses
+function getLicensePlan(plans, license) {
+	return findPlan(plans, license.planId) || findPlanByType(plans, license.subscriptionType)
+}
+
+// End of the grace period starting at `from` (a failed renewal, or the expiry date a renewal missed)
+// Manual and lifetime licenses don't renew, so they get none
+function calculateGraceUntil(license, from) {
+	if (GRACE_PERIOD_DAYS <= 0 || !license.paypalSubscriptionId || license.subscriptionType === "lifetime") {
+		return null
+	}
+	const graceUntil = new Date(from)
+	graceUntil.setDate(graceUntil.getDate() + GRACE_PERIOD_DAYS)
+	return graceUntil.toISOString()
+}
+
+// Work out whether a license grants access right now
+// Returns { valid, graceUntil, warning, lapsed } - lapsed means a cancelled license reached its expiry
+function getLicenseAccess(license, now = new Date()) {
+	const expiresAt = new Date(license.expiresAt)
+
+	switch (license.status) {
+		case "active": {
+			if (now < expiresAt) {
+				return { valid: true }
+			}
+			// Renewal payments can land after expiresAt - keep subscribers working while PayPal catches up
+			const graceUntil = calculateGraceUntil(license, license.expiresAt)
+			if (graceUntil && now < new Date(graceUntil)) {
+				return { valid: true, graceUntil, warning: "Your subscription renewal is being processed." }
+			}
+			return { valid: false }
+		}
+		case "cancelled":
+			if (now < expiresAt) {
+				return { valid: true, warning: `Your subscription has been cancelled. Access ends on ${license.expiresAt}.` }
+			}
+			return { valid: false, lapsed: true }
+		case "past_due": {
+			const graceUntil = license.graceUntil
+			if (graceUntil && now < new Date(graceUntil)) {
+				return {
+					valid: true,
+					graceUntil,
+					warning: `Your last payment failed. Update your payment method before ${graceUntil} to keep using the extension.`
+				}
+			}
+			return { valid: false }
+		}
 		default:
-			now.setMonth(now.getMonth() + 1) // Default to monthly
+			return { valid: false }
 	}
-	return now.toISOString()
 }
 
-// ROUTES
+// Username and password from a Basic auth header, or null
+function parseBasicAuth(header) {
+	if (!header || !header.startsWith("Basic ")) {
+		return null
+	}
+	const decoded = Buffer.from(header.slice(6), "base64").toString()
+	const separator = decoded.indexOf(":")
+	return separator === -1 ? null : { username: decoded.slice(0, separator), password: decoded.slice(separator + 1) }
+}
 
-// 1. PayPal Webhook - Receives payment notifications
-app.post("/webhook/paypal", async (req, res) => {
+// JSON error response - { error, code } plus details for invalid fields; code is a stable name scripts can check
+// (see the Error schema in openapi.js)
+const sendError = (res, status, code, error, details) => res.status(status).json(details ? { error, code, details } : { error, code })
+
+// Admin auth check - a dashboard session cookie, or for scripts an API key (Bearer, /api/ routes only)
+// or Basic auth with an admin's username and password
+// Sets req.admin to { username, role, csrfToken } (csrfToken only for sessions), plus apiKey for API keys
+// Register an async route - Express 4 doesn't catch rejected promises, so they're passed on to the error handlers
+// (the /api/v1 one, or the admin one for /admin and /api/admin) instead of crashing the process
+function asyncRoute(method, path, ...handlers) {
+	const handler = handlers.pop()
+	app[method](path, ...handlers, (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next))
+}
+
+async function requireAdmin(req, res, next) {
 	try {
-		// PayPal sends different event types
-		const { event_type, resource } = req.body
-
-		console.log("PayPal webhook received:", event_type)
-
-		// Handle subscription activated
-		if (event_type === "BILLING.SUBSCRIPTION.ACTIVATED" || event_type === "PAYMENT.SALE.COMPLETED") {
-			const email = resource.subscriber?.email_address || resource.payer?.email_address || resource.billing_agreement_id
-			const subscriptionId = resource.id || resource.billing_agreement_id
-			const planId = resource.plan_id || "monthly" // Default to monthly
-
-			// Determine subscription type from plan ID or amount
-			let subscriptionType = "monthly"
-			if (planId.includes("annual") || planId.includes("yearly")) {
-				subscriptionType = "annual"
-			} else if (planId.includes("lifetime")) {
-				subscriptionType = "lifetime"
+		const authorization = req.headers.authorization || ""
+		if (authorization.startsWith("Bearer ") && req.path.startsWith("/api/")) {
+			const apiKey = await authenticateApiKey(authorization.slice(7).trim(), { ip: req.ip })
+			if (!apiKey) {
+				recordFailure(req.ip, "Invalid API key")
+				return sendError(res, 401, "unauthorized", "Invalid, expired or revoked API key")
 			}
+			// No role - what a key can do is decided by its scopes alone (see requireRole)
+			req.admin = { username: `api-key:${apiKey.name}`, role: null, csrfToken: null, apiKey }
+			return next()
+		}
 
-			// Generate license
-			const licenseKey = generateLicenseKey()
-			const expiresAt = calculateExpiry(subscriptionType)
-
-			// Load existing licenses
-			const licenses = await loadLicenses()
-
-			// Save new license
-			licenses[licenseKey] = {
-				email: email,
-				subscriptionId: subscriptionId,
-				subscriptionType: subscriptionType,
-				status: "active",
-				createdAt: new Date().toISOString(),
-				expiresAt: expiresAt,
-				paypalSubscriptionId: subscriptionId,
-				extensionName: "ReplyBolt", // Default extension name
-				extensionId: "reply-bolt" // Default extension ID
+		const session = await getSession(getCookie(req, SESSION_COOKIE))
+		// Roles are looked up on every request, so a role change applies straight away
+		const sessionAdmin = session && (await getAdminUser(session.username))
+		if (sessionAdmin) {
+			// Browsers attach the cookie to any request, so changes must also carry the token only the dashboard knows
+			const csrfToken = req.get("X-CSRF-Token") || (req.body && req.body._csrf)
+			if (!["GET", "HEAD"].includes(req.method) && !checkCsrfToken(session, csrfToken)) {
+				return sendError(res, 403, "forbidden", "Invalid or missing CSRF token")
 			}
+			req.admin = { ...sessionAdmin, csrfToken: session.csrfToken }
+			return next()
+		}
 
-			await saveLicenses(licenses)
+		const credentials = parseBasicAuth(authorization)
+		if (credentials) {
+			const admin = await authenticate(credentials.username, credentials.password)
+			if (admin) {
+				req.admin = { ...admin, csrfToken: null }
+				return next()
+			}
+			recordFailure(req.ip, "Failed admin login")
+		}
 
-			// Update stats
-			const stats = await loadStats()
-			stats.totalSales += 1
-			stats.activeSubscriptions += 1
+		if (req.path.startsWith("/api/")) {
+			return sendError(res, 401, "unauthorized", "Unauthorized")
+		}
+		res.redirect("/admin/login")
+	} catch (error) {
+		next(error)
+	}
+}
 
-			// Add to monthly revenue
-			const amount = resource.amount?.total || (subscriptionType === "monthly" ? 9.99 : subscriptionType === "annual" ? 99 : 199)
-			stats.monthlyRevenue += parseFloat(amount)
+// Role check, used after requireAdmin - see ROLES in adminAuth.js for what each role covers
+// API keys need the route's scope instead (see API_KEY_SCOPES in apiKeys.js); routes without a scope refuse them
+const requireRole = (role, scope) => (req, res, next) => {
+	if (req.admin.apiKey) {
+		if (!scope || !req.admin.apiKey.scopes.includes(scope)) {
+			return sendError(res, 403, "forbidden", scope ? `This API key needs the ${scope} scope` : "API keys can't use this route")
+		}
+		return next()
+	}
+	if (!hasRole(req.admin, role)) {
+		return sendError(res, 403, "forbidden", `This needs the ${role} role`)
+	}
+	next()
+}
 
-			await saveStats(stats)
+// AUDITED LICENSE CHANGES
+// Every change to a license goes through these, so the audit log records who made it and what changed
+// audit is { actorType, actor, ip } (see auditLog.js) plus the action and an optional reason
 
-			console.log(`New license created: ${licenseKey} for ${email}`)
+// Audit details for a request made by a signed-in admin or an API key
+const adminAudit = req =>
+	req.admin.apiKey
+		? { actorType: "api-key", actor: req.admin.apiKey.name, ip: req.ip }
+		: { actorType: "admin", actor: req.admin.username, ip: req.ip }
 
-			// Send email with license key (non-blocking)
-			try {
-				const emailResult = await sendLicenseEmail({
-					email: email,
-					licenseKey: licenseKey,
-					extensionName: "ReplyBolt",
-					subscriptionType: subscriptionType,
-					expiresAt: expiresAt
-				})
-				if (emailResult.sent) {
-					console.log(`License email sent to ${email}`)
-				}
-			} catch (error) {
-				console.error("Error sending license email:", error)
-				// Continue without failing the webhook
-			}
+// Save a license and record the change, with the stored copy as the "before" snapshot - for new licenses;
+// changes to an existing one go through updateLicense
+async function saveLicense(licenseKey, license, audit) {
+	const before = await licenseStore.get(licenseKey)
+	await licenseStore.save(licenseKey, license)
+	await recordAudit({ ...audit, licenseKey, before, after: license })
+}
+
+// Change the stored license in one step (see the store's update) and record it - for changes that must not be
+// lost to, or undo, a save made while the request was waiting. Returns the license, or null if it wasn't changed
+async function updateLicense(licenseKey, change, audit) {
+	let before = null
+	const license = await licenseStore.update(licenseKey, current => {
+		before = JSON.parse(JSON.stringify(current))
+		return change(current)
+	})
+	if (license) {
+		await recordAudit({ ...audit, licenseKey, before, after: license })
+	}
+	return license
+}
+
+async function removeLicense(licenseKey, audit) {
+	const before = await licenseStore.get(licenseKey)
+	await licenseStore.remove(licenseKey)
+	await recordAudit({ ...audit, licenseKey, before, after: null })
+}
+
+// Escape text for HTML pages - audit entries hold customer emails and device names
+const escapeHtml = value =>
+	String(value === null || value === undefined ? "" : value)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&#39;")
+
+// WEBHOOK EVENT HANDLERS
+// Each handler applies one PayPal event and returns { outcome, detail, licenseKey }
+// outcome is "applied", "duplicate" or "ignored"; throwing marks the event as failed
+// Handlers are called with (resource, event, audit) - audit identifies the webhook for the audit log
+
+async function handleSubscriptionActivated(resource, event, audit) {
+	const email = resource.subscriber?.email_address || resource.payer?.email_address || resource.billing_agreement_id
+	// Sale events carry the sale ID in resource.id and the subscription in billing_agreement_id
+	const subscriptionId = resource.billing_agreement_id || resource.id
+
+	// One purchase can arrive as several events - only the first one creates a license
+	const existing = await licenseStore.findBySubscriptionId(subscriptionId)
+	if (existing) {
+		return {
+			outcome: "duplicate",
+			detail: `License already exists for subscription ${subscriptionId}`,
+			licenseKey: existing[0]
+		}
+	}
+
+	// Subscriptions name their plan; one-off sales are matched on the amount paid
+	const plans = await loadPlans()
+	const plan = resource.plan_id
+		? findPlan(plans, resource.plan_id)
+		: findPlanByAmount(plans, resource.amount?.total, resource.amount?.currency || "USD")
+
+	// Fail (so PayPal retries) rather than guess - adding the plan to the catalog lets the retry succeed
+	if (!plan) {
+		throw new Error(`Unknown PayPal plan ${resource.plan_id || `for amount ${resource.amount?.total}`} - add it to the plan catalog`)
+	}
+
+	// The registry names the extension - a plan for an unregistered extension still gets its license
+	const extension = findExtension(await loadExtensions(), plan.extensionId)
+	if (!extension) {
+		console.warn(`Plan ${plan.planId} is for extension ${plan.extensionId}, which isn't in the extension registry`)
+	}
+
+	const subscriptionType = plan.subscriptionType
+
+	// Generate license
+	const licenseKey = generateLicenseKey()
+	const expiresAt = calculateExpiry(plan)
+
+	// Save new license
+	const license = {
+		email: email,
+		subscriptionId: subscriptionId,
+		subscriptionType: subscriptionType,
+		planId: plan.planId,
+		status: "active",
+		createdAt: new Date().toISOString(),
+		expiresAt: expiresAt,
+		paypalSubscriptionId: subscriptionId,
+		extensionName: extension ? extension.name : plan.extensionName,
+		extensionId: plan.extensionId,
+		devices: [],
+		// One-off sales are paid already; subscription payments arrive as PAYMENT.SALE.COMPLETED
+		payments: resource.amount?.total
+			? [
+					{
+						saleId: resource.id,
+						amount: parseFloat(resource.amount.total),
+						currency: resource.amount.currency || "USD",
+						paidAt: resource.create_time || new Date().toISOString(),
+						type: "initial"
+					}
+				]
+			: []
+	}
+	await saveLicense(licenseKey, license, { ...audit, action: "license.create", reason: `Purchased (${event.event_type})` })
+
+	console.log(`New license created: ${licenseKey} for ${email}`)
+
+	// Send email with license key (non-blocking)
+	try {
+		const emailResult = await sendLicenseEmail({
+			email: email,
+			licenseKey: licenseKey,
+			...(await getExtensionEmailDetails(license)),
+			subscriptionType: subscriptionType,
+			plan: plan,
+			expiresAt: expiresAt
+		})
+		await recordEmailEvent(licenseKey, email, "license", emailResult)
+		if (emailResult.sent) {
+			console.log(`License email sent to ${email}`)
+		}
+	} catch (error) {
+		console.error("Error sending license email:", error)
+		// Continue without failing the webhook
+	}
 
-			console.log(`
+	console.log(`
                 ====================================
                 NEW LICENSE CREATED
                 Email: ${email}
@@ -205,121 +600,4747 @@ app.post("/webhook/paypal", async (req, res) => {
                 Expires: ${expiresAt}
                 ====================================
             `)
-		}
 
-		// Handle subscription cancelled
-		if (event_type === "BILLING.SUBSCRIPTION.CANCELLED") {
-			const subscriptionId = resource.id
-			const licenses = await loadLicenses()
+	return { outcome: "applied", detail: "License created", licenseKey }
+}
+
+async function handlePaymentCompleted(resource, event, audit) {
+	const subscriptionId = resource.billing_agreement_id
 
-			// Find and update license
-			for (const [key, license] of Object.entries(licenses)) {
-				if (license.paypalSubscriptionId === subscriptionId) {
-					license.status = "cancelled"
-					license.cancelledAt = new Date().toISOString()
-					console.log(`License cancelled: ${key}`)
-					break
-				}
+	// One-off payments (no subscription) are purchases in their own right
+	if (!subscriptionId) {
+		return handleSubscriptionActivated(resource, event, audit)
+	}
+
+	const match = await licenseStore.findBySubscriptionId(subscriptionId)
+
+	// The sale can arrive before BILLING.SUBSCRIPTION.ACTIVATED - fail so PayPal retries it later
+	if (!match) {
+		throw new Error(`No license for subscription ${subscriptionId} yet`)
+	}
+
+	const [licenseKey] = match
+	const isRecorded = license => (license.payments || []).some(payment => payment.saleId === resource.id)
+	if (isRecorded(match[1])) {
+		return { outcome: "duplicate", detail: `Sale ${resource.id} already recorded`, licenseKey }
+	}
+
+	const plans = await loadPlans()
+	const amount = parseFloat(resource.amount?.total || 0)
+	const payment = {
+		saleId: resource.id,
+		amount: amount,
+		currency: resource.amount?.currency || "USD",
+		paidAt: resource.create_time || new Date().toISOString()
+	}
+
+	const paymentAudit = { ...audit, action: "license.payment" }
+	const license = await updateLicense(
+		licenseKey,
+		current => {
+			if (isRecorded(current)) {
+				return false
 			}
 
-			await saveLicenses(licenses)
+			// Licenses created by activation start with an empty payment list; their first sale is the
+			// purchase itself and is already covered by the initial expiry. Older licenses have no list.
+			payment.type = Array.isArray(current.payments) && current.payments.length === 0 ? "initial" : "renewal"
 
-			// Update stats
-			const stats = await loadStats()
-			stats.activeSubscriptions = Math.max(0, stats.activeSubscriptions - 1)
-			await saveStats(stats)
-		}
+			if (payment.type === "renewal") {
+				// Extend from the current expiry, or from today if it already lapsed
+				const now = new Date()
+				const currentExpiry = new Date(current.expiresAt)
+				payment.previousExpiresAt = current.expiresAt
+				current.expiresAt = calculateExpiry(getLicensePlan(plans, current), currentExpiry > now ? currentExpiry : now)
+				current.renewedAt = now.toISOString()
+				payment.expiresAt = current.expiresAt
+			}
 
-		res.status(200).send("OK")
-	} catch (error) {
-		console.error("Webhook error:", error)
-		res.status(500).json({ error: "Webhook processing failed" })
+			current.payments = [...(current.payments || []), payment]
+			paymentAudit.reason =
+				payment.type === "initial"
+					? `Initial payment ${resource.id}`
+					: `Renewal payment ${resource.id}, now valid until ${current.expiresAt}`
+		},
+		paymentAudit
+	)
+
+	if (!license) {
+		return { outcome: "duplicate", detail: `Sale ${resource.id} already recorded`, licenseKey }
 	}
-})
+	const isInitialPayment = payment.type === "initial"
 
-// 2. Verify License - Called by extension
-app.post("/api/verify", async (req, res) => {
+	// A successful payment clears a failed renewal (the renewal email below covers the notification)
+	await transitionLicense(licenseKey, "active", {
+		from: ["past_due", "expired"],
+		reason: "Renewal payment received",
+		fields: { graceUntil: null },
+		notify: false,
+		audit
+	})
+
+	if (isInitialPayment) {
+		console.log(`Initial payment recorded for ${licenseKey}`)
+		return { outcome: "applied", detail: "Initial payment recorded", licenseKey }
+	}
+
+	console.log(`License renewed: ${licenseKey} until ${license.expiresAt}`)
+
+	// Send renewal confirmation (non-blocking)
 	try {
-		const { licenseKey, extensionId } = req.body
+		const emailResult = await sendRenewalEmail({
+			email: license.email,
+			licenseKey: licenseKey,
+			...(await getExtensionEmailDetails(license)),
+			subscriptionType: license.subscriptionType,
+			plan: findPlan(plans, license.planId),
+			expiresAt: license.expiresAt,
+			amount: amount,
+			currency: payment.currency
+		})
+		await recordEmailEvent(licenseKey, license.email, "renewal", emailResult)
+		if (emailResult.sent) {
+			console.log(`Renewal email sent to ${license.email}`)
+		}
+	} catch (error) {
+		console.error("Error sending renewal email:", error)
+		// Continue without failing the webhook
+	}
 
-		if (!licenseKey) {
-			return res.json({ valid: false, error: "No license key provided" })
+	return { outcome: "applied", detail: `License renewed until ${license.expiresAt}`, licenseKey }
+}
+
+async function handleSubscriptionCancelled(resource, event, audit) {
+	const subscriptionId = resource.id
+
+	// Find and update license
+	const match = await licenseStore.findBySubscriptionId(subscriptionId)
+	if (!match) {
+		return { outcome: "ignored", detail: `No license for subscription ${subscriptionId}` }
+	}
+
+	// The customer keeps the time they already paid for - the license expires at expiresAt
+	const [licenseKey] = match
+	const license = await transitionLicense(licenseKey, "cancelled", {
+		reason: "Subscription cancelled in PayPal",
+		fields: { cancelledAt: new Date().toISOString(), cancelAtPeriodEnd: true },
+		audit
+	})
+
+	if (!license) {
+		return { outcome: "duplicate", detail: "License already cancelled", licenseKey }
+	}
+	return { outcome: "applied", detail: `License cancelled, valid until ${license.expiresAt}`, licenseKey }
+}
+
+// Find the license a sale belongs to - by recorded payment, subscription, or one-off purchase
+// One-off purchases use the sale ID as their subscription ID
+async function findLicenseBySale(saleId, subscriptionId) {
+	return (
+		(await licenseStore.findBySaleId(saleId)) ||
+		(subscriptionId && (await licenseStore.findBySubscriptionId(subscriptionId))) ||
+		(await licenseStore.findBySubscriptionId(saleId))
+	)
+}
+
+// Set a license's status and note it in the license's status history - returns the status it had before
+function applyStatus(license, status, reason) {
+	const previousStatus = license.status
+	const now = new Date().toISOString()
+	license.status = status
+	license.statusChangedAt = now
+	license.statusHistory = [...(license.statusHistory || []), { from: previousStatus, to: status, at: now, reason: reason || null }]
+	return previousStatus
+}
+
+// Move a license to a new status, recording it in the license's status history and the audit log
+// The stored license is changed in one step (see updateLicense). Returns the updated license, or null if it was
+// already in that status, in none of the statuses details.from lists, or details.applies(license) returned false
+// details: { reason, fields, change, from, applies, notify, audit, action } - change(license) makes changes that
+// depend on the stored license, audit says who made the change (see adminAudit), and action overrides the audit
+// log's "license.status" for changes with their own action such as revokes
+async function transitionLicense(licenseKey, status, details = {}) {
+	let previousStatus = null
+	const audit = { ...(details.audit || { actorType: "system" }), action: details.action || "license.status" }
+	const license = await updateLicense(
+		licenseKey,
+		current => {
+			if (current.status === status || (details.from && !details.from.includes(current.status))) {
+				return false
+			}
+			if (details.applies && !details.applies(current)) {
+				return false
+			}
+			previousStatus = applyStatus(current, status, details.reason)
+			Object.assign(current, details.fields || {})
+			if (details.change) {
+				details.change(current)
+			}
+			audit.reason = `${previousStatus} -> ${status}${details.reason ? `: ${details.reason}` : ""}`
+		},
+		audit
+	)
+	if (!license) {
+		return null
+	}
+
+	console.log(`License ${licenseKey}: ${previousStatus} -> ${status}`)
+
+	if (details.notify === false) {
+		return license
+	}
+
+	// Tell the customer (non-blocking)
+	try {
+		const emailResult = await sendStatusChangeEmail({
+			email: license.email,
+			licenseKey: licenseKey,
+			...(await getExtensionEmailDetails(license)),
+			status: status,
+			reason: details.reason,
+			accessUntil: status === "past_due" ? license.graceUntil || license.expiresAt : license.expiresAt
+		})
+		await recordEmailEvent(licenseKey, license.email, `status:${status}`, emailResult)
+		if (emailResult.sent) {
+			console.log(`Status change email (${status}) sent to ${license.email}`)
 		}
+	} catch (error) {
+		console.error("Error sending status change email:", error)
+		// Continue without failing the webhook
+	}
 
-		// Require extension ID from the extension
-		if (!extensionId) {
-			return res.json({ valid: false, error: "Extension ID is required" })
+	return license
+}
+
+// Subscription lifecycle events that only move the license to another status
+// from lists the statuses each event applies to - revoked, refunded and disputed licenses are left to the admins
+const SUBSCRIPTION_TRANSITIONS = {
+	"BILLING.SUBSCRIPTION.SUSPENDED": {
+		status: "suspended",
+		from: ["active", "past_due", "cancelled"],
+		timestamp: "suspendedAt",
+		reason: "Subscription suspended in PayPal"
+	},
+	"BILLING.SUBSCRIPTION.RE-ACTIVATED": {
+		status: "active",
+		from: ["suspended", "past_due"],
+		timestamp: "reactivatedAt",
+		reason: "Subscription re-activated in PayPal"
+	},
+	"BILLING.SUBSCRIPTION.EXPIRED": {
+		status: "expired",
+		from: ["active", "past_due", "suspended", "cancelled"],
+		timestamp: "expiredAt",
+		reason: "Subscription expired in PayPal"
+	},
+	"BILLING.SUBSCRIPTION.PAYMENT.FAILED": {
+		status: "past_due",
+		from: ["active"],
+		timestamp: "paymentFailedAt",
+		reason: "Subscription payment failed"
+	}
+}
+
+async function handleSubscriptionTransition(resource, event, audit) {
+	const transition = SUBSCRIPTION_TRANSITIONS[event.event_type]
+	const subscriptionId = resource.id
+
+	const match = await licenseStore.findBySubscriptionId(subscriptionId)
+	if (!match) {
+		return { outcome: "ignored", detail: `No license for subscription ${subscriptionId}` }
+	}
+
+	const [licenseKey, license] = match
+	// A redelivery finds the license already moved, and is reported as a duplicate below
+	if (license.status !== transition.status && !transition.from.includes(license.status)) {
+		return { outcome: "ignored", detail: `License is ${license.status} - not changed to ${transition.status}`, licenseKey }
+	}
+
+	const changed = await transitionLicense(licenseKey, transition.status, {
+		from: transition.from,
+		reason: transition.reason,
+		fields: { [transition.timestamp]: new Date().toISOString() },
+		// A failed renewal starts the grace period; getting back to active ends it
+		change: current => {
+			if (transition.status === "past_due") {
+				// Payment can fail before the paid period ends - the grace period only starts after it
+				current.graceUntil = calculateGraceUntil(current, Math.max(new Date(current.expiresAt), Date.now()))
+			} else if (transition.status === "active") {
+				current.graceUntil = null
+			}
+		},
+		audit
+	})
+
+	if (!changed) {
+		// Another event moved the license since it was read
+		const current = await licenseStore.get(licenseKey)
+		if (!current || current.status !== transition.status) {
+			const status = current ? current.status : "deleted"
+			return { outcome: "ignored", detail: `License is ${status} - not changed to ${transition.status}`, licenseKey }
 		}
+		return { outcome: "duplicate", detail: `License already ${transition.status}`, licenseKey }
+	}
+	return { outcome: "applied", detail: `License ${transition.status}`, licenseKey }
+}
 
-		const licenses = await loadLicenses()
-		const license = licenses[licenseKey]
+async function handleSubscriptionUpdated(resource, event, audit) {
+	const subscriptionId = resource.id
 
-		if (!license) {
-			return res.json({ valid: false, error: "Invalid license key" })
+	const match = await licenseStore.findBySubscriptionId(subscriptionId)
+	if (!match) {
+		return { outcome: "ignored", detail: `No license for subscription ${subscriptionId}` }
+	}
+
+	// Plan changes and subscriber email edits are the parts of an update we track
+	const [licenseKey, license] = match
+	let plan = null
+	if (resource.plan_id && resource.plan_id !== license.planId) {
+		plan = findPlan(await loadPlans(), resource.plan_id)
+		if (!plan) {
+			throw new Error(`Unknown PayPal plan ${resource.plan_id} - add it to the plan catalog`)
 		}
+	}
+	const email = resource.subscriber?.email_address
 
-		// Always check extension ID match if license has one
-		if (license.extensionId) {
-			if (license.extensionId !== extensionId) {
-				return res.json({ valid: false, error: "This license is for a different extension" })
+	let changes = []
+	const updateAudit = { ...audit, action: "license.update" }
+	const updated = await updateLicense(
+		licenseKey,
+		current => {
+			changes = []
+			if (plan && plan.planId !== current.planId) {
+				changes.push(`plan ${current.planId || current.subscriptionType} -> ${plan.planId}`)
+				current.planId = plan.planId
+				current.subscriptionType = plan.subscriptionType
 			}
-		} else {
-			// For old licenses without extensionId, generate it from extensionName
-			const expectedExtensionId = generateExtensionId(license.extensionName || "ReplyBolt")
-			if (expectedExtensionId !== extensionId) {
-				return res.json({ valid: false, error: "This license is for a different extension" })
+			if (email && email !== current.email) {
+				changes.push(`email ${current.email} -> ${email}`)
+				current.email = email
 			}
-		}
+			if (changes.length === 0) {
+				return false
+			}
+			current.updatedAt = new Date().toISOString()
+			updateAudit.reason = `Updated in PayPal: ${changes.join(", ")}`
+		},
+		updateAudit
+	)
 
-		// Check if license is active and not expired
-		const now = new Date()
-		const expiryDate = new Date(license.expiresAt)
+	if (!updated) {
+		return { outcome: "ignored", detail: "No tracked fields changed", licenseKey }
+	}
 
-		const isValid = license.status === "active" && now < expiryDate
+	console.log(`License updated from PayPal: ${licenseKey} (${changes.join(", ")})`)
 
-		res.json({
-			valid: isValid,
-			email: isValid ? license.email : null,
-			expiresAt: isValid ? license.expiresAt : null,
-			subscriptionType: isValid ? license.subscriptionType : null,
-			extensionName: isValid ? license.extensionName : null
-		})
-	} catch (error) {
-		console.error("Verify error:", error)
-		res.status(500).json({ valid: false, error: "Server error" })
+	return { outcome: "applied", detail: `Updated ${changes.join(", ")}`, licenseKey }
+}
+
+async function handleSaleReversed(resource, event, audit) {
+	// Refund resources point at the sale; reversals are the sale itself
+	const saleId = resource.sale_id || resource.id
+
+	const match = await findLicenseBySale(saleId, resource.billing_agreement_id)
+	if (!match) {
+		return { outcome: "ignored", detail: `No license for sale ${saleId}` }
 	}
-})
 
-// 3. Admin Dashboard - Enhanced HTML interface
-app.get("/admin", async (req, res) => {
-	// Basic auth check
-	const auth = req.headers.authorization
-	const expectedAuth = "Basic " + Buffer.from(`admin:${process.env.ADMIN_PASSWORD || "changeme"}`).toString("base64")
+	const [licenseKey] = match
+	const refundId = resource.id
+	const isRecorded = license => (license.payments || []).some(payment => payment.type === "refund" && payment.refundId === refundId)
 
-	if (auth !== expectedAuth) {
-		res.setHeader("WWW-Authenticate", 'Basic realm="Admin Area"')
-		return res.status(401).send("Authentication required")
+	if (isRecorded(match[1])) {
+		return { outcome: "duplicate", detail: `Refund ${refundId} already recorded`, licenseKey }
 	}
 
-	const licenses = await loadLicenses()
-	const stats = await loadStats()
-	const emailConfigured = isEmailConfigured()
+	// The refund is recorded first - a second partial refund of a refunded license needs its payment record too
+	const amount = Math.abs(parseFloat(resource.amount?.total || 0))
+	const recorded = await updateLicense(
+		licenseKey,
+		current => {
+			if (isRecorded(current)) {
+				return false
+			}
+			current.payments = [
+				...(current.payments || []),
+				{
+					saleId: saleId,
+					refundId: refundId,
+					amount: -amount,
+					currency: resource.amount?.currency || "USD",
+					paidAt: resource.update_time || resource.create_time || new Date().toISOString(),
+					type: "refund"
+				}
+			]
+		},
+		{ ...audit, action: "license.payment", reason: `Refund ${refundId} of ${amount}` }
+	)
 
-	// Helper function for generating extension IDs in the template
-	const generateExtensionIdForTemplate = extensionName => {
-		return extensionName
-			.replace(/([a-z])([A-Z])/g, "$1-$2")
-			.replace(/\s+/g, "-")
-			.toLowerCase()
+	if (!recorded) {
+		return { outcome: "duplicate", detail: `Refund ${refundId} already recorded`, licenseKey }
 	}
 
-	// Generate HTML dashboard
-	const html = `
-<!DOCTYPE html>
-<html>
-<head>
-    <title>ReplyBolt License Dashboard</title>
-    <meta name="viewport" content="width=device-width, initial-scale=1">
+	const reversed = event.event_type === "PAYMENT.SALE.REVERSED"
+	await transitionLicense(licenseKey, "refunded", {
+		reason: reversed ? "Payment reversed" : "Payment refunded",
+		fields: { refundedAt: new Date().toISOString() },
+		audit
+	})
+
+	return { outcome: "applied", detail: `${reversed ? "Reversal" : "Refund"} of ${amount} recorded`, licenseKey }
+}
+
+async function handleDisputeCreated(resource, event, audit) {
+	const transaction = (resource.disputed_transactions || [])[0] || {}
+	const saleId = transaction.seller_transaction_id
+
+	const match = saleId ? await findLicenseBySale(saleId) : null
+	if (!match) {
+		return { outcome: "ignored", detail: `No license for disputed transaction ${saleId || "(none)"}` }
+	}
+
+	const [licenseKey] = match
+	const changed = await transitionLicense(licenseKey, "disputed", {
+		reason: resource.reason ? `Payment disputed (${resource.reason})` : "Payment disputed",
+		fields: { disputedAt: new Date().toISOString(), disputeId: resource.dispute_id || null },
+		audit
+	})
+
+	if (!changed) {
+		return { outcome: "duplicate", detail: "License already disputed", licenseKey }
+	}
+	return { outcome: "applied", detail: `License disputed (${resource.dispute_id || "unknown dispute"})`, licenseKey }
+}
+
+const webhookHandlers = {
+	"BILLING.SUBSCRIPTION.ACTIVATED": handleSubscriptionActivated,
+	"PAYMENT.SALE.COMPLETED": handlePaymentCompleted,
+	"BILLING.SUBSCRIPTION.CANCELLED": handleSubscriptionCancelled,
+	"BILLING.SUBSCRIPTION.SUSPENDED": handleSubscriptionTransition,
+	"BILLING.SUBSCRIPTION.RE-ACTIVATED": handleSubscriptionTransition,
+	"BILLING.SUBSCRIPTION.EXPIRED": handleSubscriptionTransition,
+	"BILLING.SUBSCRIPTION.PAYMENT.FAILED": handleSubscriptionTransition,
+	"BILLING.SUBSCRIPTION.UPDATED": handleSubscriptionUpdated,
+	"PAYMENT.SALE.REFUNDED": handleSaleReversed,
+	"PAYMENT.SALE.REVERSED": handleSaleReversed,
+	"CUSTOMER.DISPUTE.CREATED": handleDisputeCreated
+}
+
+// SCHEDULED JOBS
+
+// Licenses that lapse at expiresAt instead of renewing - the ones worth reminding
+function willLapse(license) {
+	if (license.subscriptionType === "lifetime") {
+		return false
+	}
+	return license.status === "cancelled" || (license.status === "active" && !license.paypalSubscriptionId)
+}
+
+// Expire licenses whose time (and grace period) ran out, and send expiry reminders
+// The list is only used to find the licenses to look at - each change is made to the stored license (see
+// updateLicense), so a renewal, extension or device activation while reminders go out isn't undone
+async function sweepLicenses() {
+	const now = new Date()
+	const licenses = await licenseStore.list()
+	const isExpired = license => new Date(license.expiresAt) <= now && !getLicenseAccess(license, now).valid
+	const result = { checked: 0, expired: 0, remindersSent: 0, reminderErrors: 0 }
+	const audit = { actorType: "system", actor: "expiry-sweep" }
+	const plans = await loadPlans()
+
+	for (const [licenseKey, license] of Object.entries(licenses)) {
+		if (!["active", "cancelled", "past_due"].includes(license.status)) {
+			continue
+		}
+		result.checked += 1
+
+		if (isExpired(license)) {
+			const expired = await transitionLicense(licenseKey, "expired", {
+				from: ["active", "cancelled", "past_due"],
+				applies: isExpired,
+				reason: license.status === "past_due" ? "Grace period ended without a successful payment" : "License reached its expiry date",
+				fields: { expiredAt: now.toISOString() },
+				audit
+			})
+			if (expired) {
+				result.expired += 1
+			}
+			continue
+		}
+
+		if (!willLapse(license)) {
+			continue
+		}
+
+		// Send the closest reminder due for this expiry date, once - extending the license resets them
+		const daysLeft = (new Date(license.expiresAt) - now) / (24 * 60 * 60 * 1000)
+		const reminderDays = REMINDER_DAYS.find(days => daysLeft <= days)
+		const remindersSent = license.remindersSent || {}
+		const sent = remindersSent[reminderDays]
+		if (!reminderDays || daysLeft <= 0 || (sent && sent.expiresAt === license.expiresAt)) {
+			continue
+		}
+
+		try {
+			const emailResult = await sendExpiryReminderEmail({
+				email: license.email,
+				licenseKey: licenseKey,
+				...(await getExtensionEmailDetails(license)),
+				subscriptionType: license.subscriptionType,
+				plan: findPlan(plans, license.planId),
+				expiresAt: license.expiresAt,
+				daysLeft: Math.ceil(daysLeft)
+			})
+			await recordEmailEvent(licenseKey, license.email, "expiry_reminder", emailResult)
+			if (!emailResult.sent) {
+				result.reminderErrors += 1
+				continue
+			}
+		} catch (error) {
+			console.error("Error sending expiry reminder email:", error)
+			result.reminderErrors += 1
+			continue
+		}
+
+		// Longer reminders that were skipped count as sent too
+		const entry = { sentAt: now.toISOString(), expiresAt: license.expiresAt }
+		await updateLicense(
+			licenseKey,
+			current => {
+				current.remindersSent = { ...(current.remindersSent || {}) }
+				REMINDER_DAYS.filter(days => days >= reminderDays).forEach(days => (current.remindersSent[days] = entry))
+			},
+			{ ...audit, action: "license.reminder", reason: `${reminderDays}-day expiry reminder sent` }
+		)
+
+		console.log(`Expiry reminder (${reminderDays}d) sent for ${licenseKey}`)
+		result.remindersSent += 1
+	}
+
+	if (result.expired > 0 || result.remindersSent > 0) {
+		console.log(`Expiry sweep: ${result.expired} expired, ${result.remindersSent} reminder(s) sent`)
+	}
+
+	return result
+}
+
+// LICENSE OPERATIONS
+// Shared by the dashboard's /api/admin/* routes and the REST API under /api/v1
+// Each takes the audit details of whoever asked for the change (see adminAudit)
+
+// Extension for a new manual license - the one asked for, or else the plan's own, if it allows the plan
+// Returns { extension } or { error }
+async function resolveLicenseExtension(extension, plan) {
+	const resolved = extension || findExtension(await loadExtensions(), plan.extensionId)
+	if (!resolved) {
+		return { error: `The ${plan.name} plan's extension (${plan.extensionId}) is not in the extension registry` }
+	}
+	if (!isPlanAllowed(resolved, plan.planId)) {
+		return { error: `${resolved.name} licenses can't be on the ${plan.name} plan` }
+	}
+	return { extension: resolved }
+}
+
+// Create a manual license and email the key - returns { licenseKey, license, emailSent }
+// extension is the registry entry (see resolveLicenseExtension)
+async function createManualLicense({ email, plan, extension, seats, notes }, audit) {
+	const licenseKey = generateLicenseKey()
+	const license = {
+		email: email,
+		subscriptionId: "MANUAL-" + Date.now(),
+		subscriptionType: plan.subscriptionType,
+		planId: plan.planId,
+		status: "active",
+		createdAt: new Date().toISOString(),
+		expiresAt: calculateExpiry(plan),
+		paypalSubscriptionId: null,
+		manual: true,
+		extensionName: extension.name,
+		extensionId: extension.extensionId,
+		seats: seats ? Number(seats) : null,
+		devices: []
+	}
+	if (notes) {
+		license.notes = notes
+	}
+	await saveLicense(licenseKey, license, { ...audit, action: "license.create", reason: "Created manually" })
+
+	// Send license email (non-blocking, won't break if fails)
+	let emailSent = false
+	try {
+		const emailResult = await sendLicenseKeyEmail(licenseKey, license)
+		emailSent = emailResult.sent
+		if (emailSent) {
+			console.log(`License email sent to ${email}`)
+		}
+	} catch (error) {
+		console.error("Error sending license email:", error)
+		// Continue without failing the license creation
+	}
+
+	return { licenseKey, license, emailSent }
+}
+
+// Email a license's key to its customer and note it in the license's timeline - returns sendLicenseEmail's result
+// Licenses from before the plan catalog have no planId, so their emails fall back to the subscription type
+async function sendLicenseKeyEmail(licenseKey, license) {
+	const emailResult = await sendLicenseEmail({
+		email: license.email,
+		licenseKey: licenseKey,
+		...(await getExtensionEmailDetails(license)),
+		subscriptionType: license.subscriptionType,
+		plan: findPlan(await loadPlans(), license.planId),
+		expiresAt: license.expiresAt
+	})
+	await recordEmailEvent(licenseKey, license.email, "license", emailResult)
+	return emailResult
+}
+
+// Move a license to another extension in the registry - returns an error message if that extension doesn't allow its plan
+async function changeLicenseExtension(licenseKey, extension, reason, audit) {
+	const plans = await loadPlans()
+	const updateAudit = { ...audit, action: "license.update" }
+	let error = null
+	const license = await updateLicense(
+		licenseKey,
+		current => {
+			const previousExtensionId = getLicenseExtensionId(current)
+			const plan = getLicensePlan(plans, current)
+			if (previousExtensionId === extension.extensionId) {
+				error = `License is already for ${extension.name}`
+				return false
+			}
+			if (plan && !isPlanAllowed(extension, plan.planId)) {
+				error = `${extension.name} licenses can't be on the ${plan.name} plan`
+				return false
+			}
+			current.extensionId = extension.extensionId
+			current.extensionName = extension.name
+			updateAudit.reason = `Extension changed from ${previousExtensionId} to ${extension.extensionId}${reason ? `: ${reason}` : ""}`
+		},
+		updateAudit
+	)
+	if (!license) {
+		return error || "License not found"
+	}
+
+	console.log(`License extension changed: ${licenseKey} to ${extension.extensionId}`)
+	return null
+}
+
+// Revoke a license and tell the customer - returns the revoked license, or null if it was already revoked
+async function revokeLicense(licenseKey, reason, audit) {
+	const license = await transitionLicense(licenseKey, "revoked", {
+		reason: reason || "Revoked by admin",
+		fields: { revokedAt: new Date().toISOString(), revocationReason: reason || null },
+		notify: false,
+		action: "license.revoke",
+		audit
+	})
+	if (!license) {
+		return null
+	}
+
+	// Send revocation email (non-blocking)
+	try {
+		const emailResult = await sendRevocationEmail({
+			email: license.email,
+			licenseKey: licenseKey,
+			...(await getExtensionEmailDetails(license)),
+			reason: reason
+		})
+		await recordEmailEvent(licenseKey, license.email, "revocation", emailResult)
+		if (emailResult.sent) {
+			console.log(`Revocation email sent to ${license.email}`)
+		}
+	} catch (error) {
+		console.error("Error sending revocation email:", error)
+		// Continue without failing
+	}
+
+	console.log(`License revoked: ${licenseKey}`)
+	return license
+}
+
+// Units a license can be extended by
+const EXTEND_UNITS = ["day", "month", "year"]
+
+// Email the customer about a change support made to their license (non-blocking)
+async function notifyLicenseChange(licenseKey, license, change, reason) {
+	try {
+		const plan = getLicensePlan(await loadPlans(), license)
+		const emailResult = await sendLicenseChangeEmail({
+			email: license.email,
+			licenseKey: licenseKey,
+			...(await getExtensionEmailDetails(license)),
+			change: change,
+			planName: plan ? plan.name : license.subscriptionType,
+			expiresAt: license.expiresAt,
+			lifetime: license.subscriptionType === "lifetime",
+			reason: reason
+		})
+		await recordEmailEvent(licenseKey, license.email, `change:${change}`, emailResult)
+		if (emailResult.sent) {
+			console.log(`License change email (${change}) sent to ${license.email}`)
+		}
+	} catch (error) {
+		console.error("Error sending license change email:", error)
+		// Continue without failing
+	}
+}
+
+// Change a license's expiry date in one step (see updateLicense) - an expired license with a date in the future
+// works again. change(license) sets the new date and audit.reason; returns the updated license, or null
+async function updateLicenseExpiry(licenseKey, change, audit) {
+	return updateLicense(
+		licenseKey,
+		current => {
+			change(current)
+			if (current.status === "expired" && new Date(current.expiresAt) > new Date()) {
+				const previousStatus = applyStatus(current, "active", audit.reason)
+				audit.reason = `${previousStatus} -> active: ${audit.reason}`
+			}
+		},
+		audit
+	)
+}
+
+// Undo a revocation, putting the license back in the status it had before - returns the reinstated license,
+// or null if it isn't revoked. A license whose expiry passed in the meantime is expired again by the next sweep
+// unless it is also extended
+async function reinstateLicense(licenseKey, reason, audit) {
+	const reinstateAudit = { ...audit, action: "license.reinstate" }
+	const license = await updateLicense(
+		licenseKey,
+		current => {
+			if (current.status !== "revoked") {
+				return false
+			}
+			const revocation = (current.statusHistory || []).filter(entry => entry.to === "revoked").pop()
+			const status = revocation && revocation.from && revocation.from !== "revoked" ? revocation.from : "active"
+
+			applyStatus(current, status, reason || "Reinstated by admin")
+			Object.assign(current, { revokedAt: null, revocationReason: null, reinstatedAt: new Date().toISOString() })
+			reinstateAudit.reason = `revoked -> ${status}: ${reason || "Reinstated by admin"}`
+		},
+		reinstateAudit
+	)
+	if (!license) {
+		return null
+	}
+
+	console.log(`License reinstated: ${licenseKey} (${license.status})`)
+	await notifyLicenseChange(licenseKey, license, "reinstated", reason)
+	return license
+}
+
+// Push a license's expiry back by a duration ({ unit, count } as in the plan catalog)
+// Counts from the current expiry, or from now if it has already passed. Returns the updated license, or null
+async function extendLicense(licenseKey, duration, reason, audit) {
+	const extendAudit = { ...audit, action: "license.extend" }
+	const license = await updateLicenseExpiry(
+		licenseKey,
+		current => {
+			const expiresAt = current.expiresAt ? new Date(current.expiresAt) : new Date()
+			const from = expiresAt.getTime() > Date.now() ? expiresAt : new Date()
+			extendAudit.reason = `Extended by ${duration.count} ${duration.unit}(s) from ${current.expiresAt || "no expiry"}${reason ? `: ${reason}` : ""}`
+			current.expiresAt = addDuration(from, duration).toISOString()
+		},
+		extendAudit
+	)
+	if (!license) {
+		return null
+	}
+
+	console.log(`License extended: ${licenseKey} until ${license.expiresAt}`)
+	await notifyLicenseChange(licenseKey, license, "extended", reason)
+	return license
+}
+
+// Set a license's expiry to a given date (an ISO string) - returns the updated license, or null
+async function setLicenseExpiry(licenseKey, expiresAt, reason, audit) {
+	const expiryAudit = { ...audit, action: "license.expiry" }
+	const license = await updateLicenseExpiry(
+		licenseKey,
+		current => {
+			expiryAudit.reason = `Expiry changed from ${current.expiresAt || "no expiry"} to ${expiresAt}${reason ? `: ${reason}` : ""}`
+			current.expiresAt = expiresAt
+		},
+		expiryAudit
+	)
+	if (!license) {
+		return null
+	}
+
+	console.log(`License expiry set: ${licenseKey} until ${expiresAt}`)
+	await notifyLicenseChange(licenseKey, license, "expiry_changed", reason)
+	return license
+}
+
+// Move a license to another catalog plan - seats follow the new plan unless the license overrides them
+// Past payments stay with the old plan in the stats; the expiry starts a new billing period of the new plan
+// when restartPeriod is set, and always for lifetime plans. Returns the updated license, or null
+async function changeLicensePlan(licenseKey, plan, { restartPeriod, reason } = {}, audit) {
+	const plans = await loadPlans()
+	const planAudit = { ...audit, action: "license.plan" }
+	let previousPlanId = null
+	const license = await updateLicenseExpiry(
+		licenseKey,
+		current => {
+			previousPlanId = current.planId || current.subscriptionType
+			const payments = assignPaymentPlan(current, getLicensePlan(plans, current), previousPlanId)
+			if (payments.length > 0) {
+				current.payments = payments
+			}
+			current.planId = plan.planId
+			current.subscriptionType = plan.subscriptionType
+			if (restartPeriod || plan.subscriptionType === "lifetime") {
+				current.expiresAt = calculateExpiry(plan)
+			}
+			planAudit.reason = `Plan changed from ${previousPlanId} to ${plan.planId}${reason ? `: ${reason}` : ""}`
+		},
+		planAudit
+	)
+	if (!license) {
+		return null
+	}
+
+	console.log(`License plan changed: ${licenseKey} ${previousPlanId} -> ${plan.planId}`)
+	await notifyLicenseChange(licenseKey, license, "plan_changed", reason)
+	return license
+}
+
+// Move a license to the trash and tell the customer - it stops working at once, and can be restored
+// until the trash-purge job removes it TRASH_RETENTION_DAYS later
+async function deleteLicense(licenseKey, license, reason, audit) {
+	// Store license info before deletion for the email
+	const plans = await loadPlans()
+	const extensionId = getLicenseExtensionId(license)
+	const licenseInfo = {
+		email: license.email,
+		...(await getExtensionEmailDetails(license)),
+		subscriptionType: license.subscriptionType,
+		plans: Object.values(plans).filter(plan => plan.extensionId === extensionId)
+	}
+
+	// Trash first, so a crash in between leaves a copy rather than losing the license
+	const deletedBy = audit.actorType === "admin" ? audit.actor : `${audit.actorType}:${audit.actor}`
+	const entry = await addToTrash(licenseKey, license, { deletedBy, reason })
+	await removeLicense(licenseKey, { ...audit, action: "license.delete", reason: reason || null })
+
+	// Send deletion email (non-blocking)
+	try {
+		const emailResult = await sendDeletionEmail({ ...licenseInfo, restorableUntil: entry.purgeAt })
+		await recordEmailEvent(licenseKey, licenseInfo.email, "deletion", emailResult)
+		if (emailResult.sent) {
+			console.log(`Deletion email sent to ${licenseInfo.email}`)
+		}
+	} catch (error) {
+		console.error("Error sending deletion email:", error)
+		// Continue without failing
+	}
+
+	console.log(`License moved to trash: ${licenseKey}`)
+	return entry
+}
+
+// Put a trashed license back, with the same key - returns an error message, or null once restored
+async function restoreLicense(licenseKey, audit) {
+	const entry = await getTrashed(licenseKey)
+	if (!entry) {
+		return "License not found in the trash"
+	}
+	if (await licenseStore.get(licenseKey)) {
+		return "A license with this key already exists"
+	}
+
+	await saveLicense(licenseKey, entry.license, {
+		...audit,
+		action: "license.restore",
+		reason: `Restored from trash (deleted ${entry.deletedAt})`
+	})
+	await removeFromTrash(licenseKey)
+
+	console.log(`License restored from trash: ${licenseKey}`)
+	return null
+}
+
+// Remove a trashed license for good - the audit log keeps its last state
+async function purgeTrashedLicense(licenseKey, entry, audit) {
+	await recordAudit({ ...audit, action: "license.purge", licenseKey, reason: entry.reason, before: entry.license, after: null })
+	console.log(`License purged from trash: ${licenseKey}`)
+}
+
+// Scheduled job: purge licenses that have been in the trash longer than TRASH_RETENTION_DAYS
+async function purgeTrash() {
+	const expired = await removeExpiredFromTrash()
+	for (const { licenseKey, ...entry } of expired) {
+		await purgeTrashedLicense(licenseKey, entry, { actorType: "system", actor: "trash-purge" })
+	}
+	return { purged: expired.length }
+}
+
+const WEBHOOK_EVENT_ID_PATTERN = /^[A-Za-z0-9-]{1,100}$/
+
+// Event IDs currently being processed, so concurrent retries aren't applied twice
+const webhooksInFlight = new Set()
+
+// ROUTES
+
+// 1. PayPal Webhook - Receives payment notifications
+app.post("/webhook/paypal", async (req, res) => {
+	try {
+		// Reject anything PayPal didn't sign for our webhook ID
+		const verification = await verifyWebhookSignature(req.headers, req.rawBody)
+		if (!verification.verified) {
+			console.warn("PayPal webhook rejected:", verification.reason)
+			return res.status(400).json({ error: "Invalid webhook signature" })
+		}
+
+		// PayPal sends different event types
+		const { id: eventId, event_type, resource = {} } = req.body
+
+		console.log("PayPal webhook received:", event_type, eventId, verification.mock ? "(mock verification)" : "")
+
+		// Event IDs key the ledger, so they must look like PayPal's (e.g. WH-2WR32451HC0233532-67976317FL4543714)
+		if (typeof eventId !== "string" || !WEBHOOK_EVENT_ID_PATTERN.test(eventId)) {
+			return res.status(400).json({ error: "Missing or invalid event ID" })
+		}
+
+		const now = new Date().toISOString()
+
+		// PayPal retries deliveries - acknowledge events we've already handled without re-applying them
+		const events = await loadWebhookEvents()
+		const previous = Object.prototype.hasOwnProperty.call(events, eventId) ? events[eventId] : null
+		if (webhooksInFlight.has(eventId) || (previous && previous.outcome !== "failed")) {
+			if (previous) {
+				await updateWebhookEvents(latest => {
+					latest[eventId].duplicates = (latest[eventId].duplicates || 0) + 1
+					latest[eventId].lastReceivedAt = now
+				})
+			}
+			console.log(`Duplicate webhook ignored: ${eventId}`)
+			return res.status(200).send("OK")
+		}
+
+		webhooksInFlight.add(eventId)
+
+		const entry = {
+			eventType: event_type,
+			resourceId: resource.id || resource.billing_agreement_id || null,
+			outcome: null,
+			detail: null,
+			licenseKey: null,
+			receivedAt: previous ? previous.receivedAt : now,
+			lastReceivedAt: now,
+			processedAt: null,
+			attempts: previous ? previous.attempts + 1 : 1,
+			duplicates: previous ? previous.duplicates || 0 : 0
+		}
+
+		let failed = false
+		const handler = webhookHandlers[event_type]
+		try {
+			if (handler) {
+				const result = await handler(resource, req.body, { actorType: "webhook", actor: eventId, ip: req.ip })
+				entry.outcome = result.outcome
+				entry.detail = result.detail || null
+				entry.licenseKey = result.licenseKey || null
+			} else {
+				// Keep the payload so it can be inspected and handled once we support the event
+				console.warn(`Unhandled PayPal webhook event type: ${event_type} (${eventId})`)
+				entry.outcome = "unhandled"
+				entry.detail = `No handler for ${event_type}`
+				entry.payload = req.body
+			}
+		} catch (error) {
+			console.error(`Webhook ${eventId} failed:`, error)
+			failed = true
+			entry.outcome = "failed"
+			entry.detail = error.message
+			entry.payload = req.body
+		} finally {
+			entry.processedAt = new Date().toISOString()
+			await updateWebhookEvents(latest => {
+				latest[eventId] = entry
+			})
+			webhooksInFlight.delete(eventId)
+		}
+
+		// A 5xx makes PayPal retry the delivery, which we'll then reprocess
+		if (failed) {
+			return res.status(500).json({ error: "Webhook processing failed" })
+		}
+
+		// Accepted, but not acted on
+		if (!handler) {
+			return res.status(202).json({ received: true, handled: false })
+		}
+
+		res.status(200).send("OK")
+	} catch (error) {
+		console.error("Webhook error:", error)
+		res.status(500).json({ error: "Webhook processing failed" })
+	}
+})
+
+// 2. Verify License - Called by extension
+app.post("/api/verify", async (req, res) => {
+	try {
+		const { licenseKey, extensionId, deviceId } = req.body
+
+		if (!licenseKey) {
+			return res.json({ valid: false, error: "No license key provided" })
+		}
+
+		// Require extension ID from the extension
+		if (!extensionId) {
+			return res.json({ valid: false, error: "Extension ID is required" })
+		}
+
+		// Require the device fingerprint the license was activated with
+		if (!deviceId) {
+			return res.json({ valid: false, error: "Device ID is required" })
+		}
+
+		// Extensions are looked up by ID, so renaming one in the registry doesn't affect its licenses
+		const extension = findExtension(await loadExtensions(), extensionId)
+		if (!extension) {
+			return res.json({ valid: false, error: "Unknown extension" })
+		}
+
+		const license = await licenseStore.get(licenseKey)
+
+		if (!license) {
+			// A deleted license is a real key, so it doesn't count as a failed attempt
+			if (await getTrashed(licenseKey)) {
+				return res.json({ valid: false, error: "This license has been deleted", deleted: true })
+			}
+			recordFailure(req.ip, "Invalid license key")
+			return res.json({ valid: false, error: "Invalid license key" })
+		}
+
+		// Note each answer in the license's timeline (repeats are left out - see recordVerifyEvent)
+		const noteVerify = (valid, error) =>
+			recordVerifyEvent({ licenseKey, deviceId, extensionId, valid, error, ip: req.ip }).catch(error => {
+				console.error("Error recording verify call:", error)
+			})
+
+		// Always check extension ID match
+		if (!isLicenseForExtension(license, extensionId)) {
+			noteVerify(false, "This license is for a different extension")
+			return res.json({ valid: false, error: "This license is for a different extension" })
+		}
+
+		// Check if license is active and not expired (or still inside a paid period / grace period)
+		const access = getLicenseAccess(license)
+		const isValid = access.valid
+
+		// A cancelled license that ran out of paid time is now simply expired
+		if (access.lapsed) {
+			try {
+				await transitionLicense(licenseKey, "expired", {
+					from: ["cancelled"],
+					reason: "Cancelled subscription reached the end of its paid period",
+					fields: { expiredAt: new Date().toISOString() },
+					audit: { actorType: "system", actor: "verify", ip: req.ip }
+				})
+			} catch (error) {
+				console.error("Error expiring cancelled license:", error)
+			}
+		}
+
+		// Only devices activated through /api/activate can use the license
+		const device = findDevice(license, deviceId)
+		if (isValid && !device) {
+			noteVerify(false, "This device is not activated for this license")
+			return res.json({ valid: false, error: "This device is not activated for this license", activationRequired: true })
+		}
+
+		// Bookkeeping only - left out of the audit log, and written to the stored license so a change an admin
+		// saved while this request was waiting isn't overwritten
+		if (device && Date.now() - new Date(device.lastSeenAt) > DEVICE_SEEN_INTERVAL_MS) {
+			await licenseStore.update(licenseKey, current => {
+				const storedDevice = findDevice(current, deviceId)
+				if (!storedDevice) {
+					return false
+				}
+				storedDevice.lastSeenAt = new Date().toISOString()
+			})
+		}
+
+		const response = {
+			valid: isValid,
+			email: isValid ? license.email : null,
+			expiresAt: isValid ? license.expiresAt : null,
+			subscriptionType: isValid ? license.subscriptionType : null,
+			extensionName: isValid ? extension.name : null
+		}
+		if (isValid && access.graceUntil) {
+			response.graceUntil = access.graceUntil
+		}
+		if (isValid && access.warning) {
+			response.warning = access.warning
+		}
+
+		// Signed copy of the answer the extension can check offline (see /api/public-keys)
+		if (isValid) {
+			const { token, expiresAt } = await issueLicenseToken(
+				{
+					sub: licenseKey,
+					plan: license.planId || license.subscriptionType,
+					subscriptionType: license.subscriptionType,
+					extensionId: extensionId,
+					deviceId: deviceId,
+					licenseExpiresAt: license.expiresAt
+				},
+				{ notAfter: access.graceUntil || license.expiresAt }
+			)
+			response.token = token
+			response.tokenExpiresAt = expiresAt
+		}
+
+		// An active license past its expiry (and any grace period) still says "active" until a job moves it on
+		noteVerify(isValid, isValid ? null : `License is ${license.status === "active" ? "past its expiry" : license.status}`)
+		res.json(response)
+	} catch (error) {
+		console.error("Verify error:", error)
+		res.status(500).json({ valid: false, error: "Server error" })
+	}
+})
+
+// Public keys for checking license tokens offline - keys retired by rotation stay listed until their tokens expire
+app.get("/api/public-keys", async (req, res) => {
+	try {
+		res.json({ keys: await getPublicKeys() })
+	} catch (error) {
+		console.error("Public keys error:", error)
+		res.status(500).json({ error: "Server error" })
+	}
+})
+
+// Device activations - Called by extension
+// Activating binds the license to a device fingerprint and takes up one of its seats
+app.post("/api/activate", async (req, res) => {
+	try {
+		const { licenseKey, extensionId, deviceId, deviceName } = req.body
+
+		if (!licenseKey || !extensionId) {
+			return res.status(400).json({ success: false, error: "License key and extension ID are required" })
+		}
+		if (!isValidDeviceId(deviceId)) {
+			return res.status(400).json({ success: false, error: "A valid device ID is required" })
+		}
+
+		const license = await licenseStore.get(licenseKey)
+		if (!license || !isLicenseForExtension(license, extensionId)) {
+			recordFailure(req.ip, "Invalid license key")
+			return res.status(404).json({ success: false, error: "Invalid license key" })
+		}
+		if (!getLicenseAccess(license).valid) {
+			return res.status(403).json({ success: false, error: `License is ${license.status}` })
+		}
+
+		const seats = getSeatLimit(license, getLicensePlan(await loadPlans(), license))
+
+		// The seat check runs on the stored license as it's saved, so concurrent activations can't both take the last seat
+		let result = null
+		const audit = { actorType: "extension", actor: deviceId, ip: req.ip, action: "license.device.activate" }
+		const updated = await updateLicense(
+			licenseKey,
+			current => {
+				result = getLicenseAccess(current).valid
+					? activateDevice(current, { deviceId, name: deviceName }, seats)
+					: { error: `License is ${current.status}` }
+				result.seatsUsed = getDevices(current).length
+				audit.reason = result.created ? "Device activated" : "Device re-activated"
+				return !result.error
+			},
+			audit
+		)
+		if (!result) {
+			return res.status(404).json({ success: false, error: "Invalid license key" })
+		}
+		if (!updated) {
+			return res.status(403).json({ success: false, error: result.error, seats, seatsUsed: result.seatsUsed })
+		}
+
+		if (result.created) {
+			console.log(`Device activated for ${licenseKey}: ${deviceId} (${result.seatsUsed}/${seats})`)
+		}
+
+		res.json({
+			success: true,
+			deviceId: deviceId,
+			activatedAt: result.device.activatedAt,
+			seats: seats,
+			seatsUsed: result.seatsUsed
+		})
+	} catch (error) {
+		console.error("Activate error:", error)
+		res.status(500).json({ success: false, error: "Server error" })
+	}
+})
+
+// Frees the device's seat, e.g. when the extension is signed out or uninstalled
+app.post("/api/deactivate", async (req, res) => {
+	try {
+		const { licenseKey, deviceId } = req.body
+
+		if (!licenseKey || !deviceId) {
+			return res.status(400).json({ success: false, error: "License key and device ID are required" })
+		}
+
+		const license = await licenseStore.get(licenseKey)
+		if (!license || !findDevice(license, deviceId)) {
+			return res.status(404).json({ success: false, error: "Device is not activated for this license" })
+		}
+
+		await updateLicense(licenseKey, current => deactivateDevices(current, deviceId).length > 0, {
+			actorType: "extension",
+			actor: deviceId,
+			ip: req.ip,
+			action: "license.device.deactivate",
+			reason: "Device deactivated"
+		})
+
+		console.log(`Device deactivated for ${licenseKey}: ${deviceId}`)
+
+		res.json({ success: true })
+	} catch (error) {
+		console.error("Deactivate error:", error)
+		res.status(500).json({ success: false, error: "Server error" })
+	}
+})
+
+// Admin sign-in page
+const renderLoginPage = (error, username = "") => `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Sign in - ReplyBolt License Dashboard</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            margin: 0;
+            padding: 20px;
+            background-color: #f5f5f5;
+        }
+        .container {
+            max-width: 360px;
+            margin: 80px auto;
+            background: white;
+            padding: 30px;
+            border-radius: 10px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        h1 {
+            color: #1976d2;
+            font-size: 24px;
+            margin-top: 0;
+        }
+        .form-group {
+            margin-bottom: 20px;
+        }
+        .form-group label {
+            display: block;
+            margin-bottom: 5px;
+            font-weight: bold;
+        }
+        .form-group input {
+            width: 100%;
+            padding: 8px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            box-sizing: border-box;
+        }
+        .btn {
+            width: 100%;
+            background: #1976d2;
+            color: white;
+            border: none;
+            padding: 10px 20px;
+            border-radius: 5px;
+            cursor: pointer;
+            font-size: 14px;
+        }
+        .error {
+            background: #ffebee;
+            color: #c62828;
+            padding: 10px;
+            border-radius: 4px;
+            margin-bottom: 20px;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>🚀 ReplyBolt Admin</h1>
+        ${error ? `<div class="error">${error}</div>` : ""}
+        <form method="POST" action="/admin/login">
+            <div class="form-group">
+                <label for="username">Username</label>
+                <input type="text" id="username" name="username" value="${username.replace(/[^a-z0-9._-]/gi, "")}" autocomplete="username" required autofocus>
+            </div>
+            <div class="form-group">
+                <label for="password">Password</label>
+                <input type="password" id="password" name="password" autocomplete="current-password" required>
+            </div>
+            <button type="submit" class="btn">Sign in</button>
+        </form>
+    </div>
+</body>
+</html>
+`
+
+// Admin sign-in - the session lives in an HttpOnly cookie, changes also need the page's CSRF token
+asyncRoute("get", "/admin/login", async (req, res) => {
+	if (await getSession(getCookie(req, SESSION_COOKIE))) {
+		return res.redirect("/admin")
+	}
+	res.send(renderLoginPage())
+})
+
+asyncRoute("post", "/admin/login", async (req, res) => {
+	const { username, password } = req.body || {}
+
+	try {
+		const admin = await authenticate(username, password)
+		if (!admin) {
+			recordFailure(req.ip, "Failed admin login")
+			return res.status(401).send(renderLoginPage("Invalid username or password", String(username || "")))
+		}
+
+		const session = await createSession(admin.username, { ip: req.ip })
+		console.log(`Admin signed in: ${admin.username} (${admin.role}) from ${req.ip}`)
+
+		res.setHeader("Set-Cookie", sessionCookie(req, session.sessionId, SESSION_TTL_MS))
+		res.redirect("/admin")
+	} catch (error) {
+		console.error("Admin login error:", error)
+		res.status(500).send(renderLoginPage("Sign-in failed - please try again"))
+	}
+})
+
+asyncRoute("post", "/admin/logout", requireAdmin, async (req, res) => {
+	await destroySession(getCookie(req, SESSION_COOKIE))
+	res.setHeader("Set-Cookie", sessionCookie(req, "", 0))
+	res.redirect("/admin/login")
+})
+
+// 3. Admin Dashboard - Enhanced HTML interface
+asyncRoute("get", "/admin", requireAdmin, requireRole("viewer"), async (req, res) => {
+	const csrfToken = req.admin.csrfToken || ""
+	const adminUsers = await listAdminUsers()
+	const licenses = await licenseStore.list()
+	const webhookEvents = await loadWebhookEvents()
+	const plans = await loadPlans()
+	const extensions = await loadExtensions()
+	const stats = computeStats(licenses, plans)
+	const jobs = await getJobStatus()
+	const { blockedIps } = getRateLimitStatus()
+	const emailConfigured = isEmailConfigured()
+
+	const currentMonth = new Date().toISOString().slice(0, 7)
+	// Revenue is shown per currency, e.g. "$208.99 / €10.00" - amounts in different currencies are never added up
+	const formatMoney = (amount, currency) => {
+		try {
+			return new Intl.NumberFormat("en-US", { style: "currency", currency }).format(amount)
+		} catch {
+			return `${amount.toFixed(2)} ${currency}`
+		}
+	}
+	const formatRevenue = pick => {
+		const amounts = stats.revenue.currencies
+			.filter(currency => pick(stats.revenue.byCurrency[currency]) !== undefined)
+			.map(currency => formatMoney(pick(stats.revenue.byCurrency[currency]), currency))
+		return escapeHtml(amounts.length > 0 ? amounts.join(" / ") : formatMoney(0, stats.revenue.currencies[0] || "USD"))
+	}
+	// Months, plans or extensions with revenue in any currency
+	const revenueKeys = field => [
+		...new Set(stats.revenue.currencies.flatMap(currency => Object.keys(stats.revenue.byCurrency[currency][field])))
+	]
+	const planName = planId => (findPlan(plans, planId) || { name: planId }).name
+	const revenueMonths = revenueKeys("byMonth")
+		.sort((a, b) => b.localeCompare(a))
+		.slice(0, 12)
+
+	// Most recent webhook deliveries first
+	const recentEvents = Object.entries(webhookEvents)
+		.sort((a, b) => new Date(b[1].lastReceivedAt) - new Date(a[1].lastReceivedAt))
+		.slice(0, 25)
+
+	// Buttons are only shown to admins whose role allows the action
+	const can = role => hasRole(req.admin, role)
+
+	// Generate HTML dashboard
+	const html = `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>ReplyBolt License Dashboard</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            margin: 0;
+            padding: 20px;
+            background-color: #f5f5f5;
+        }
+        .container {
+            max-width: 1400px;
+            margin: 0 auto;
+            background: white;
+            padding: 30px;
+            border-radius: 10px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        h1 {
+            color: #1976d2;
+            margin-bottom: 30px;
+        }
+        .stats {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+            gap: 20px;
+            margin-bottom: 40px;
+        }
+        .stat-card {
+            background: #f8f9fa;
+            padding: 20px;
+            border-radius: 8px;
+            text-align: center;
+            border: 1px solid #e9ecef;
+        }
+        .stat-value {
+            font-size: 36px;
+            font-weight: bold;
+            color: #1976d2;
+            margin: 10px 0;
+        }
+        .stat-label {
+            color: #666;
+            font-size: 14px;
+        }
+        .breakdowns {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(250px, 1fr));
+            gap: 20px;
+            margin-bottom: 40px;
+        }
+        .breakdowns h3 {
+            color: #666;
+            font-size: 16px;
+            margin-bottom: 0;
+        }
+        .breakdowns td {
+            padding: 6px 12px;
+        }
+        .email-status {
+            background: ${emailConfigured ? "#d4edda" : "#f8d7da"};
+            color: ${emailConfigured ? "#155724" : "#721c24"};
+            padding: 10px 15px;
+            border-radius: 5px;
+            margin-bottom: 20px;
+            display: inline-block;
+        }
+        .admin-bar {
+            float: right;
+            color: #666;
+            font-size: 14px;
+        }
+        .admin-bar form {
+            display: inline;
+        }
+        .job-status {
+            background: #e3f2fd;
+            color: #1565c0;
+            padding: 10px 15px;
+            border-radius: 5px;
+            margin-bottom: 20px;
+            display: inline-block;
+        }
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-top: 20px;
+        }
+        th, td {
+            padding: 12px;
+            text-align: left;
+            border-bottom: 1px solid #ddd;
+        }
+        th {
+            background-color: #1976d2;
+            color: white;
+            font-weight: 500;
+            position: sticky;
+            top: 0;
+            z-index: 10;
+        }
+        tr:hover {
+            background-color: #f5f5f5;
+        }
+        .status-active {
+            color: #4caf50;
+            font-weight: 500;
+        }
+        .status-cancelled {
+            color: #f44336;
+            font-weight: 500;
+        }
+        .status-revoked {
+            color: #ff9800;
+            font-weight: 500;
+        }
+        .status-suspended, .status-past_due {
+            color: #ff9800;
+            font-weight: 500;
+        }
+        .status-expired {
+            color: #9e9e9e;
+            font-weight: 500;
+        }
+        .status-refunded, .status-disputed {
+            color: #f44336;
+            font-weight: 500;
+        }
+        .outcome-applied {
+            color: #4caf50;
+            font-weight: 500;
+        }
+        .outcome-duplicate, .outcome-ignored, .outcome-unhandled {
+            color: #666;
+            font-weight: 500;
+        }
+        .outcome-failed {
+            color: #f44336;
+            font-weight: 500;
+        }
+        .license-key {
+            font-family: monospace;
+            background: #f5f5f5;
+            padding: 4px 8px;
+            border-radius: 4px;
+            font-size: 12px;
+        }
+        .search-filters {
+            margin-bottom: 20px;
+            display: flex;
+            gap: 10px;
+            flex-wrap: wrap;
+        }
+        .search-filters input, .search-filters select {
+            padding: 10px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            font-size: 16px;
+        }
+        .search-filters input[type="text"] {
+            flex: 1;
+            min-width: 250px;
+        }
+        .search-filters label {
+            display: flex;
+            align-items: center;
+            gap: 5px;
+        }
+        .pagination {
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            margin-top: 20px;
+        }
+        .btn {
+            padding: 10px 20px;
+            background: #1976d2;
+            color: white;
+            border: none;
+            border-radius: 4px;
+            cursor: pointer;
+            font-size: 14px;
+        }
+        .btn:hover {
+            background: #1565c0;
+        }
+        a.btn {
+            display: inline-block;
+            text-decoration: none;
+        }
+        .btn-danger {
+            background: #f44336;
+        }
+        .btn-danger:hover {
+            background: #d32f2f;
+        }
+        .btn-warning {
+            background: #ff9800;
+        }
+        .btn-warning:hover {
+            background: #f57c00;
+        }
+        .btn-small {
+            padding: 5px 10px;
+            font-size: 12px;
+        }
+        .actions {
+            margin-bottom: 20px;
+            display: flex;
+            gap: 10px;
+        }
+        .license-actions {
+            display: flex;
+            gap: 5px;
+        }
+        .bulk-actions {
+            margin-bottom: 20px;
+            padding: 10px;
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 10px;
+            background: #e3f2fd;
+            border-radius: 4px;
+        }
+        .modal {
+            display: none;
+            position: fixed;
+            z-index: 1000;
+            left: 0;
+            top: 0;
+            width: 100%;
+            height: 100%;
+            overflow: auto;
+            background-color: rgba(0,0,0,0.4);
+        }
+        .modal-content {
+            background-color: #fefefe;
+            margin: 10% auto;
+            padding: 20px;
+            border: 1px solid #888;
+            width: 90%;
+            max-width: 500px;
+            border-radius: 8px;
+        }
+        .close {
+            color: #aaa;
+            float: right;
+            font-size: 28px;
+            font-weight: bold;
+            cursor: pointer;
+        }
+        .close:hover {
+            color: black;
+        }
+        .form-group {
+            margin-bottom: 15px;
+        }
+        .form-group label {
+            display: block;
+            margin-bottom: 5px;
+            font-weight: 500;
+        }
+        .form-group input, .form-group select {
+            width: 100%;
+            padding: 8px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+        }
+        .email-notice {
+            background: #e3f2fd;
+            color: #1565c0;
+            padding: 10px;
+            border-radius: 5px;
+            margin-top: 10px;
+            font-size: 14px;
+        }
+        @media (max-width: 768px) {
+            .container {
+                padding: 15px;
+            }
+            table {
+                font-size: 14px;
+            }
+            .license-key {
+                font-size: 10px;
+            }
+            .license-actions {
+                flex-direction: column;
+            }
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="admin-bar">
+            Signed in as <strong>${req.admin.username}</strong> (${req.admin.role})
+            ${
+							req.admin.csrfToken
+								? `<form method="POST" action="/admin/logout">
+                <input type="hidden" name="_csrf" value="${csrfToken}">
+                <button type="submit" class="btn btn-small">Sign out</button>
+            </form>`
+								: ""
+						}
+        </div>
+        <h1>🚀 ReplyBolt License Dashboard</h1>
+        
+        <div class="email-status">
+            📧 Email Service: ${emailConfigured ? "Configured ✓" : "Not Configured ✗"}
+        </div>
+        ${jobs
+					.map(
+						job => `
+        <div class="job-status">
+            🕑 ${job.name}: ${job.lastRun ? `last ran ${new Date(job.lastRun.startedAt).toLocaleString()} (${job.lastRun.status})` : "not run yet"}
+            ${job.nextRunAt ? ` · next run ${new Date(job.nextRunAt).toLocaleString()}` : ""}
+            ${can("owner") ? `<button class="btn btn-small" onclick="runJob('${job.name}')">Run now</button>` : ""}
+        </div>`
+					)
+					.join("")}
+        
+        <div class="stats">
+            <div class="stat-card">
+                <div class="stat-label">Total Sales</div>
+                <div class="stat-value">${stats.totalSales}</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-label">Active Subscriptions</div>
+                <div class="stat-value">${stats.activeSubscriptions}</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-label">Total Revenue</div>
+                <div class="stat-value">${formatRevenue(revenue => revenue.total)}</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-label">Revenue This Month</div>
+                <div class="stat-value">${formatRevenue(revenue => revenue.byMonth[currentMonth])}</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-label">Manual Licenses</div>
+                <div class="stat-value">${stats.manualLicenses}</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-label">Blocked IPs</div>
+                <div class="stat-value">${blockedIps.length}</div>
+            </div>
+        </div>
+        
+        ${
+					blockedIps.length > 0
+						? `
+        <h3>Blocked IPs</h3>
+        <table id="blockedIpTable">
+            <thead>
+                <tr>
+                    <th>IP</th>
+                    <th>Reason</th>
+                    <th>Blocked</th>
+                    <th>Until</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${blockedIps
+									.map(
+										block => `
+                    <tr>
+                        <td><span class="license-key">${escapeHtml(block.ip)}</span></td>
+                        <td>${escapeHtml(block.reason)}</td>
+                        <td>${new Date(block.blockedAt).toLocaleString()}</td>
+                        <td>${new Date(block.until).toLocaleString()}</td>
+                        <td class="license-actions">
+                            ${can("owner") ? `<button class="btn btn-small" data-ip="${escapeHtml(block.ip)}" onclick="unblockIp(this.dataset.ip)">Unblock</button>` : ""}
+                        </td>
+                    </tr>
+                `
+									)
+									.join("")}
+            </tbody>
+        </table>`
+						: ""
+				}
+        
+        <div class="breakdowns">
+            <div>
+                <h3>Licenses by Status</h3>
+                <table>
+                    ${Object.entries(stats.byStatus)
+											.map(([status, count]) => `<tr><td class="status-${status}">${status}</td><td>${count}</td></tr>`)
+											.join("")}
+                </table>
+            </div>
+            <div>
+                <h3>Revenue by Month</h3>
+                <table>
+                    ${revenueMonths
+											.map(month => `<tr><td>${escapeHtml(month)}</td><td>${formatRevenue(revenue => revenue.byMonth[month])}</td></tr>`)
+											.join("")}
+                </table>
+            </div>
+            <div>
+                <h3>Revenue by Plan</h3>
+                <table>
+                    ${revenueKeys("byPlan")
+											.map(
+												planId =>
+													`<tr><td>${escapeHtml(planName(planId))}</td><td>${formatRevenue(revenue => revenue.byPlan[planId])}</td></tr>`
+											)
+											.join("")}
+                </table>
+            </div>
+            <div>
+                <h3>Revenue by Extension</h3>
+                <table>
+                    ${revenueKeys("byExtension")
+											.map(
+												extensionId =>
+													`<tr><td>${escapeHtml(extensionId)}</td><td>${formatRevenue(revenue => revenue.byExtension[extensionId])}</td></tr>`
+											)
+											.join("")}
+                </table>
+            </div>
+        </div>
+        
+        <div class="actions">
+            <button class="btn" onclick="location.reload()">🔄 Refresh</button>
+            <button class="btn" onclick="exportLicenses('csv')">📥 Export CSV</button>
+            <button class="btn" onclick="exportLicenses('json')">📥 Export JSON</button>
+            ${can("owner") ? `<button class="btn" onclick="showImportModal()">📤 Import</button>` : ""}
+            <a class="btn" href="/admin/audit">📜 Audit Log</a>
+            <a class="btn" href="/admin/trash">🗑️ Trash</a>
+            ${can("owner") ? `<a class="btn" href="/admin/api-keys">🔑 API Keys</a>` : ""}
+            ${can("support") ? `<button class="btn" onclick="showCreateModal()">➕ Create License</button>` : ""}
+        </div>
+        
+        <div class="search-filters">
+            <input type="text" id="searchInput" placeholder="Search by email, license key, or extension name..." oninput="searchLicenses()">
+            <select id="statusFilter" onchange="filterTable()">
+                <option value="">All Status</option>
+                <option value="active">Active</option>
+                <option value="cancelled">Cancelled</option>
+                <option value="revoked">Revoked</option>
+                <option value="suspended">Suspended</option>
+                <option value="past_due">Past Due</option>
+                <option value="expired">Expired</option>
+                <option value="refunded">Refunded</option>
+                <option value="disputed">Disputed</option>
+            </select>
+            <select id="typeFilter" onchange="filterTable()">
+                <option value="">All Types</option>
+                ${Array.from(new Set(Object.values(plans).map(plan => plan.subscriptionType)))
+									.map(type => `<option value="${escapeHtml(type)}">${escapeHtml(type)}</option>`)
+									.join("")}
+            </select>
+            <select id="extensionFilter" onchange="filterTable()">
+                <option value="">All Extensions</option>
+                ${Object.entries(extensions)
+									.map(([extensionId, extension]) => `<option value="${extensionId}">${escapeHtml(extension.name)}</option>`)
+									.join("")}
+            </select>
+            <select id="sortFilter" onchange="filterTable()">
+                <option value="">Newest first</option>
+                <option value="createdAt">Oldest first</option>
+                <option value="expiresAt">Expiring soonest</option>
+                <option value="-expiresAt">Expiring latest</option>
+                <option value="email">Email A-Z</option>
+                <option value="status">Status</option>
+            </select>
+        </div>
+        <div class="search-filters">
+            <label>Created <input type="date" id="createdFromFilter" onchange="filterTable()"> to <input type="date" id="createdToFilter" onchange="filterTable()"></label>
+            <label>Expires <input type="date" id="expiresFromFilter" onchange="filterTable()"> to <input type="date" id="expiresToFilter" onchange="filterTable()"></label>
+            <button class="btn btn-small" onclick="clearFilters()">Clear filters</button>
+        </div>
+        
+        <h2>License List (<span id="licenseCount">${Object.keys(licenses).length} total</span>)</h2>
+        ${
+					can("support")
+						? `<div class="bulk-actions" id="bulkActions" style="display: none;">
+            <strong id="bulkCount"></strong>
+            <button class="btn btn-small" id="selectAllMatching" onclick="selectAllMatching()"></button>
+            <button class="btn btn-small" onclick="showBulkModal('extend')">Extend</button>
+            <button class="btn btn-small" onclick="showBulkModal('change-extension')">Change Extension</button>
+            <button class="btn btn-small" onclick="showBulkModal('resend')">Resend Email</button>
+            ${
+							can("owner")
+								? `<button class="btn btn-small btn-warning" onclick="showBulkModal('revoke')">Revoke</button>
+            <button class="btn btn-small btn-danger" onclick="showBulkModal('delete')">Delete</button>`
+								: ""
+						}
+            <button class="btn btn-small" onclick="clearSelection()">Clear selection</button>
+        </div>`
+						: ""
+				}
+        <table id="licenseTable">
+            <thead>
+                <tr>
+                    ${can("support") ? `<th><input type="checkbox" id="selectPageBox" onchange="selectPage(this.checked)" title="Select this page"></th>` : ""}
+                    <th>Email</th>
+                    <th>License Key</th>
+                    <th>Extension</th>
+                    <th>Extension ID</th>
+                    <th>Type</th>
+                    <th>Status</th>
+                    <th>Created</th>
+                    <th>Expires</th>
+                    <th>Devices</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody id="licenseTableBody"></tbody>
+        </table>
+        
+        <p id="licenseTableMessage" style="text-align: center; color: #666; margin-top: 40px;">Loading licenses...</p>
+        
+        <div class="pagination">
+            <button class="btn btn-small" id="previousPage" onclick="goToPage(-1)">&lsaquo; Previous</button>
+            <span id="pageInfo"></span>
+            <button class="btn btn-small" id="nextPage" onclick="goToPage(1)">Next &rsaquo;</button>
+            <select id="perPageFilter" onchange="filterTable()">
+                <option value="">50 per page</option>
+                <option value="100">100 per page</option>
+                <option value="200">200 per page</option>
+            </select>
+        </div>
+        
+        <h2 style="margin-top: 40px;">Plan Catalog (${Object.keys(plans).length} plans)</h2>
+        ${
+					can("owner")
+						? `<div class="actions">
+            <button class="btn" onclick="showPlanModal()">➕ Add Plan</button>
+        </div>`
+						: ""
+				}
+        <table id="planTable">
+            <thead>
+                <tr>
+                    <th>PayPal Plan ID</th>
+                    <th>Name</th>
+                    <th>Type</th>
+                    <th>Extension</th>
+                    <th>Price</th>
+                    <th>Duration</th>
+                    <th>Seats</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${Object.entries(plans)
+									.map(
+										([planId, plan]) => `
+                    <tr>
+                        <td><span class="license-key">${escapeHtml(planId)}</span></td>
+                        <td>${escapeHtml(plan.name)}</td>
+                        <td>${escapeHtml(plan.subscriptionType)}</td>
+                        <td>${escapeHtml(plan.extensionName)} <span class="license-key">${escapeHtml(plan.extensionId)}</span></td>
+                        <td>${plan.price} ${plan.currency}</td>
+                        <td>${plan.duration.unit === "lifetime" ? "lifetime" : `${plan.duration.count} ${plan.duration.unit}(s)`}</td>
+                        <td>${plan.seats || `${DEFAULT_SEATS} (default)`}</td>
+                        <td class="license-actions">
+                            ${
+															can("owner")
+																? `<button class="btn btn-small" data-plan-id="${escapeHtml(planId)}" onclick="showPlanModal(this.dataset.planId)">Edit</button>
+                            <button class="btn btn-danger btn-small" data-plan-id="${escapeHtml(planId)}" onclick="deletePlan(this.dataset.planId)">Delete</button>`
+																: ""
+														}
+                        </td>
+                    </tr>
+                `
+									)
+									.join("")}
+            </tbody>
+        </table>
+        
+        <h2 style="margin-top: 40px;">Extensions (${Object.keys(extensions).length})</h2>
+        ${
+					can("owner")
+						? `<div class="actions">
+            <button class="btn" onclick="showExtensionModal()">➕ Add Extension</button>
+        </div>`
+						: ""
+				}
+        <table id="extensionTable">
+            <thead>
+                <tr>
+                    <th>Extension ID</th>
+                    <th>Name</th>
+                    <th>Support Email</th>
+                    <th>Plans</th>
+                    <th>Branding</th>
+                    <th>Chrome Web Store</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${Object.entries(extensions)
+									.map(
+										([extensionId, extension]) => `
+                    <tr>
+                        <td><span class="license-key">${extensionId}</span></td>
+                        <td>${escapeHtml(extension.name)}</td>
+                        <td>${escapeHtml(extension.supportEmail || "default")}</td>
+                        <td>${extension.planIds.map(planId => escapeHtml(findPlan(plans, planId) ? plans[planId].name : planId)).join(", ") || "none"}</td>
+                        <td>${
+													extension.branding && extension.branding.color
+														? `<span style="display: inline-block; width: 14px; height: 14px; vertical-align: middle; background: ${extension.branding.color};"></span> ${extension.branding.color}`
+														: "default"
+												}${extension.branding && extension.branding.logoUrl ? " + logo" : ""}</td>
+                        <td>${
+													extension.chromeWebStoreId
+														? `<a href="https://chromewebstore.google.com/detail/${extension.chromeWebStoreId}" target="_blank" rel="noopener">${extension.chromeWebStoreId}</a>`
+														: ""
+												}</td>
+                        <td class="license-actions">
+                            ${
+															can("owner")
+																? `<button class="btn btn-small" onclick="showExtensionModal('${extensionId}')">Edit</button>
+                            <button class="btn btn-danger btn-small" onclick="deleteExtension('${extensionId}')">Delete</button>`
+																: ""
+														}
+                        </td>
+                    </tr>
+                `
+									)
+									.join("")}
+            </tbody>
+        </table>
+        
+        <h2 style="margin-top: 40px;">Webhook Events (last ${recentEvents.length} of ${Object.keys(webhookEvents).length})</h2>
+        <table id="webhookTable">
+            <thead>
+                <tr>
+                    <th>Received</th>
+                    <th>Event</th>
+                    <th>Event ID</th>
+                    <th>Outcome</th>
+                    <th>License Key</th>
+                    <th>Detail</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${recentEvents
+									.map(
+										([eventId, event]) => `
+                    <tr>
+                        <td>${new Date(event.lastReceivedAt).toLocaleString()}</td>
+                        <td>${escapeHtml(event.eventType)}</td>
+                        <td><span class="license-key">${escapeHtml(eventId)}</span></td>
+                        <td class="outcome-${escapeHtml(event.outcome)}">${escapeHtml(event.outcome)}${event.duplicates ? ` (+${escapeHtml(event.duplicates)} duplicate${event.duplicates === 1 ? "" : "s"})` : ""}</td>
+                        <td>${event.licenseKey ? `<a class="license-key" href="/admin/licenses/${encodeURIComponent(event.licenseKey)}">${escapeHtml(event.licenseKey)}</a>` : ""}</td>
+                        <td>${escapeHtml(event.detail)}</td>
+                    </tr>
+                `
+									)
+									.join("")}
+            </tbody>
+        </table>
+        
+        <h2 style="margin-top: 40px;">Admin Users (${adminUsers.length})</h2>
+        <div class="actions">
+            ${can("owner") ? `<button class="btn" onclick="showAdminUserModal()">➕ Add Admin</button>` : ""}
+            <button class="btn" onclick="showAdminUserModal('${req.admin.username}')">🔑 Change My Password</button>
+        </div>
+        <table id="adminUserTable">
+            <thead>
+                <tr>
+                    <th>Username</th>
+                    <th>Role</th>
+                    <th>Created</th>
+                    <th>Password Changed</th>
+                    <th>Last Sign-in</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${adminUsers
+									.filter(user => can("owner") || user.username === req.admin.username)
+									.map(
+										user => `
+                    <tr>
+                        <td>${user.username}${user.username === req.admin.username ? " (you)" : ""}</td>
+                        <td>${
+													can("owner")
+														? `<select onchange="setAdminRole('${user.username}', this.value)">
+                            ${ROLES.map(role => `<option value="${role}"${role === user.role ? " selected" : ""}>${role}</option>`).join("")}
+                        </select>`
+														: user.role
+												}</td>
+                        <td>${new Date(user.createdAt).toLocaleString()}</td>
+                        <td>${user.passwordChangedAt ? new Date(user.passwordChangedAt).toLocaleString() : "Never"}</td>
+                        <td>${user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : "Never"}</td>
+                        <td class="license-actions">
+                            ${
+															can("owner")
+																? `<button class="btn btn-small" onclick="showAdminUserModal('${user.username}')">Change Password</button>
+                            ${user.username !== req.admin.username ? `<button class="btn btn-danger btn-small" onclick="deleteAdminUser('${user.username}')">Delete</button>` : ""}`
+																: ""
+														}
+                        </td>
+                    </tr>
+                `
+									)
+									.join("")}
+            </tbody>
+        </table>
+    </div>
+    
+    <!-- Create License Modal -->
+    <div id="createModal" class="modal">
+        <div class="modal-content">
+            <span class="close" onclick="closeCreateModal()">&times;</span>
+            <h2>Create New License</h2>
+            <form id="createLicenseForm" onsubmit="createLicense(event)">
+                <div class="form-group">
+                    <label for="email">Email</label>
+                    <input type="email" id="email" required>
+                </div>
+                <div class="form-group">
+                    <label for="extensionId">Extension</label>
+                    <select id="extensionId" required onchange="showCreatePlans()">
+                        ${Object.entries(extensions)
+													.map(([extensionId, extension]) => `<option value="${extensionId}">${escapeHtml(extension.name)}</option>`)
+													.join("")}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="planId">Plan</label>
+                    <select id="planId" required>
+                        ${Object.entries(plans)
+													.map(
+														([planId, plan]) =>
+															`<option value="${escapeHtml(planId)}">${escapeHtml(plan.name)} (${escapeHtml(plan.extensionName)})</option>`
+													)
+													.join("")}
+                    </select>
+                </div>
+                <button type="submit" class="btn">Create License</button>
+                ${emailConfigured ? '<div class="email-notice">✉️ License key will be emailed automatically</div>' : '<div class="email-notice">⚠️ Email not configured - display license key to user manually</div>'}
+            </form>
+        </div>
+    </div>
+    
+    <!-- Plan Modal -->
+    <div id="planModal" class="modal">
+        <div class="modal-content">
+            <span class="close" onclick="closePlanModal()">&times;</span>
+            <h2 id="planModalTitle">Add Plan</h2>
+            <form id="planForm" onsubmit="savePlan(event)">
+                <div class="form-group">
+                    <label for="planIdInput">PayPal Plan ID</label>
+                    <input type="text" id="planIdInput" placeholder="P-XXXXXXXXXXXXXXXXXXXXXXXX" required>
+                </div>
+                <div class="form-group">
+                    <label for="planName">Name</label>
+                    <input type="text" id="planName" required>
+                </div>
+                <div class="form-group">
+                    <label for="planType">Subscription Type</label>
+                    <input type="text" id="planType" placeholder="monthly, annual, lifetime..." required>
+                </div>
+                <div class="form-group">
+                    <label for="planExtensionId">Extension</label>
+                    <select id="planExtensionId" required>
+                        ${Object.entries(extensions)
+													.map(([extensionId, extension]) => `<option value="${extensionId}">${escapeHtml(extension.name)}</option>`)
+													.join("")}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="planPrice">Price</label>
+                    <input type="number" id="planPrice" step="0.01" min="0" required>
+                </div>
+                <div class="form-group">
+                    <label for="planCurrency">Currency</label>
+                    <input type="text" id="planCurrency" value="USD" maxlength="3" required>
+                </div>
+                <div class="form-group">
+                    <label for="planDurationUnit">Billing Period</label>
+                    <select id="planDurationUnit" required>
+                        <option value="day">Day(s)</option>
+                        <option value="month" selected>Month(s)</option>
+                        <option value="year">Year(s)</option>
+                        <option value="lifetime">Lifetime</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="planDurationCount">Periods per Payment</label>
+                    <input type="number" id="planDurationCount" value="1" min="1" required>
+                </div>
+                <div class="form-group">
+                    <label for="planSeats">Seats (devices per license)</label>
+                    <input type="number" id="planSeats" min="1" placeholder="${DEFAULT_SEATS}">
+                </div>
+                <button type="submit" class="btn">Save Plan</button>
+            </form>
+        </div>
+    </div>
+    
+    <!-- Extension Modal -->
+    <div id="extensionModal" class="modal">
+        <div class="modal-content">
+            <span class="close" onclick="closeExtensionModal()">&times;</span>
+            <h2 id="extensionModalTitle">Add Extension</h2>
+            <form id="extensionForm" onsubmit="saveExtension(event)">
+                <div class="form-group">
+                    <label for="extensionIdInput">Extension ID (sent by the extension - can't be changed later)</label>
+                    <input type="text" id="extensionIdInput" placeholder="reply-bolt" pattern="[a-z0-9]+(-[a-z0-9]+)*" maxlength="50" required>
+                </div>
+                <div class="form-group">
+                    <label for="extensionNameInput">Display Name</label>
+                    <input type="text" id="extensionNameInput" maxlength="100" required>
+                </div>
+                <div class="form-group">
+                    <label for="extensionSupportEmail">Support Email (optional)</label>
+                    <input type="email" id="extensionSupportEmail" placeholder="support@example.com">
+                </div>
+                <div class="form-group">
+                    <label>Plans manual licenses can use</label>
+                    ${Object.entries(plans)
+											.map(
+												([planId, plan]) =>
+													`<div><label><input type="checkbox" name="extensionPlan" value="${escapeHtml(planId)}"> ${escapeHtml(plan.name)} <span class="license-key">${escapeHtml(planId)}</span></label></div>`
+											)
+											.join("")}
+                </div>
+                <div class="form-group">
+                    <label for="extensionColor">Brand Color (optional)</label>
+                    <input type="text" id="extensionColor" placeholder="#1976d2" pattern="#[0-9a-fA-F]{6}">
+                </div>
+                <div class="form-group">
+                    <label for="extensionLogoUrl">Logo URL (optional, https)</label>
+                    <input type="url" id="extensionLogoUrl" placeholder="https://example.com/logo.png">
+                </div>
+                <div class="form-group">
+                    <label for="extensionWebStoreId">Chrome Web Store ID (optional)</label>
+                    <input type="text" id="extensionWebStoreId" pattern="[a-p]{32}" maxlength="32">
+                </div>
+                <button type="submit" class="btn">Save Extension</button>
+            </form>
+        </div>
+    </div>
+    
+    <!-- Adjust License Modal -->
+    <div id="adjustModal" class="modal">
+        <div class="modal-content">
+            <span class="close" onclick="closeAdjustModal()">&times;</span>
+            <h2>Adjust License</h2>
+            <p><span class="license-key" id="adjustLicenseKey"></span></p>
+            <p id="adjustCurrent"></p>
+            <div class="form-group">
+                <label for="adjustReason">Reason (optional - shown in the customer's email and the audit log)</label>
+                <input type="text" id="adjustReason" maxlength="500" placeholder="e.g. Compensation for the outage on March 3">
+            </div>
+            <form id="extendForm" onsubmit="extendLicense(event)">
+                <h3>Extend</h3>
+                <div class="form-group">
+                    <label for="extendCount">Add</label>
+                    <input type="number" id="extendCount" min="1" max="3650" value="30" required>
+                </div>
+                <div class="form-group">
+                    <select id="extendUnit">
+                        <option value="day" selected>Day(s)</option>
+                        <option value="month">Month(s)</option>
+                        <option value="year">Year(s)</option>
+                    </select>
+                </div>
+                <button type="submit" class="btn">Extend</button>
+            </form>
+            <form id="expiryForm" onsubmit="setExpiry(event)">
+                <h3>Set Expiry</h3>
+                <div class="form-group">
+                    <label for="expiryDate">Expires on</label>
+                    <input type="date" id="expiryDate" required>
+                </div>
+                <button type="submit" class="btn">Set Expiry</button>
+            </form>
+            <form id="changePlanForm" onsubmit="changePlan(event)">
+                <h3>Change Plan</h3>
+                <div class="form-group">
+                    <label for="changePlanId">New plan</label>
+                    <select id="changePlanId" required>
+                        ${Object.entries(plans)
+													.map(
+														([planId, plan]) =>
+															`<option value="${escapeHtml(planId)}">${escapeHtml(plan.name)} (${escapeHtml(plan.extensionName)})</option>`
+													)
+													.join("")}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="restartPeriod">Expiry</label>
+                    <select id="restartPeriod">
+                        <option value="" selected>Keep the current expiry</option>
+                        <option value="1">Start a full period of the new plan today</option>
+                    </select>
+                </div>
+                <button type="submit" class="btn">Change Plan</button>
+            </form>
+            ${emailConfigured ? '<div class="email-notice">✉️ The customer is emailed about each change</div>' : ""}
+        </div>
+    </div>
+    
+    <!-- Devices Modal -->
+    <div id="devicesModal" class="modal">
+        <div class="modal-content">
+            <span class="close" onclick="closeDevicesModal()">&times;</span>
+            <h2>Devices</h2>
+            <p><span class="license-key" id="devicesLicenseKey"></span></p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Device</th>
+                        <th>Activated</th>
+                        <th>Last Seen</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody id="devicesTableBody"></tbody>
+            </table>
+            ${
+							can("support")
+								? `<div class="actions" style="margin-top: 20px;">
+                <button class="btn btn-danger" onclick="resetDevices(document.getElementById('devicesLicenseKey').textContent)">Reset All Devices</button>
+            </div>`
+								: ""
+						}
+        </div>
+    </div>
+    
+    <!-- Bulk Action Modal -->
+    <div id="bulkModal" class="modal">
+        <div class="modal-content">
+            <span class="close" onclick="closeBulkModal()">&times;</span>
+            <h2 id="bulkTitle"></h2>
+            <p id="bulkTarget"></p>
+            <form id="bulkForm" onsubmit="runBulkAction(event)">
+                <div class="form-group" id="bulkExtendFields">
+                    <label for="bulkExtendCount">Add</label>
+                    <input type="number" id="bulkExtendCount" min="1" max="3650" value="30">
+                    <select id="bulkExtendUnit">
+                        <option value="day" selected>Day(s)</option>
+                        <option value="month">Month(s)</option>
+                        <option value="year">Year(s)</option>
+                    </select>
+                </div>
+                <div class="form-group" id="bulkExtensionFields">
+                    <label for="bulkExtensionId">New extension</label>
+                    <select id="bulkExtensionId">
+                        ${Object.entries(extensions)
+													.map(([extensionId, extension]) => `<option value="${extensionId}">${escapeHtml(extension.name)}</option>`)
+													.join("")}
+                    </select>
+                </div>
+                <div class="form-group" id="bulkReasonFields">
+                    <label for="bulkReason">Reason (optional - the same for every license, shown in customer emails and the audit log)</label>
+                    <input type="text" id="bulkReason" maxlength="500">
+                </div>
+                <button type="submit" class="btn" id="bulkSubmit">Apply</button>
+            </form>
+            <p id="bulkSummary"></p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>License Key</th>
+                        <th>Result</th>
+                    </tr>
+                </thead>
+                <tbody id="bulkResults"></tbody>
+            </table>
+        </div>
+    </div>
+    
+    <!-- Import Modal -->
+    <div id="importModal" class="modal">
+        <div class="modal-content">
+            <span class="close" onclick="closeImportModal()">&times;</span>
+            <h2>Import Licenses</h2>
+            <p>A .csv, .json or .jsonl file laid out like an export. Each license needs an email and a planId; licenses without a licenseKey get a new key.</p>
+            <form id="importForm" onsubmit="previewImport(event)">
+                <div class="form-group">
+                    <label for="importFile">File</label>
+                    <input type="file" id="importFile" accept=".csv,.json,.jsonl" required>
+                </div>
+                <div class="form-group">
+                    <label><input type="checkbox" id="importSendEmails"> Email each key to its customer</label>
+                </div>
+                <button type="submit" class="btn">Preview</button>
+                <button type="button" class="btn" id="importConfirm" onclick="runImport()" disabled>Import</button>
+            </form>
+            <p id="importSummary"></p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Row</th>
+                        <th>License Key</th>
+                        <th>Email</th>
+                        <th>Plan</th>
+                        <th>Status</th>
+                        <th>Expires</th>
+                        <th>Result</th>
+                    </tr>
+                </thead>
+                <tbody id="importResults"></tbody>
+            </table>
+        </div>
+    </div>
+    
+    <!-- Admin User Modal -->
+    <div id="adminUserModal" class="modal">
+        <div class="modal-content">
+            <span class="close" onclick="closeAdminUserModal()">&times;</span>
+            <h2 id="adminUserModalTitle">Add Admin</h2>
+            <form id="adminUserForm" onsubmit="saveAdminUser(event)">
+                <div class="form-group">
+                    <label for="adminUsername">Username</label>
+                    <input type="text" id="adminUsername" pattern="[a-z0-9._\\-]{3,32}" autocomplete="off" required>
+                </div>
+                <div class="form-group">
+                    <label for="adminPassword">Password (at least ${MIN_PASSWORD_LENGTH} characters)</label>
+                    <input type="password" id="adminPassword" minlength="${MIN_PASSWORD_LENGTH}" autocomplete="new-password" required>
+                </div>
+                <div class="form-group" id="adminRoleGroup">
+                    <label for="adminRole">Role</label>
+                    <select id="adminRole">
+                        <option value="viewer" selected>viewer - read the dashboard and export</option>
+                        <option value="support">support - create and extend licenses, change plans, resend emails, reset devices</option>
+                        <option value="owner">owner - revoke, reinstate, delete and change settings</option>
+                    </select>
+                </div>
+                <button type="submit" class="btn">Save</button>
+            </form>
+        </div>
+    </div>
+    
+    <script>
+        // License table - a page at a time from /api/v1/licenses, with the filters kept in the URL
+        // so reloading after an action, or sharing the link, shows the same licenses
+        const LICENSE_FILTERS = {
+            q: 'searchInput',
+            status: 'statusFilter',
+            subscriptionType: 'typeFilter',
+            extensionId: 'extensionFilter',
+            createdFrom: 'createdFromFilter',
+            createdTo: 'createdToFilter',
+            expiresFrom: 'expiresFromFilter',
+            expiresTo: 'expiresToFilter',
+            sort: 'sortFilter',
+            perPage: 'perPageFilter'
+        };
+        const defaultSeats = ${DEFAULT_SEATS};
+        const isOwner = ${can("owner")};
+        let licensePage = 1;
+        let pageLicenses = {};
+        let searchTimer = null;
+        
+        function readFiltersFromUrl() {
+            const params = new URLSearchParams(location.search);
+            Object.entries(LICENSE_FILTERS).forEach(([name, id]) => {
+                document.getElementById(id).value = params.get(name) || '';
+            });
+            licensePage = parseInt(params.get('page'), 10) || 1;
+        }
+        
+        function licenseQuery() {
+            const params = new URLSearchParams();
+            Object.entries(LICENSE_FILTERS).forEach(([name, id]) => {
+                const value = document.getElementById(id).value.trim();
+                if (value) {
+                    params.set(name, value);
+                }
+            });
+            if (licensePage > 1) {
+                params.set('page', licensePage);
+            }
+            return params;
+        }
+        
+        function filterTable() {
+            licensePage = 1;
+            // The selection was made under the old filters
+            selectedKeys.clear();
+            selectAllMatchingFilters = false;
+            loadLicenses();
+        }
+        
+        // Wait for a pause in typing before searching
+        function searchLicenses() {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(filterTable, 300);
+        }
+        
+        function clearFilters() {
+            Object.values(LICENSE_FILTERS).forEach(id => {
+                document.getElementById(id).value = '';
+            });
+            filterTable();
+        }
+        
+        function goToPage(step) {
+            licensePage += step;
+            loadLicenses();
+        }
+        
+        function loadLicenses() {
+            const params = licenseQuery();
+            const query = params.toString();
+            history.replaceState(null, '', location.pathname + (query ? '?' + query : ''));
+            document.getElementById('licenseTableMessage').textContent = 'Loading licenses...';
+            document.getElementById('licenseTableMessage').style.display = '';
+            
+            fetch('/api/v1/licenses' + (query ? '?' + query : ''))
+            .then(r => r.json())
+            .then(data => {
+                if (!data.data) {
+                    const problems = data.details ? Object.values(data.details).join(', ') : '';
+                    document.getElementById('licenseTableMessage').textContent = 'Error: ' + (problems || data.error || 'Unknown error');
+                    return;
+                }
+                renderLicenses(data.data, data.pagination, query.replace(/(^|&)(page|perPage|sort)=[^&]*/g, '') !== '');
+            })
+            .catch(err => {
+                document.getElementById('licenseTableMessage').textContent = 'Error loading licenses: ' + err.message;
+            });
+        }
+        
+        // Licenses come from customers and the extension, so every value is set as text rather than HTML
+        function renderLicenses(licenses, pagination, filtered) {
+            const tbody = document.getElementById('licenseTableBody');
+            tbody.innerHTML = '';
+            pageLicenses = {};
+            
+            licenses.forEach(license => {
+                const key = license.licenseKey;
+                pageLicenses[key] = license;
+                const extension = extensions[license.extensionId];
+                const plan = plans[license.planId] || Object.values(plans).find(p => p.subscriptionType === license.subscriptionType);
+                const devices = license.devices || [];
+                
+                const tr = document.createElement('tr');
+                if (canManageLicenses) {
+                    const box = document.createElement('input');
+                    box.type = 'checkbox';
+                    box.className = 'license-select';
+                    box.checked = selectAllMatchingFilters || selectedKeys.has(key);
+                    box.onchange = () => toggleLicense(key, box.checked);
+                    const td = document.createElement('td');
+                    td.appendChild(box);
+                    tr.appendChild(td);
+                }
+                const addCell = (text, className, wrap) => {
+                    const td = document.createElement('td');
+                    if (wrap) {
+                        const span = document.createElement('span');
+                        span.className = wrap;
+                        span.textContent = text;
+                        td.appendChild(span);
+                    } else {
+                        td.textContent = text;
+                    }
+                    if (className) {
+                        td.className = className;
+                    }
+                    tr.appendChild(td);
+                    return td;
+                };
+                addCell(license.email);
+                const keyLink = document.createElement('a');
+                keyLink.className = 'license-key';
+                keyLink.href = '/admin/licenses/' + encodeURIComponent(key);
+                keyLink.textContent = key;
+                addCell('').appendChild(keyLink);
+                addCell(extension ? extension.name : license.extensionName || 'ReplyBolt');
+                addCell(license.extensionId, '', 'license-key');
+                addCell(license.subscriptionType);
+                addCell(license.status, 'status-' + license.status);
+                addCell(new Date(license.createdAt).toLocaleDateString());
+                addCell(new Date(license.expiresAt).toLocaleDateString());
+                addCell(devices.length + '/' + (license.seats || (plan && plan.seats) || defaultSeats));
+                
+                const actions = addCell('', 'license-actions');
+                const addAction = (label, className, onclick) => {
+                    const button = document.createElement('button');
+                    button.className = 'btn btn-small' + (className ? ' ' + className : '');
+                    button.textContent = label;
+                    button.onclick = onclick;
+                    actions.appendChild(button);
+                };
+                if (devices.length > 0) {
+                    addAction('Devices', '', () => showDevices(key));
+                }
+                const historyLink = document.createElement('a');
+                historyLink.className = 'btn btn-small';
+                historyLink.href = '/admin/audit?licenseKey=' + encodeURIComponent(key);
+                historyLink.textContent = 'History';
+                actions.appendChild(historyLink);
+                if (canManageLicenses) {
+                    addAction('Resend', '', () => resendLicense(key));
+                    addAction('Adjust', '', () => showAdjustModal(key));
+                }
+                if (isOwner && license.status === 'revoked') {
+                    addAction('Reinstate', '', () => reinstateLicense(key));
+                }
+                if (isOwner && license.status === 'active') {
+                    addAction('Revoke', 'btn-warning', () => revokeLicense(key));
+                }
+                if (isOwner) {
+                    addAction('Delete', 'btn-danger', () => deleteLicense(key));
+                }
+                tbody.appendChild(tr);
+            });
+            
+            const message = document.getElementById('licenseTableMessage');
+            message.textContent = pagination.total === 0
+                ? (filtered ? 'No licenses match these filters.' : 'No licenses yet. First sale coming soon! 🎉')
+                : '';
+            message.style.display = pagination.total === 0 ? '' : 'none';
+            document.getElementById('licenseCount').textContent = pagination.total + (filtered ? ' matching' : ' total');
+            document.getElementById('pageInfo').textContent = 'Page ' + pagination.page + ' of ' + Math.max(pagination.totalPages, 1);
+            document.getElementById('previousPage').disabled = pagination.page <= 1;
+            document.getElementById('nextPage').disabled = pagination.page >= pagination.totalPages;
+            matchingTotal = pagination.total;
+            updateBulkActions();
+        }
+        
+        // Bulk actions - on the licenses ticked (on any page), or on every license matching the filters
+        const BULK_TITLES = {
+            extend: 'Extend Licenses',
+            'change-extension': 'Change Extension',
+            resend: 'Resend License Emails',
+            revoke: 'Revoke Licenses',
+            delete: 'Delete Licenses'
+        };
+        let selectedKeys = new Set();
+        let selectAllMatchingFilters = false;
+        let matchingTotal = 0;
+        let bulkAction = null;
+        let bulkDone = false;
+        
+        function toggleLicense(licenseKey, checked) {
+            if (selectAllMatchingFilters) {
+                // Back to picking licenses one by one, starting from this page
+                selectAllMatchingFilters = false;
+                Object.keys(pageLicenses).forEach(key => selectedKeys.add(key));
+            }
+            if (checked) {
+                selectedKeys.add(licenseKey);
+            } else {
+                selectedKeys.delete(licenseKey);
+            }
+            updateBulkActions();
+        }
+        
+        function selectPage(checked) {
+            Object.keys(pageLicenses).forEach(key => toggleLicense(key, checked));
+            document.querySelectorAll('.license-select').forEach(box => {
+                box.checked = checked;
+            });
+        }
+        
+        function selectAllMatching() {
+            selectAllMatchingFilters = true;
+            document.querySelectorAll('.license-select').forEach(box => {
+                box.checked = true;
+            });
+            updateBulkActions();
+        }
+        
+        function clearSelection() {
+            selectedKeys.clear();
+            selectAllMatchingFilters = false;
+            document.querySelectorAll('.license-select').forEach(box => {
+                box.checked = false;
+            });
+            updateBulkActions();
+        }
+        
+        function selectedCount() {
+            return selectAllMatchingFilters ? matchingTotal : selectedKeys.size;
+        }
+        
+        function updateBulkActions() {
+            const bar = document.getElementById('bulkActions');
+            if (!bar) return;
+            
+            const pageKeys = Object.keys(pageLicenses);
+            document.getElementById('selectPageBox').checked =
+                pageKeys.length > 0 && (selectAllMatchingFilters || pageKeys.every(key => selectedKeys.has(key)));
+            bar.style.display = selectedCount() > 0 ? '' : 'none';
+            document.getElementById('bulkCount').textContent = selectAllMatchingFilters
+                ? 'All ' + matchingTotal + ' matching licenses selected'
+                : selectedKeys.size + ' selected';
+            const selectAll = document.getElementById('selectAllMatching');
+            selectAll.textContent = 'Select all ' + matchingTotal + ' matching';
+            selectAll.style.display = !selectAllMatchingFilters && matchingTotal > selectedKeys.size ? '' : 'none';
+        }
+        
+        function showBulkModal(action) {
+            bulkAction = action;
+            bulkDone = false;
+            document.getElementById('bulkTitle').textContent = BULK_TITLES[action];
+            document.getElementById('bulkTarget').textContent = selectedCount() + ' license(s)' + (selectAllMatchingFilters ? ' - every license matching the filters' : '');
+            document.getElementById('bulkExtendFields').style.display = action === 'extend' ? '' : 'none';
+            document.getElementById('bulkExtensionFields').style.display = action === 'change-extension' ? '' : 'none';
+            document.getElementById('bulkReasonFields').style.display = action === 'resend' ? 'none' : '';
+            document.getElementById('bulkSubmit').disabled = false;
+            document.getElementById('bulkSummary').textContent = '';
+            document.getElementById('bulkResults').innerHTML = '';
+            document.getElementById('bulkModal').style.display = 'block';
+        }
+        
+        function closeBulkModal() {
+            document.getElementById('bulkModal').style.display = 'none';
+            document.getElementById('bulkForm').reset();
+            // Show the licenses as they are now
+            if (bulkDone) {
+                clearSelection();
+                loadLicenses();
+            }
+        }
+        
+        function runBulkAction(event) {
+            event.preventDefault();
+            if (!confirm(BULK_TITLES[bulkAction] + ': ' + selectedCount() + ' license(s)?')) return;
+            
+            const body = { action: bulkAction, reason: document.getElementById('bulkReason').value || undefined };
+            if (selectAllMatchingFilters) {
+                const params = licenseQuery();
+                ['page', 'perPage', 'sort'].forEach(name => params.delete(name));
+                body.filters = Object.fromEntries(params);
+            } else {
+                body.licenseKeys = Array.from(selectedKeys);
+            }
+            if (bulkAction === 'extend') {
+                body.count = Number(document.getElementById('bulkExtendCount').value);
+                body.unit = document.getElementById('bulkExtendUnit').value;
+            }
+            if (bulkAction === 'change-extension') {
+                body.extensionId = document.getElementById('bulkExtensionId').value;
+            }
+            
+            document.getElementById('bulkSubmit').disabled = true;
+            document.getElementById('bulkSummary').textContent = 'Working...';
+            fetch('/api/admin/bulk', {
+                method: 'POST',
+                headers: {
+                    'X-CSRF-Token': '${csrfToken}',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            })
+            .then(r => r.json())
+            .then(data => {
+                if (!data.results) {
+                    document.getElementById('bulkSubmit').disabled = false;
+                    const details = data.details ? Object.entries(data.details).map(([field, error]) => field + ': ' + error).join('; ') : '';
+                    document.getElementById('bulkSummary').textContent = 'Error: ' + (data.error || 'Unknown error') + (details ? ' - ' + details : '');
+                    return;
+                }
+                bulkDone = true;
+                document.getElementById('bulkSummary').textContent = data.succeeded + ' done, ' + data.failed + ' failed';
+                const tbody = document.getElementById('bulkResults');
+                data.results.forEach(result => {
+                    const tr = document.createElement('tr');
+                    [result.licenseKey, result.success ? 'OK' : result.error].forEach(text => {
+                        const td = document.createElement('td');
+                        td.textContent = text;
+                        tr.appendChild(td);
+                    });
+                    tbody.appendChild(tr);
+                });
+            })
+            .catch(err => {
+                document.getElementById('bulkSubmit').disabled = false;
+                document.getElementById('bulkSummary').textContent = 'Error: ' + err.message;
+            });
+        }
+        
+        // Every license matching the filters, not just this page - the server sends it as a download
+        function exportLicenses(format) {
+            const params = licenseQuery();
+            ['page', 'perPage', 'sort'].forEach(name => params.delete(name));
+            params.set('format', format);
+            location.href = '/api/admin/export?' + params.toString();
+        }
+        
+        // Import - the file is checked with a dry run first, and only imported once every license in it is valid
+        let importText = null;
+        let importFormat = null;
+        
+        function showImportModal() {
+            document.getElementById('importModal').style.display = 'block';
+        }
+        
+        function closeImportModal() {
+            document.getElementById('importModal').style.display = 'none';
+            document.getElementById('importForm').reset();
+            document.getElementById('importSummary').textContent = '';
+            document.getElementById('importResults').innerHTML = '';
+            document.getElementById('importConfirm').disabled = true;
+            importText = null;
+        }
+        
+        function sendImport(dryRun) {
+            const params = new URLSearchParams({
+                format: importFormat,
+                dryRun: dryRun,
+                sendEmails: document.getElementById('importSendEmails').checked
+            });
+            return fetch('/api/admin/import?' + params.toString(), {
+                method: 'POST',
+                headers: {
+                    'X-CSRF-Token': '${csrfToken}',
+                    'Content-Type': 'text/plain'
+                },
+                body: importText
+            })
+            .then(r => r.json());
+        }
+        
+        function previewImport(event) {
+            event.preventDefault();
+            const file = document.getElementById('importFile').files[0];
+            // The format comes from the file name - .csv, .json or .jsonl
+            importFormat = file.name.split('.').pop().toLowerCase();
+            document.getElementById('importConfirm').disabled = true;
+            
+            file.text()
+            .then(text => {
+                importText = text;
+                return sendImport(true);
+            })
+            .then(data => {
+                showImportResults(data);
+                document.getElementById('importConfirm').disabled = !data.results || data.invalid > 0 || data.valid === 0;
+            })
+            .catch(err => {
+                document.getElementById('importSummary').textContent = 'Error: ' + err.message;
+            });
+        }
+        
+        function runImport() {
+            if (!confirm('Import these licenses?')) return;
+            
+            sendImport(false)
+            .then(data => {
+                showImportResults(data);
+                // Licenses that failed stay listed, so they can be fixed and imported again
+                if (data.imported && !data.failed) {
+                    alert('Imported ' + data.imported + ' license(s)');
+                    location.reload();
+                }
+            });
+        }
+        
+        // Imported values come from the file, so they're set as text rather than HTML
+        function showImportResults(data) {
+            const summary = document.getElementById('importSummary');
+            const tbody = document.getElementById('importResults');
+            tbody.innerHTML = '';
+            if (!data.results) {
+                summary.textContent = 'Error: ' + (data.error || 'Unknown error');
+                return;
+            }
+            summary.textContent = (data.error ? data.error + ' - ' : '') + data.valid + ' of ' + data.total + ' license(s) valid';
+            data.results.forEach(result => {
+                const tr = document.createElement('tr');
+                [
+                    result.row,
+                    result.licenseKey || '(new key)',
+                    result.email || '',
+                    result.planId || '',
+                    result.status || '',
+                    result.expiresAt ? new Date(result.expiresAt).toLocaleDateString() : '',
+                    result.errors ? Object.entries(result.errors).map(([field, error]) => field + ': ' + error).join('; ') : 'OK'
+                ].forEach(text => {
+                    const td = document.createElement('td');
+                    td.textContent = text;
+                    tr.appendChild(td);
+                });
+                tbody.appendChild(tr);
+            });
+        }
+        
+        function showCreateModal() {
+            showCreatePlans();
+            document.getElementById('createModal').style.display = 'block';
+        }
+        
+        // Only offer the plans the chosen extension allows
+        function showCreatePlans() {
+            const extension = extensions[document.getElementById('extensionId').value];
+            const select = document.getElementById('planId');
+            const options = Array.from(select.options);
+            options.forEach(option => {
+                option.hidden = !extension || !extension.planIds.includes(option.value);
+            });
+            const first = options.find(option => !option.hidden);
+            select.value = first ? first.value : '';
+        }
+        
+        function closeCreateModal() {
+            document.getElementById('createModal').style.display = 'none';
+            document.getElementById('createLicenseForm').reset();
+        }
+        
+        function createLicense(event) {
+            event.preventDefault();
+            
+            const email = document.getElementById('email').value;
+            const extensionId = document.getElementById('extensionId').value;
+            const planId = document.getElementById('planId').value;
+            
+            fetch('/api/admin/create-license', {
+                method: 'POST',
+                headers: {
+                    'X-CSRF-Token': '${csrfToken}',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    email: email,
+                    extensionId: extensionId,
+                    planId: planId
+                })
+            })
+            .then(r => r.json())
+            .then(data => {
+                if (data.success) {
+                    let message = 'License created: ' + data.licenseKey;
+                    if (data.emailSent) {
+                        message += '\\n\\nEmail sent successfully to ' + email;
+                    } else if (!${emailConfigured}) {
+                        message += '\\n\\nEmail service not configured. Please share this license key with the user.';
+                    }
+                    alert(message);
+                    location.reload();
+                } else {
+                    alert('Error: ' + (data.error || 'Unknown error'));
+                }
+            })
+            .catch(err => {
+                alert('Error creating license: ' + err.message);
+            });
+        }
+        
+        function revokeLicense(licenseKey) {
+            const reason = prompt('Reason for revocation (optional):');
+            if (!confirm('Are you sure you want to revoke this license?')) return;
+            
+            fetch('/api/admin/revoke-license', {
+                method: 'POST',
+                headers: {
+                    'X-CSRF-Token': '${csrfToken}',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ 
+                    licenseKey: licenseKey,
+                    reason: reason
+                })
+            })
+            .then(r => r.json())
+            .then(data => {
+                if (data.success) {
+                    alert('License revoked successfully');
+                    location.reload();
+                } else {
+                    alert('Error: ' + (data.error || 'Unknown error'));
+                }
+            });
+        }
+        
+        function resendLicense(licenseKey) {
+            fetch('/api/admin/resend-license', {
+                method: 'POST',
+                headers: {
+                    'X-CSRF-Token': '${csrfToken}',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ licenseKey: licenseKey })
+            })
+            .then(r => r.json())
+            .then(data => {
+                if (data.success) {
+                    alert('License email sent');
+                } else {
+                    alert('Error: ' + (data.error || 'Unknown error'));
+                }
+            });
+        }
+        
+        function deleteLicense(licenseKey) {
+            const reason = prompt('Reason for deletion (optional, kept in the audit log):');
+            if (!confirm('Move this license to the trash? It stops working now, and can be restored for ${TRASH_RETENTION_DAYS} days.')) return;
+            
+            fetch('/api/admin/delete-license', {
+                method: 'POST',
+                headers: {
+                    'X-CSRF-Token': '${csrfToken}',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ licenseKey: licenseKey, reason: reason })
+            })
+            .then(r => r.json())
+            .then(data => {
+                if (data.success) {
+                    alert('License moved to the trash');
+                    location.reload();
+                } else {
+                    alert('Error: ' + (data.error || 'Unknown error'));
+                }
+            });
+        }
+        
+        const plans = ${JSON.stringify(plans).replace(/</g, "\\u003c")};
+        
+        function showPlanModal(planId) {
+            const plan = planId ? plans[planId] : null;
+            const form = document.getElementById('planForm');
+            form.reset();
+            document.getElementById('planModalTitle').textContent = planId ? 'Edit Plan' : 'Add Plan';
+            document.getElementById('planIdInput').value = planId || '';
+            document.getElementById('planIdInput').readOnly = !!planId;
+            if (plan) {
+                document.getElementById('planName').value = plan.name;
+                document.getElementById('planType').value = plan.subscriptionType;
+                document.getElementById('planExtensionId').value = plan.extensionId;
+                document.getElementById('planPrice').value = plan.price;
+                document.getElementById('planCurrency').value = plan.currency;
+                document.getElementById('planDurationUnit').value = plan.duration.unit;
+                document.getElementById('planDurationCount').value = plan.duration.count;
+                document.getElementById('planSeats').value = plan.seats || '';
+            }
+            document.getElementById('planModal').style.display = 'block';
+        }
+        
+        function closePlanModal() {
+            document.getElementById('planModal').style.display = 'none';
+        }
+        
+        function savePlan(event) {
+            event.preventDefault();
+            
+            const planId = document.getElementById('planIdInput').value.trim();
+            
+            fetch('/api/admin/plans/' + encodeURIComponent(planId), {
+                method: 'PUT',
+                headers: {
+                    'X-CSRF-Token': '${csrfToken}',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    name: document.getElementById('planName').value,
+                    subscriptionType: document.getElementById('planType').value,
+                    extensionId: document.getElementById('planExtensionId').value,
+                    price: parseFloat(document.getElementById('planPrice').value),
+                    currency: document.getElementById('planCurrency').value.toUpperCase(),
+                    duration: {
+                        unit: document.getElementById('planDurationUnit').value,
+                        count: parseInt(document.getElementById('planDurationCount').value, 10)
+                    },
+                    seats: parseInt(document.getElementById('planSeats').value, 10) || null
+                })
+            })
+            .then(r => r.json())
+            .then(data => {
+                if (data.success) {
+                    location.reload();
+                } else {
+                    alert('Error: ' + (data.error || 'Unknown error'));
+                }
+            });
+        }
+        
+        function deletePlan(planId) {
+            if (!confirm('Remove plan ' + planId + ' from the catalog?')) return;
+            
+            fetch('/api/admin/plans/' + encodeURIComponent(planId), {
+                method: 'DELETE',
+                headers: {
+                    'X-CSRF-Token': '${csrfToken}'
+                }
+            })
+            .then(r => r.json())
+            .then(data => {
+                if (data.success) {
+                    location.reload();
+                } else {
+                    alert('Error: ' + (data.error || 'Unknown error'));
+                }
+            });
+        }
+        
+        const extensions = ${JSON.stringify(extensions).replace(/</g, "\\u003c")};
+        
+        function showExtensionModal(extensionId) {
+            const extension = extensionId ? extensions[extensionId] : null;
+            document.getElementById('extensionForm').reset();
+            document.getElementById('extensionModalTitle').textContent = extensionId ? 'Edit Extension' : 'Add Extension';
+            document.getElementById('extensionIdInput').value = extensionId || '';
+            document.getElementById('extensionIdInput').readOnly = !!extensionId;
+            if (extension) {
+                const branding = extension.branding || {};
+                document.getElementById('extensionNameInput').value = extension.name;
+                document.getElementById('extensionSupportEmail').value = extension.supportEmail || '';
+                document.getElementById('extensionColor').value = branding.color || '';
+                document.getElementById('extensionLogoUrl').value = branding.logoUrl || '';
+                document.getElementById('extensionWebStoreId').value = extension.chromeWebStoreId || '';
+                document.querySelectorAll('input[name="extensionPlan"]').forEach(box => {
+                    box.checked = extension.planIds.includes(box.value);
+                });
+            }
+            document.getElementById('extensionModal').style.display = 'block';
+        }
+        
+        function closeExtensionModal() {
+            document.getElementById('extensionModal').style.display = 'none';
+        }
+        
+        function saveExtension(event) {
+            event.preventDefault();
+            
+            const extensionId = document.getElementById('extensionIdInput').value.trim();
+            
+            fetch('/api/admin/extensions/' + encodeURIComponent(extensionId), {
+                method: 'PUT',
+                headers: {
+                    'X-CSRF-Token': '${csrfToken}',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    name: document.getElementById('extensionNameInput').value,
+                    supportEmail: document.getElementById('extensionSupportEmail').value.trim(),
+                    planIds: Array.from(document.querySelectorAll('input[name="extensionPlan"]:checked')).map(box => box.value),
+                    branding: {
+                        color: document.getElementById('extensionColor').value.trim(),
+                        logoUrl: document.getElementById('extensionLogoUrl').value.trim()
+                    },
+                    chromeWebStoreId: document.getElementById('extensionWebStoreId').value.trim()
+                })
+            })
+            .then(r => r.json())
+            .then(data => {
+                if (data.success) {
+                    location.reload();
+                } else {
+                    alert('Error: ' + (data.error || 'Unknown error'));
+                }
+            });
+        }
+        
+        function deleteExtension(extensionId) {
+            if (!confirm('Remove extension ' + extensionId + ' from the registry?')) return;
+            
+            fetch('/api/admin/extensions/' + encodeURIComponent(extensionId), {
+                method: 'DELETE',
+                headers: {
+                    'X-CSRF-Token': '${csrfToken}'
+                }
+            })
+            .then(r => r.json())
+            .then(data => {
+                if (data.success) {
+                    location.reload();
+                } else {
+                    alert('Error: ' + (data.error || 'Unknown error'));
+                }
+            });
+        }
+        
+        const canManageLicenses = ${can("support")};
+        
+        function showAdjustModal(licenseKey) {
+            const license = pageLicenses[licenseKey];
+            const terms = {
+                planId: license.planId || license.subscriptionType,
+                subscriptionType: license.subscriptionType,
+                extensionId: license.extensionId,
+                expiresAt: license.expiresAt
+            };
+            const lifetime = terms.subscriptionType === 'lifetime';
+            document.getElementById('adjustLicenseKey').textContent = licenseKey;
+            document.getElementById('adjustCurrent').textContent = 'Plan: ' + terms.planId + ' - ' +
+                (lifetime ? 'never expires' : 'expires ' + new Date(terms.expiresAt).toLocaleDateString());
+            document.getElementById('expiryDate').value = terms.expiresAt ? terms.expiresAt.slice(0, 10) : '';
+            document.getElementById('changePlanId').value = terms.planId;
+            // Offer only the plans the license's extension allows
+            const extension = extensions[terms.extensionId];
+            Array.from(document.getElementById('changePlanId').options).forEach(option => {
+                option.hidden = !!extension && !extension.planIds.includes(option.value) && option.value !== terms.planId;
+            });
+            document.getElementById('extendForm').style.display = lifetime ? 'none' : '';
+            document.getElementById('adjustModal').style.display = 'block';
+        }
+        
+        function closeAdjustModal() {
+            document.getElementById('adjustModal').style.display = 'none';
+            document.getElementById('adjustReason').value = '';
+        }
+        
+        // Send one of the adjust actions for the license open in the modal
+        function adjustLicense(url, changes, done) {
+            fetch(url, {
+                method: 'POST',
+                headers: {
+                    'X-CSRF-Token': '${csrfToken}',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(Object.assign({
+                    licenseKey: document.getElementById('adjustLicenseKey').textContent,
+                    reason: document.getElementById('adjustReason').value || undefined
+                }, changes))
+            })
+            .then(r => r.json())
+            .then(data => {
+                if (data.success) {
+                    alert(done + ' - now ' + data.status + ', expires ' + new Date(data.expiresAt).toLocaleDateString());
+                    location.reload();
+                } else {
+                    alert('Error: ' + (data.error || 'Unknown error'));
+                }
+            });
+        }
+        
+        function extendLicense(event) {
+            event.preventDefault();
+            adjustLicense('/api/admin/extend-license', {
+                count: Number(document.getElementById('extendCount').value),
+                unit: document.getElementById('extendUnit').value
+            }, 'License extended');
+        }
+        
+        function setExpiry(event) {
+            event.preventDefault();
+            // End of the chosen day in the admin's timezone
+            const expiresAt = new Date(document.getElementById('expiryDate').value + 'T23:59:59');
+            adjustLicense('/api/admin/set-expiry', { expiresAt: expiresAt.toISOString() }, 'Expiry changed');
+        }
+        
+        function changePlan(event) {
+            event.preventDefault();
+            adjustLicense('/api/admin/change-plan', {
+                planId: document.getElementById('changePlanId').value,
+                restartPeriod: Boolean(document.getElementById('restartPeriod').value)
+            }, 'Plan changed');
+        }
+        
+        function reinstateLicense(licenseKey) {
+            const reason = prompt('Reason for reinstating (optional, shown in the email to the customer):');
+            if (reason === null) return;
+            
+            fetch('/api/admin/reinstate-license', {
+                method: 'POST',
+                headers: {
+                    'X-CSRF-Token': '${csrfToken}',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ licenseKey: licenseKey, reason: reason || undefined })
+            })
+            .then(r => r.json())
+            .then(data => {
+                if (data.success) {
+                    alert('License reinstated - now ' + data.status);
+                    location.reload();
+                } else {
+                    alert('Error: ' + (data.error || 'Unknown error'));
+                }
+            });
+        }
+        
+        // Device names come from the extension, so they're set as text rather than HTML
+        function showDevices(licenseKey) {
+            const tbody = document.getElementById('devicesTableBody');
+            tbody.innerHTML = '';
+            (pageLicenses[licenseKey].devices || []).forEach(device => {
+                const tr = document.createElement('tr');
+                [
+                    device.name ? device.name + ' (' + device.deviceId + ')' : device.deviceId,
+                    new Date(device.activatedAt).toLocaleString(),
+                    new Date(device.lastSeenAt).toLocaleString()
+                ].forEach(text => {
+                    const td = document.createElement('td');
+                    td.textContent = text;
+                    tr.appendChild(td);
+                });
+                const td = document.createElement('td');
+                if (canManageLicenses) {
+                    const button = document.createElement('button');
+                    button.className = 'btn btn-warning btn-small';
+                    button.textContent = 'Reset';
+                    button.onclick = () => resetDevices(licenseKey, device.deviceId);
+                    td.appendChild(button);
+                }
+                tr.appendChild(td);
+                tbody.appendChild(tr);
+            });
+            document.getElementById('devicesLicenseKey').textContent = licenseKey;
+            document.getElementById('devicesModal').style.display = 'block';
+        }
+        
+        function closeDevicesModal() {
+            document.getElementById('devicesModal').style.display = 'none';
+        }
+        
+        function resetDevices(licenseKey, deviceId) {
+            if (!confirm(deviceId ? 'Reset device ' + deviceId + '?' : 'Reset every device on this license?')) return;
+            
+            fetch('/api/admin/reset-devices', {
+                method: 'POST',
+                headers: {
+                    'X-CSRF-Token': '${csrfToken}',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ licenseKey: licenseKey, deviceId: deviceId })
+            })
+            .then(r => r.json())
+            .then(data => {
+                if (data.success) {
+                    location.reload();
+                } else {
+                    alert('Error: ' + (data.error || 'Unknown error'));
+                }
+            });
+        }
+        
+        function unblockIp(ip) {
+            fetch('/api/admin/blocked-ips/' + encodeURIComponent(ip), {
+                method: 'DELETE',
+                headers: {
+                    'X-CSRF-Token': '${csrfToken}'
+                }
+            })
+            .then(r => r.json())
+            .then(data => {
+                if (data.success) {
+                    location.reload();
+                } else {
+                    alert('Error: ' + (data.error || 'Unknown error'));
+                }
+            });
+        }
+        
+        function runJob(name) {
+            fetch('/api/admin/jobs/' + encodeURIComponent(name) + '/run', {
+                method: 'POST',
+                headers: {
+                    'X-CSRF-Token': '${csrfToken}'
+                }
+            })
+            .then(r => r.json())
+            .then(data => {
+                if (data.success) {
+                    alert('Job ' + name + ' finished: ' + data.run.status);
+                    location.reload();
+                } else {
+                    alert('Error: ' + (data.error || 'Unknown error'));
+                }
+            });
+        }
+        
+        // Existing admins only get a new password - the username field is locked
+        function showAdminUserModal(username) {
+            document.getElementById('adminUserForm').reset();
+            document.getElementById('adminUserModalTitle').textContent = username ? 'Change Password for ' + username : 'Add Admin';
+            document.getElementById('adminUsername').value = username || '';
+            document.getElementById('adminUsername').readOnly = !!username;
+            document.getElementById('adminRoleGroup').style.display = username ? 'none' : 'block';
+            document.getElementById('adminUserModal').style.display = 'block';
+        }
+        
+        function closeAdminUserModal() {
+            document.getElementById('adminUserModal').style.display = 'none';
+        }
+        
+        function saveAdminUser(event) {
+            event.preventDefault();
+            
+            const username = document.getElementById('adminUsername').value.trim();
+            const password = document.getElementById('adminPassword').value;
+            const existing = document.getElementById('adminUsername').readOnly;
+            
+            fetch(existing ? '/api/admin/users/' + encodeURIComponent(username) + '/password' : '/api/admin/users', {
+                method: existing ? 'PUT' : 'POST',
+                headers: {
+                    'X-CSRF-Token': '${csrfToken}',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(
+                    existing ? { password: password } : { username: username, password: password, role: document.getElementById('adminRole').value }
+                )
+            })
+            .then(r => r.json())
+            .then(data => {
+                if (data.success) {
+                    // Changing your own password signs out every session, including this one
+                    location.reload();
+                } else {
+                    alert('Error: ' + (data.error || 'Unknown error'));
+                }
+            });
+        }
+        
+        function setAdminRole(username, role) {
+            fetch('/api/admin/users/' + encodeURIComponent(username) + '/role', {
+                method: 'PUT',
+                headers: {
+                    'X-CSRF-Token': '${csrfToken}',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ role: role })
+            })
+            .then(r => r.json())
+            .then(data => {
+                if (!data.success) {
+                    alert('Error: ' + (data.error || 'Unknown error'));
+                }
+                location.reload();
+            });
+        }
+        
+        function deleteAdminUser(username) {
+            if (!confirm('Delete admin ' + username + '? Their sessions end immediately.')) return;
+            
+            fetch('/api/admin/users/' + encodeURIComponent(username), {
+                method: 'DELETE',
+                headers: {
+                    'X-CSRF-Token': '${csrfToken}'
+                }
+            })
+            .then(r => r.json())
+            .then(data => {
+                if (data.success) {
+                    location.reload();
+                } else {
+                    alert('Error: ' + (data.error || 'Unknown error'));
+                }
+            });
+        }
+        
+        // Close modal when clicking outside
+        window.onclick = function(event) {
+            const modal = document.getElementById('createModal');
+            if (event.target == modal) {
+                closeCreateModal();
+            }
+            if (event.target == document.getElementById('planModal')) {
+                closePlanModal();
+            }
+            if (event.target == document.getElementById('extensionModal')) {
+                closeExtensionModal();
+            }
+            if (event.target == document.getElementById('devicesModal')) {
+                closeDevicesModal();
+            }
+            if (event.target == document.getElementById('adjustModal')) {
+                closeAdjustModal();
+            }
+            if (event.target == document.getElementById('adminUserModal')) {
+                closeAdminUserModal();
+            }
+            if (event.target == document.getElementById('importModal')) {
+                closeImportModal();
+            }
+            if (event.target == document.getElementById('bulkModal')) {
+                closeBulkModal();
+            }
+        }
+        
+        readFiltersFromUrl();
+        loadLicenses();
+    </script>
+</body>
+</html>
+    `
+
+	res.send(html)
+})
+
+// 4. Manual license creation (enhanced with extension name and email)
+asyncRoute("post", "/api/admin/create-license", requireAdmin, requireRole("support", "licenses:write"), async (req, res) => {
+	const { email, planId, extensionId, extensionName, seats } = req.body
+
+	if (!email) {
+		return res.status(400).json({ error: "Email required" })
+	}
+
+	// Optional seat count overriding the plan's
+	if (seats !== undefined && seats !== null && seats !== "" && !(Number.isInteger(Number(seats)) && Number(seats) > 0)) {
+		return res.status(400).json({ error: "Seats must be a positive integer" })
+	}
+
+	// Pick the plan by catalog ID, or by subscription type for older clients
+	const plans = await loadPlans()
+	const plan = planId ? findPlan(plans, planId) : findPlanByType(plans, req.body.subscriptionType || "monthly")
+	if (!plan) {
+		return res.status(400).json({ error: "Unknown plan" })
+	}
+
+	// The extension by registry ID, or by name for older clients - without either, the plan's own
+	const extensions = await loadExtensions()
+	const requested = extensionId
+		? findExtension(extensions, extensionId)
+		: extensionName
+			? findExtensionByName(extensions, extensionName)
+			: null
+	if ((extensionId || extensionName) && !requested) {
+		return res.status(400).json({ error: "Unknown extension" })
+	}
+	const { extension, error } = await resolveLicenseExtension(requested, plan)
+	if (error) {
+		return res.status(400).json({ error })
+	}
+
+	const { licenseKey, license, emailSent } = await createManualLicense({ email, plan, extension, seats }, adminAudit(req))
+
+	res.json({
+		success: true,
+		licenseKey: licenseKey,
+		expiresAt: license.expiresAt,
+		emailSent: emailSent
+	})
+})
+
+// 5. Revoke license
+asyncRoute("post", "/api/admin/revoke-license", requireAdmin, requireRole("owner", "licenses:write"), async (req, res) => {
+	const { licenseKey, reason } = req.body
+
+	if (!licenseKey) {
+		return res.status(400).json({ error: "License key required" })
+	}
+
+	const license = await licenseStore.get(licenseKey)
+
+	if (!license) {
+		return res.status(404).json({ error: "License not found" })
+	}
+
+	if (!(await revokeLicense(licenseKey, reason, adminAudit(req)))) {
+		return res.status(409).json({ error: "License is already revoked" })
+	}
+
+	res.json({
+		success: true,
+		message: "License revoked successfully"
+	})
+})
+
+// 6. Delete license
+asyncRoute("post", "/api/admin/delete-license", requireAdmin, requireRole("owner", "licenses:write"), async (req, res) => {
+	const { licenseKey, reason } = req.body
+
+	if (!licenseKey) {
+		return res.status(400).json({ error: "License key required" })
+	}
+
+	const license = await licenseStore.get(licenseKey)
+
+	if (!license) {
+		return res.status(404).json({ error: "License not found" })
+	}
+
+	const entry = await deleteLicense(licenseKey, license, reason, adminAudit(req))
+
+	res.json({
+		success: true,
+		message: "License moved to the trash",
+		restorableUntil: entry.purgeAt
+	})
+})
+
+// Trash - deleted licenses, restorable until the trash-purge job removes them
+asyncRoute("get", "/api/admin/trash", requireAdmin, requireRole("viewer", "read"), async (req, res) => {
+	res.json({ retentionDays: TRASH_RETENTION_DAYS, licenses: await listTrash() })
+})
+
+asyncRoute("post", "/api/admin/trash/:licenseKey/restore", requireAdmin, requireRole("owner", "licenses:write"), async (req, res) => {
+	const error = await restoreLicense(req.params.licenseKey, adminAudit(req))
+	if (error) {
+		return res.status(error === "License not found in the trash" ? 404 : 409).json({ error })
+	}
+	res.json({ success: true })
+})
+
+// Purge one license now instead of waiting for the job
+asyncRoute("delete", "/api/admin/trash/:licenseKey", requireAdmin, requireRole("owner", "licenses:write"), async (req, res) => {
+	const entry = await removeFromTrash(req.params.licenseKey)
+	if (!entry) {
+		return res.status(404).json({ error: "License not found in the trash" })
+	}
+	await purgeTrashedLicense(req.params.licenseKey, entry, adminAudit(req))
+	res.json({ success: true })
+})
+
+asyncRoute("get", "/admin/trash", requireAdmin, requireRole("viewer"), async (req, res) => {
+	const csrfToken = req.admin.csrfToken || ""
+	const trash = await listTrash()
+	const canRestore = hasRole(req.admin, "owner")
+
+	res.send(`
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Trash - ReplyBolt License Dashboard</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            margin: 0;
+            padding: 20px;
+            background-color: #f5f5f5;
+        }
+        .container {
+            max-width: 1400px;
+            margin: 0 auto;
+            background: white;
+            padding: 30px;
+            border-radius: 10px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        h1 {
+            color: #1976d2;
+        }
+        .btn {
+            padding: 8px 16px;
+            background: #1976d2;
+            color: white;
+            border: none;
+            border-radius: 4px;
+            cursor: pointer;
+            font-size: 14px;
+            text-decoration: none;
+        }
+        .btn-danger {
+            background: #d32f2f;
+        }
+        .btn-small {
+            padding: 5px 10px;
+            font-size: 12px;
+        }
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 13px;
+            margin-top: 20px;
+        }
+        th, td {
+            padding: 8px;
+            text-align: left;
+            border-bottom: 1px solid #ddd;
+        }
+        th {
+            background-color: #f8f9fa;
+        }
+        .license-key {
+            font-family: monospace;
+            font-size: 12px;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <p><a href="/admin">← Back to dashboard</a></p>
+        <h1>🗑️ Trash</h1>
+        <p>Deleted licenses stop working straight away. They can be restored, with the same key, for ${TRASH_RETENTION_DAYS} days before they are purged for good.</p>
+        
+        <table>
+            <thead>
+                <tr>
+                    <th>Email</th>
+                    <th>License Key</th>
+                    <th>Extension</th>
+                    <th>Type</th>
+                    <th>Status</th>
+                    <th>Deleted</th>
+                    <th>Reason</th>
+                    <th>Purged On</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${trash
+									.map(
+										entry => `
+                    <tr>
+                        <td>${escapeHtml(entry.license.email)}</td>
+                        <td><span class="license-key">${escapeHtml(entry.licenseKey)}</span></td>
+                        <td>${escapeHtml(entry.license.extensionName || "ReplyBolt")}</td>
+                        <td>${escapeHtml(entry.license.subscriptionType)}</td>
+                        <td>${escapeHtml(entry.license.status)}</td>
+                        <td>${new Date(entry.deletedAt).toLocaleString()}${entry.deletedBy ? ` by ${escapeHtml(entry.deletedBy)}` : ""}</td>
+                        <td>${escapeHtml(entry.reason || "-")}</td>
+                        <td>${new Date(entry.purgeAt).toLocaleDateString()}</td>
+                        <td>
+                            <a class="btn btn-small" href="/admin/audit?licenseKey=${encodeURIComponent(entry.licenseKey)}">History</a>
+                            ${
+															canRestore
+																? `<button class="btn btn-small" data-license-key="${escapeHtml(entry.licenseKey)}" onclick="restoreLicense(this.dataset.licenseKey)">Restore</button>
+                            <button class="btn btn-danger btn-small" data-license-key="${escapeHtml(entry.licenseKey)}" onclick="purgeLicense(this.dataset.licenseKey)">Delete Forever</button>`
+																: ""
+														}
+                        </td>
+                    </tr>
+                `
+									)
+									.join("")}
+            </tbody>
+        </table>
+        ${trash.length === 0 ? '<p style="text-align: center; color: #666; margin-top: 40px;">The trash is empty.</p>' : ""}
+    </div>
+    
+    <script>
+        function restoreLicense(licenseKey) {
+            fetch('/api/admin/trash/' + encodeURIComponent(licenseKey) + '/restore', {
+                method: 'POST',
+                headers: {
+                    'X-CSRF-Token': '${csrfToken}'
+                }
+            })
+            .then(r => r.json())
+            .then(data => {
+                if (data.success) {
+                    alert('License restored');
+                    location.reload();
+                } else {
+                    alert('Error: ' + (data.error || 'Unknown error'));
+                }
+            });
+        }
+        
+        function purgeLicense(licenseKey) {
+            if (!confirm('Delete this license forever? It can no longer be restored.')) return;
+            
+            fetch('/api/admin/trash/' + encodeURIComponent(licenseKey), {
+                method: 'DELETE',
+                headers: {
+                    'X-CSRF-Token': '${csrfToken}'
+                }
+            })
+            .then(r => r.json())
+            .then(data => {
+                if (data.success) {
+                    location.reload();
+                } else {
+                    alert('Error: ' + (data.error || 'Unknown error'));
+                }
+            });
+        }
+    </script>
+</body>
+</html>
+    `)
+})
+
+// License detail page - every field, devices, payments and one timeline of everything that happened to the license
+asyncRoute("get", "/admin/licenses/:licenseKey", requireAdmin, requireRole("viewer"), async (req, res) => {
+	const csrfToken = req.admin.csrfToken || ""
+	const { licenseKey } = req.params
+	const license = await licenseStore.get(licenseKey)
+
+	if (!license) {
+		const trashed = await getTrashed(licenseKey)
+		return res.status(404).send(`
+<!DOCTYPE html>
+<html>
+<head>
+    <title>License not found - ReplyBolt License Dashboard</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; padding: 20px;">
+    <p><a href="/admin">← Back to dashboard</a></p>
+    <h1>License not found</h1>
+    <p>${
+			trashed
+				? `${escapeHtml(licenseKey)} is in the <a href="/admin/trash">trash</a> - restore it to see its details.`
+				: `There is no license ${escapeHtml(licenseKey)}.`
+		}</p>
+</body>
+</html>
+        `)
+	}
+
+	const can = role => hasRole(req.admin, role)
+	const plan = getLicensePlan(await loadPlans(), license)
+	const extension = await getLicenseExtension(license)
+	const devices = getDevices(license)
+	const payments = license.payments || []
+	const webhookEvents = await loadWebhookEvents()
+
+	// One list for the timeline, newest first
+	const timeline = [
+		...(await readAuditLog({ licenseKey })).map(entry => ({
+			at: entry.at,
+			kind: "Change",
+			title: entry.action,
+			detail: [
+				`${entry.actorType}${entry.actor ? `: ${entry.actor}` : ""}`,
+				entry.reason,
+				entry.changes.length > 0 ? `changed ${entry.changes.join(", ")}` : null
+			]
+		})),
+		...Object.entries(webhookEvents)
+			.filter(([, entry]) => entry.licenseKey === licenseKey)
+			.map(([eventId, entry]) => ({
+				at: entry.processedAt || entry.receivedAt,
+				kind: "Webhook",
+				title: entry.eventType,
+				detail: [entry.outcome, entry.detail, `event ${eventId}`]
+			})),
+		...payments.map(payment => ({
+			at: payment.paidAt,
+			kind: "Payment",
+			title: payment.type,
+			detail: [
+				`${payment.amount} ${payment.currency}`,
+				payment.saleId ? `sale ${payment.saleId}` : null,
+				payment.expiresAt ? `expiry moved to ${new Date(payment.expiresAt).toLocaleDateString()}` : null
+			]
+		})),
+		...(await readLicenseEvents(licenseKey)).map(event =>
+			event.type === "email"
+				? {
+						at: event.at,
+						kind: "Email",
+						title: event.template,
+						detail: [`to ${event.to}`, event.sent ? "sent" : `failed: ${event.error}`]
+					}
+				: {
+						at: event.at,
+						kind: "Verify",
+						title: event.valid ? "valid" : "not valid",
+						detail: [event.error, `device ${event.deviceId}`, event.ip]
+					}
+		)
+	].sort((a, b) => new Date(b.at) - new Date(a.at))
+
+	// Devices, payments and status history have their own tables
+	const fields = Object.entries(license).filter(([field]) => !["devices", "payments", "statusHistory"].includes(field))
+	const formatValue = value => (value !== null && typeof value === "object" ? JSON.stringify(value) : value)
+
+	res.send(`
+<!DOCTYPE html>
+<html>
+<head>
+    <title>${escapeHtml(licenseKey)} - ReplyBolt License Dashboard</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            margin: 0;
+            padding: 20px;
+            background-color: #f5f5f5;
+        }
+        .container {
+            max-width: 1400px;
+            margin: 0 auto;
+            background: white;
+            padding: 30px;
+            border-radius: 10px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        h1 {
+            color: #1976d2;
+        }
+        .actions {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 10px;
+            margin-bottom: 20px;
+        }
+        .actions input, .actions select {
+            padding: 8px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+        }
+        .btn {
+            display: inline-block;
+            padding: 8px 16px;
+            background: #1976d2;
+            color: white;
+            border: none;
+            border-radius: 4px;
+            cursor: pointer;
+            font-size: 14px;
+            text-decoration: none;
+        }
+        .btn-danger {
+            background: #d32f2f;
+        }
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 13px;
+            margin-bottom: 30px;
+        }
+        th, td {
+            padding: 8px;
+            text-align: left;
+            border-bottom: 1px solid #ddd;
+            vertical-align: top;
+        }
+        th {
+            background-color: #f8f9fa;
+        }
+        .fields th {
+            width: 200px;
+        }
+        .license-key {
+            font-family: monospace;
+            font-size: 12px;
+        }
+        .status-active {
+            color: #4caf50;
+            font-weight: 500;
+        }
+        .status-cancelled, .status-refunded, .status-disputed {
+            color: #f44336;
+            font-weight: 500;
+        }
+        .status-revoked, .status-suspended, .status-past_due {
+            color: #ff9800;
+            font-weight: 500;
+        }
+        .status-expired {
+            color: #9e9e9e;
+            font-weight: 500;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <p><a href="/admin">← Back to dashboard</a></p>
+        <h1>🔑 <span class="license-key" style="font-size: inherit;">${escapeHtml(licenseKey)}</span></h1>
+        <p>
+            <span class="status-${escapeHtml(license.status)}">${escapeHtml(license.status)}</span>
+            - ${escapeHtml(license.email)}
+            - ${escapeHtml(extension ? extension.name : license.extensionName || "ReplyBolt")}
+            - ${escapeHtml(plan ? plan.name : license.subscriptionType)}
+            ${license.status === "revoked" && license.revocationReason ? `<br>Revoked: ${escapeHtml(license.revocationReason)}` : ""}
+        </p>
+
+        ${
+					can("support")
+						? `<div class="actions">
+            <input type="email" id="editEmail" value="${escapeHtml(license.email)}" title="Email">
+            <input type="text" id="editNotes" value="${escapeHtml(license.notes || "")}" placeholder="Notes" maxlength="2000">
+            <button class="btn" onclick="saveLicense()">Save</button>
+            ${
+							license.subscriptionType !== "lifetime"
+								? `<input type="number" id="extendCount" min="1" max="3650" value="30" style="width: 80px;">
+            <select id="extendUnit">
+                <option value="day">days</option>
+                <option value="month">months</option>
+                <option value="year">years</option>
+            </select>
+            <button class="btn" onclick="extendLicense()">Extend</button>`
+								: ""
+						}
+            <button class="btn" onclick="resendLicense()">Resend Email</button>
+            ${
+							can("owner")
+								? license.status === "revoked"
+									? `<button class="btn" onclick="reinstateLicense()">Reinstate</button>`
+									: `<button class="btn btn-danger" onclick="revokeLicense()">Revoke</button>`
+								: ""
+						}
+            <a class="btn" href="/admin/audit?licenseKey=${encodeURIComponent(licenseKey)}">Audit Log</a>
+        </div>`
+						: ""
+				}
+
+        <h2>Details</h2>
+        <table class="fields">
+            <tbody>
+                <tr><th>PayPal subscription</th><td class="license-key">${escapeHtml(license.paypalSubscriptionId || "-")}</td></tr>
+                ${fields
+									.filter(([field]) => field !== "paypalSubscriptionId")
+									.map(([field, value]) => `<tr><th>${escapeHtml(field)}</th><td>${escapeHtml(formatValue(value))}</td></tr>`)
+									.join("")}
+            </tbody>
+        </table>
+
+        <h2>Devices (${devices.length}/${getSeatLimit(license, plan)})</h2>
+        <table>
+            <thead>
+                <tr><th>Device</th><th>Name</th><th>Activated</th><th>Last Seen</th></tr>
+            </thead>
+            <tbody>
+                ${devices
+									.map(
+										device => `<tr>
+                    <td class="license-key">${escapeHtml(device.deviceId)}</td>
+                    <td>${escapeHtml(device.name)}</td>
+                    <td>${new Date(device.activatedAt).toLocaleString()}</td>
+                    <td>${new Date(device.lastSeenAt).toLocaleString()}</td>
+                </tr>`
+									)
+									.join("")}
+            </tbody>
+        </table>
+
+        <h2>Payments</h2>
+        <table>
+            <thead>
+                <tr><th>Paid</th><th>Type</th><th>Amount</th><th>Sale</th><th>Plan</th></tr>
+            </thead>
+            <tbody>
+                ${payments
+									.map(
+										payment => `<tr>
+                    <td>${new Date(payment.paidAt).toLocaleString()}</td>
+                    <td>${escapeHtml(payment.type)}</td>
+                    <td>${escapeHtml(payment.amount)} ${escapeHtml(payment.currency)}</td>
+                    <td class="license-key">${escapeHtml(payment.saleId)}</td>
+                    <td>${escapeHtml(payment.planId)}</td>
+                </tr>`
+									)
+									.join("")}
+            </tbody>
+        </table>
+
+        <h2>Status History</h2>
+        <table>
+            <thead>
+                <tr><th>Time</th><th>From</th><th>To</th><th>Reason</th></tr>
+            </thead>
+            <tbody>
+                ${(license.statusHistory || [])
+									.slice()
+									.reverse()
+									.map(
+										change => `<tr>
+                    <td>${new Date(change.at).toLocaleString()}</td>
+                    <td>${escapeHtml(change.from)}</td>
+                    <td>${escapeHtml(change.to)}</td>
+                    <td>${escapeHtml(change.reason)}</td>
+                </tr>`
+									)
+									.join("")}
+            </tbody>
+        </table>
+
+        <h2>Timeline</h2>
+        <p>Changes, PayPal webhooks, payments, customer emails and verify calls (the same answer for a device is noted once an hour).</p>
+        <table>
+            <thead>
+                <tr><th>Time</th><th>Kind</th><th>Event</th><th>Details</th></tr>
+            </thead>
+            <tbody>
+                ${timeline
+									.map(
+										item => `<tr>
+                    <td>${new Date(item.at).toLocaleString()}</td>
+                    <td>${item.kind}</td>
+                    <td>${escapeHtml(item.title)}</td>
+                    <td>${escapeHtml(item.detail.filter(Boolean).join(" - "))}</td>
+                </tr>`
+									)
+									.join("")}
+            </tbody>
+        </table>
+        ${timeline.length === 0 ? '<p style="text-align: center; color: #666;">Nothing recorded for this license yet.</p>' : ""}
+    </div>
+
+    <script>
+        const licenseKey = ${JSON.stringify(licenseKey).replace(/</g, "\\u003c")};
+
+        // Posts to an admin action and reloads the page to show the new state and timeline entry
+        function licenseAction(url, method, body, message) {
+            fetch(url, {
+                method: method,
+                headers: {
+                    'X-CSRF-Token': '${csrfToken}',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            })
+            .then(r => r.json())
+            .then(data => {
+                if (data.success || data.data) {
+                    alert(message);
+                    location.reload();
+                } else {
+                    alert('Error: ' + (data.error || 'Unknown error'));
+                }
+            });
+        }
+
+        // Only changed fields are sent, so the audit log names what was edited
+        function saveLicense() {
+            const changes = {};
+            const email = document.getElementById('editEmail').value.trim();
+            const notes = document.getElementById('editNotes').value.trim();
+            if (email !== ${JSON.stringify(license.email || "").replace(/</g, "\\u003c")}) changes.email = email;
+            if (notes !== ${JSON.stringify(license.notes || "").replace(/</g, "\\u003c")}) changes.notes = notes || null;
+            if (Object.keys(changes).length === 0) return alert('Nothing to save');
+            licenseAction('/api/v1/licenses/' + encodeURIComponent(licenseKey), 'PATCH', changes, 'License saved');
+        }
+
+        function extendLicense() {
+            licenseAction('/api/admin/extend-license', 'POST', {
+                licenseKey: licenseKey,
+                count: Number(document.getElementById('extendCount').value),
+                unit: document.getElementById('extendUnit').value
+            }, 'License extended');
+        }
+
+        function resendLicense() {
+            licenseAction('/api/admin/resend-license', 'POST', { licenseKey: licenseKey }, 'License email sent');
+        }
+
+        function revokeLicense() {
+            const reason = prompt('Reason for revocation (optional):');
+            if (reason === null || !confirm('Are you sure you want to revoke this license?')) return;
+            licenseAction('/api/admin/revoke-license', 'POST', { licenseKey: licenseKey, reason: reason }, 'License revoked successfully');
+        }
+
+        function reinstateLicense() {
+            const reason = prompt('Reason for reinstating (optional, shown in the email to the customer):');
+            if (reason === null) return;
+            licenseAction('/api/admin/reinstate-license', 'POST', { licenseKey: licenseKey, reason: reason || undefined }, 'License reinstated');
+        }
+    </script>
+</body>
+</html>
+    `)
+})
+
+// Reset device activations - one device, or all of them when deviceId is omitted
+asyncRoute("post", "/api/admin/reset-devices", requireAdmin, requireRole("support", "licenses:write"), async (req, res) => {
+	const { licenseKey, deviceId } = req.body
+
+	if (!licenseKey) {
+		return res.status(400).json({ error: "License key required" })
+	}
+
+	const license = await licenseStore.get(licenseKey)
+
+	if (!license) {
+		return res.status(404).json({ error: "License not found" })
+	}
+
+	let removed = []
+	const updated = await updateLicense(
+		licenseKey,
+		current => {
+			removed = deactivateDevices(current, deviceId)
+			if (deviceId && removed.length === 0) {
+				return false
+			}
+		},
+		{ ...adminAudit(req), action: "license.devices.reset", reason: deviceId ? `Reset device ${deviceId}` : "Reset all devices" }
+	)
+	if (!updated) {
+		return res.status(404).json({ error: deviceId ? "Device not found" : "License not found" })
+	}
+
+	console.log(`Devices reset for ${licenseKey}: ${removed.map(device => device.deviceId).join(", ") || "none"}`)
+
+	res.json({
+		success: true,
+		removed: removed.length
+	})
+})
+
+// Resend the license key email, e.g. when the customer lost the original
+asyncRoute("post", "/api/admin/resend-license", requireAdmin, requireRole("support", "licenses:write"), async (req, res) => {
+	const { licenseKey } = req.body
+
+	if (!licenseKey) {
+		return res.status(400).json({ error: "License key required" })
+	}
+
+	const license = await licenseStore.get(licenseKey)
+
+	if (!license) {
+		return res.status(404).json({ error: "License not found" })
+	}
+
+	try {
+		const emailResult = await sendLicenseKeyEmail(licenseKey, license)
+		if (!emailResult.sent) {
+			return res.status(400).json({ error: emailResult.reason || "Email not sent" })
+		}
+	} catch (error) {
+		console.error("Error resending license email:", error)
+		return res.status(500).json({ error: "Failed to send email" })
+	}
+
+	console.log(`License email resent to ${license.email} for ${licenseKey} (by ${req.admin.username})`)
+
+	res.json({ success: true })
+})
+
+// Reinstate a revoked license
+asyncRoute("post", "/api/admin/reinstate-license", requireAdmin, requireRole("owner", "licenses:write"), async (req, res) => {
+	const { licenseKey, reason } = req.body
+
+	if (!licenseKey) {
+		return res.status(400).json({ error: "License key required" })
+	}
+
+	const license = await licenseStore.get(licenseKey)
+
+	if (!license) {
+		return res.status(404).json({ error: "License not found" })
+	}
+
+	const reinstated = await reinstateLicense(licenseKey, reason, adminAudit(req))
+	if (!reinstated) {
+		return res.status(409).json({ error: "Only revoked licenses can be reinstated" })
+	}
+
+	res.json({ success: true, status: reinstated.status, expiresAt: reinstated.expiresAt })
+})
+
+// Extend a license by { count, unit } - e.g. 30 days of compensation
+asyncRoute("post", "/api/admin/extend-license", requireAdmin, requireRole("support", "licenses:write"), async (req, res) => {
+	const { licenseKey, unit = "day", reason } = req.body
+	const count = Number(req.body.count)
+
+	if (!licenseKey) {
+		return res.status(400).json({ error: "License key required" })
+	}
+	if (!Number.isInteger(count) || count < 1 || count > 3650) {
+		return res.status(400).json({ error: "Count must be an integer from 1 to 3650" })
+	}
+	if (!EXTEND_UNITS.includes(unit)) {
+		return res.status(400).json({ error: `Unit must be one of: ${EXTEND_UNITS.join(", ")}` })
+	}
+
+	const license = await licenseStore.get(licenseKey)
+
+	if (!license) {
+		return res.status(404).json({ error: "License not found" })
+	}
+	if (license.subscriptionType === "lifetime") {
+		return res.status(409).json({ error: "Lifetime licenses don't expire" })
+	}
+
+	const extended = await extendLicense(licenseKey, { unit, count }, reason, adminAudit(req))
+	if (!extended) {
+		return res.status(404).json({ error: "License not found" })
+	}
+
+	res.json({ success: true, status: extended.status, expiresAt: extended.expiresAt })
+})
+
+// Set a license's expiry date
+asyncRoute("post", "/api/admin/set-expiry", requireAdmin, requireRole("support", "licenses:write"), async (req, res) => {
+	const { licenseKey, reason } = req.body
+	const expiresAt = new Date(req.body.expiresAt)
+
+	if (!licenseKey) {
+		return res.status(400).json({ error: "License key required" })
+	}
+	if (!req.body.expiresAt || Number.isNaN(expiresAt.getTime())) {
+		return res.status(400).json({ error: "Expiry must be a date" })
+	}
+
+	const license = await licenseStore.get(licenseKey)
+
+	if (!license) {
+		return res.status(404).json({ error: "License not found" })
+	}
+
+	const updated = await setLicenseExpiry(licenseKey, expiresAt.toISOString(), reason, adminAudit(req))
+	if (!updated) {
+		return res.status(404).json({ error: "License not found" })
+	}
+
+	res.json({ success: true, status: updated.status, expiresAt: updated.expiresAt })
+})
+
+// Move a license to another plan, keeping its key - restartPeriod starts a full period of the new plan from today
+asyncRoute("post", "/api/admin/change-plan", requireAdmin, requireRole("support", "licenses:write"), async (req, res) => {
+	const { licenseKey, planId, restartPeriod, reason } = req.body
+
+	if (!licenseKey || !planId) {
+		return res.status(400).json({ error: "License key and plan required" })
+	}
+
+	const plan = findPlan(await loadPlans(), planId)
+	if (!plan) {
+		return res.status(400).json({ error: "Unknown plan" })
+	}
+
+	const license = await licenseStore.get(licenseKey)
+
+	if (!license) {
+		return res.status(404).json({ error: "License not found" })
+	}
+	if (license.planId === plan.planId) {
+		return res.status(409).json({ error: "License is already on that plan" })
+	}
+	const extension = await getLicenseExtension(license)
+	if (extension && !isPlanAllowed(extension, plan.planId)) {
+		return res.status(400).json({ error: `${extension.name} licenses can't be on the ${plan.name} plan` })
+	}
+
+	const updated = await changeLicensePlan(licenseKey, plan, { restartPeriod: Boolean(restartPeriod), reason }, adminAudit(req))
+	if (!updated) {
+		return res.status(404).json({ error: "License not found" })
+	}
+
+	res.json({ success: true, status: updated.status, expiresAt: updated.expiresAt })
+})
+
+// Bulk actions - one action for many licenses, picked by key or by the license list's filters
+// Each action needs the role it needs for a single license
+const BULK_ACTIONS = { revoke: "owner", delete: "owner", extend: "support", "change-extension": "support", resend: "support" }
+const BULK_MAX_LICENSES = 1000
+
+asyncRoute("post", "/api/admin/bulk", requireAdmin, requireRole("support", "licenses:write"), async (req, res) => {
+	const { action, licenseKeys, filters, reason, unit = "day", extensionId } = req.body
+	const count = Number(req.body.count)
+
+	// Errors in the REST API's shape ({ error, code, details }), like the license list the dashboard pages through
+	const invalid = details => sendError(res, 400, "validation_failed", "Invalid bulk action", details)
+
+	if (!Object.prototype.hasOwnProperty.call(BULK_ACTIONS, action)) {
+		return invalid({ action: `Must be one of: ${Object.keys(BULK_ACTIONS).join(", ")}` })
+	}
+	if (!req.admin.apiKey && !hasRole(req.admin, BULK_ACTIONS[action])) {
+		return sendError(res, 403, "forbidden", `This needs the ${BULK_ACTIONS[action]} role`)
+	}
+	if (action === "extend" && (!Number.isInteger(count) || count < 1 || count > 3650)) {
+		return invalid({ count: "Must be an integer from 1 to 3650" })
+	}
+	if (action === "extend" && !EXTEND_UNITS.includes(unit)) {
+		return invalid({ unit: `Must be one of: ${EXTEND_UNITS.join(", ")}` })
+	}
+	const extension = action === "change-extension" ? findExtension(await loadExtensions(), extensionId) : null
+	if (action === "change-extension" && !extension) {
+		return invalid({ extensionId: "Unknown extension" })
+	}
+
+	// The keys picked, or every license matching the filters (the dashboard's "select all matching")
+	let keys
+	if (Array.isArray(licenseKeys)) {
+		keys = Array.from(new Set(licenseKeys.filter(licenseKey => typeof licenseKey === "string")))
+	} else if (filters && typeof filters === "object") {
+		const parsed = parseLicenseFilters(filters)
+		if (Object.keys(parsed.details).length > 0) {
+			return invalid(parsed.details)
+		}
+		keys = (await findLicenses(parsed.filters)).map(([licenseKey]) => licenseKey)
+	} else {
+		return invalid({ licenseKeys: "Send a list of license keys, or filters" })
+	}
+	if (keys.length === 0) {
+		return invalid({ licenseKeys: "No licenses selected" })
+	}
+	if (keys.length > BULK_MAX_LICENSES) {
+		return invalid({ licenseKeys: `${keys.length} licenses selected - bulk actions take up to ${BULK_MAX_LICENSES} at a time` })
+	}
+
+	// One license failing doesn't stop the rest - each gets its own result
+	const audit = adminAudit(req)
+	const results = []
+	for (const licenseKey of keys) {
+		const license = await licenseStore.get(licenseKey)
+		if (!license) {
+			results.push({ licenseKey, success: false, error: "License not found" })
+			continue
+		}
+
+		let error = null
+		try {
+			if (action === "revoke") {
+				error = (await revokeLicense(licenseKey, reason, audit)) ? null : "License is already revoked"
+			} else if (action === "delete") {
+				await deleteLicense(licenseKey, license, reason, audit)
+			} else if (action === "extend") {
+				if (license.subscriptionType === "lifetime") {
+					error = "Lifetime licenses don't expire"
+				} else {
+					error = (await extendLicense(licenseKey, { unit, count }, reason, audit)) ? null : "License not found"
+				}
+			} else if (action === "change-extension") {
+				error = await changeLicenseExtension(licenseKey, extension, reason, audit)
+			} else {
+				const emailResult = await sendLicenseKeyEmail(licenseKey, license)
+				error = emailResult.sent ? null : emailResult.reason || "Email not sent"
+			}
+		} catch (failure) {
+			console.error(`Bulk ${action} failed for ${licenseKey}:`, failure)
+			error = "Something went wrong"
+		}
+		results.push(error ? { licenseKey, success: false, error } : { licenseKey, success: true })
+	}
+
+	const succeeded = results.filter(result => result.success).length
+	console.log(`Bulk ${action}: ${succeeded} of ${results.length} license(s) (by ${req.admin.username})`)
+
+	res.json({ action, total: results.length, succeeded, failed: results.length - succeeded, results })
+})
+
+// 7. Webhook event ledger
+asyncRoute("get", "/api/admin/webhook-events", requireAdmin, requireRole("viewer", "read"), async (req, res) => {
+	const { outcome, eventType } = req.query
+	const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000)
+
+	const events = await loadWebhookEvents()
+
+	const results = Object.entries(events)
+		.map(([eventId, event]) => ({ eventId, ...event }))
+		.filter(event => !outcome || event.outcome === outcome)
+		.filter(event => !eventType || event.eventType === eventType)
+		.sort((a, b) => new Date(b.lastReceivedAt) - new Date(a.lastReceivedAt))
+
+	res.json({
+		total: results.length,
+		events: results.slice(0, limit)
+	})
+})
+
+// 8. Plan catalog
+asyncRoute("get", "/api/admin/plans", requireAdmin, requireRole("viewer", "read"), async (req, res) => {
+	res.json({ plans: await loadPlans() })
+})
+
+asyncRoute("put", "/api/admin/plans/:planId", requireAdmin, requireRole("owner", "settings:write"), async (req, res) => {
+	const { planId } = req.params
+	const { name, subscriptionType, extensionId, price, currency, duration, seats } = req.body
+
+	// Plans belong to a registered extension, which names it
+	const extension = findExtension(await loadExtensions(), extensionId)
+	if (!extension) {
+		return res.status(400).json({ error: "Unknown extension - add it to the extension registry first" })
+	}
+	const plan = { name, subscriptionType, extensionName: extension.name, extensionId, price, currency, duration, seats }
+
+	const error = validatePlan(planId, plan)
+	if (error) {
+		return res.status(400).json({ error })
+	}
+
+	let created = false
+	await updatePlans(plans => {
+		created = !findPlan(plans, planId)
+		plans[planId] = plan
+	})
+
+	// Manual licenses for the extension can use the plan straight away
+	await updateExtensions(extensions => {
+		if (findExtension(extensions, extensionId) && !extensions[extensionId].planIds.includes(planId)) {
+			extensions[extensionId].planIds.push(planId)
+		}
+	})
+
+	console.log(`Plan ${created ? "added" : "updated"}: ${planId}`)
+
+	res.json({ success: true, planId, plan })
+})
+
+asyncRoute("delete", "/api/admin/plans/:planId", requireAdmin, requireRole("owner", "settings:write"), async (req, res) => {
+	const { planId } = req.params
+	const plans = await loadPlans()
+
+	if (!findPlan(plans, planId)) {
+		return res.status(404).json({ error: "Plan not found" })
+	}
+
+	// Renewals look up the plan by ID, so keep plans that licenses still use
+	const licenses = await licenseStore.list()
+	const inUse = Object.values(licenses).filter(license => license.planId === planId).length
+	if (inUse > 0) {
+		return res.status(409).json({ error: `Plan is used by ${inUse} license(s)` })
+	}
+
+	await updatePlans(latest => {
+		delete latest[planId]
+	})
+	await updateExtensions(extensions => {
+		for (const extension of Object.values(extensions)) {
+			extension.planIds = extension.planIds.filter(id => id !== planId)
+		}
+	})
+
+	console.log(`Plan removed: ${planId}`)
+
+	res.json({ success: true })
+})
+
+// Extension registry - the extensions licenses can be issued for, looked up by the ID the extension sends
+asyncRoute("get", "/api/admin/extensions", requireAdmin, requireRole("viewer", "read"), async (req, res) => {
+	res.json({ extensions: await loadExtensions() })
+})
+
+asyncRoute("put", "/api/admin/extensions/:extensionId", requireAdmin, requireRole("owner", "settings:write"), async (req, res) => {
+	const { extensionId } = req.params
+	const { name, supportEmail, planIds, branding = {}, chromeWebStoreId } = req.body
+	const extension = {
+		name: typeof name === "string" ? name.trim() : name,
+		supportEmail: supportEmail || null,
+		planIds: Array.isArray(planIds) ? Array.from(new Set(planIds)) : planIds,
+		branding: { color: (branding && branding.color) || null, logoUrl: (branding && branding.logoUrl) || null },
+		chromeWebStoreId: chromeWebStoreId || null
+	}
+
+	const plans = await loadPlans()
+	const error = validateExtension(extensionId, extension, plans)
+	if (error) {
+		return res.status(400).json({ error })
+	}
+
+	let created = false
+	await updateExtensions(extensions => {
+		created = !findExtension(extensions, extensionId)
+		extensions[extensionId] = extension
+	})
+
+	// Plans carry their extension's name for the dashboard and the stats
+	if (Object.values(plans).some(plan => plan.extensionId === extensionId && plan.extensionName !== extension.name)) {
+		await updatePlans(latest => {
+			for (const plan of Object.values(latest)) {
+				if (plan.extensionId === extensionId) {
+					plan.extensionName = extension.name
+				}
+			}
+		})
+	}
+
+	console.log(`Extension ${created ? "added" : "updated"}: ${extensionId}`)
+
+	res.json({ success: true, extensionId, extension })
+})
+
+asyncRoute("delete", "/api/admin/extensions/:extensionId", requireAdmin, requireRole("owner", "settings:write"), async (req, res) => {
+	const { extensionId } = req.params
+	const extensions = await loadExtensions()
+
+	if (!findExtension(extensions, extensionId)) {
+		return res.status(404).json({ error: "Extension not found" })
+	}
+
+	// Verification looks up the extension by ID, so keep extensions that licenses or plans still use
+	const licenses = await licenseStore.list()
+	const licensesInUse = Object.values(licenses).filter(license => isLicenseForExtension(license, extensionId)).length
+	if (licensesInUse > 0) {
+		return res.status(409).json({ error: `Extension is used by ${licensesInUse} license(s)` })
+	}
+	const plansInUse = Object.values(await loadPlans()).filter(plan => plan.extensionId === extensionId).length
+	if (plansInUse > 0) {
+		return res.status(409).json({ error: `Extension is used by ${plansInUse} plan(s)` })
+	}
+
+	await updateExtensions(latest => {
+		delete latest[extensionId]
+	})
+
+	console.log(`Extension removed: ${extensionId}`)
+
+	res.json({ success: true })
+})
+
+// 9. Stats - derived from license and payment records
+asyncRoute("get", "/api/admin/stats", requireAdmin, requireRole("viewer", "read"), async (req, res) => {
+	res.json(await getStats())
+})
+
+// Recompute the stored snapshot in stats.json from the license records
+asyncRoute("post", "/api/admin/stats/rebuild", requireAdmin, requireRole("support", "settings:write"), async (req, res) => {
+	const previous = await loadStats()
+	const stats = await getStats()
+	await saveStats(stats)
+
+	console.log("Stats snapshot rebuilt")
+
+	res.json({ success: true, previous, stats })
+})
+
+// 10. Scheduled jobs
+asyncRoute("get", "/api/admin/jobs", requireAdmin, requireRole("viewer", "read"), async (req, res) => {
+	res.json({ jobs: await getJobStatus() })
+})
+
+asyncRoute("post", "/api/admin/jobs/:name/run", requireAdmin, requireRole("owner", "settings:write"), async (req, res) => {
+	try {
+		const run = await runJob(req.params.name)
+		if (!run) {
+			return res.status(409).json({ error: "Job is already running" })
+		}
+		res.json({ success: true, run })
+	} catch (error) {
+		res.status(404).json({ error: error.message })
+	}
+})
+
+// 11. Backups of the data directory
+asyncRoute("get", "/api/admin/backups", requireAdmin, requireRole("viewer", "read"), async (req, res) => {
+	res.json({ backups: await listBackups() })
+})
+
+asyncRoute("post", "/api/admin/backups", requireAdmin, requireRole("owner", "settings:write"), async (req, res) => {
+	try {
+		const backup = await createBackup({ store: licenseStore, label: "manual" })
+		res.json({ success: true, backup })
+	} catch (error) {
+		console.error("Backup error:", error)
+		res.status(500).json({ error: "Backup failed" })
+	}
+})
+
+// Restoring takes a "pre-restore" backup of the current data first, so it can be undone
+asyncRoute("post", "/api/admin/backups/:name/restore", requireAdmin, requireRole("owner", "settings:write"), async (req, res) => {
+	const { name } = req.params
+
+	if (!isBackupName(name)) {
+		return res.status(400).json({ error: "Invalid backup name" })
+	}
+
+	try {
+		const restored = await restoreBackup(name, { store: licenseStore })
+		if (!restored) {
+			return res.status(404).json({ error: "Backup not found" })
+		}
+		// Too big for before/after snapshots - the pre-restore backup holds the previous data
+		await recordAudit({
+			...adminAudit(req),
+			action: "backup.restore",
+			reason: `Restored ${name} (previous data in ${restored.safetyBackup})`
+		})
+		res.json({ success: true, ...restored })
+	} catch (error) {
+		console.error("Restore error:", error)
+		res.status(500).json({ error: `Restore failed: ${error.message}` })
+	}
+})
+
+// 12. Token signing key rotation - new tokens use a new key, the old one stays published until its tokens expire
+asyncRoute("post", "/api/admin/signing-keys/rotate", requireAdmin, requireRole("owner", "settings:write"), async (req, res) => {
+	const kid = await rotateSigningKey()
+	res.json({ success: true, kid, keys: await getPublicKeys() })
+})
+
+// 13. Rate limits and blocked IPs
+asyncRoute("get", "/api/admin/rate-limits", requireAdmin, requireRole("viewer", "read"), (req, res) => {
+	res.json(getRateLimitStatus())
+})
+
+asyncRoute("delete", "/api/admin/blocked-ips/:ip", requireAdmin, requireRole("owner", "settings:write"), (req, res) => {
+	if (!unblockIp(req.params.ip)) {
+		return res.status(404).json({ error: "IP is not blocked" })
+	}
+
+	console.log(`Unblocked ${req.params.ip}`)
+
+	res.json({ success: true })
+})
+
+// 14. Admin users and roles - changing a password or deleting an admin ends their sessions
+asyncRoute("get", "/api/admin/users", requireAdmin, requireRole("owner"), async (req, res) => {
+	res.json(await listAdminUsers())
+})
+
+asyncRoute("post", "/api/admin/users", requireAdmin, requireRole("owner"), async (req, res) => {
+	const { username, password, role = "viewer" } = req.body
+
+	const error = await createAdminUser(username, password, role)
+	if (error) {
+		return res.status(400).json({ error })
+	}
+
+	console.log(`Admin user added: ${String(username).toLowerCase()} as ${role} (by ${req.admin.username})`)
+
+	res.json({ success: true })
+})
+
+// Every admin can change their own password, only owners can change someone else's
+asyncRoute("put", "/api/admin/users/:username/password", requireAdmin, async (req, res) => {
+	const { username } = req.params
+	if (req.admin.apiKey) {
+		return res.status(403).json({ error: "API keys can't use this route" })
+	}
+	if (username !== req.admin.username && !hasRole(req.admin, "owner")) {
+		return res.status(403).json({ error: "This needs the owner role" })
+	}
+
+	const error = await setAdminPassword(username, req.body.password)
+	if (error) {
+		return res.status(error === "Admin user not found" ? 404 : 400).json({ error })
+	}
+
+	console.log(`Admin password changed: ${username} (by ${req.admin.username})`)
+
+	res.json({ success: true })
+})
+
+asyncRoute("put", "/api/admin/users/:username/role", requireAdmin, requireRole("owner"), async (req, res) => {
+	const { username } = req.params
+	const { role } = req.body
+
+	const error = await setAdminRole(username, role)
+	if (error) {
+		return res.status(error === "Admin user not found" ? 404 : 400).json({ error })
+	}
+
+	console.log(`Admin role changed: ${username} is now ${role} (by ${req.admin.username})`)
+
+	res.json({ success: true })
+})
+
+asyncRoute("delete", "/api/admin/users/:username", requireAdmin, requireRole("owner"), async (req, res) => {
+	const { username } = req.params
+	if (username === req.admin.username) {
+		return res.status(400).json({ error: "You can't delete your own account" })
+	}
+
+	const error = await deleteAdminUser(username)
+	if (error) {
+		return res.status(error === "Admin user not found" ? 404 : 400).json({ error })
+	}
+
+	console.log(`Admin user removed: ${username} (by ${req.admin.username})`)
+
+	res.json({ success: true })
+})
+
+// 15. Audit log - every license change, newest first
+// Filters: licenseKey, actorType, actor, action (or a prefix ending in "."), since, until (dates or timestamps)
+const auditFilters = query => {
+	const filters = {}
+	for (const name of ["licenseKey", "actorType", "actor", "action", "since", "until"]) {
+		if (typeof query[name] === "string" && query[name].trim()) {
+			filters[name] = query[name].trim()
+		}
+	}
+	// A plain date as the upper bound means the whole of that day
+	if (filters.until && /^\d{4}-\d{2}-\d{2}$/.test(filters.until)) {
+		filters.until += "T23:59:59.999Z"
+	}
+	return filters
+}
+
+// JSON by default (at most `limit` entries, newest first); format=csv or format=jsonl downloads every match, oldest first
+asyncRoute("get", "/api/admin/audit-log", requireAdmin, requireRole("viewer", "read"), async (req, res) => {
+	const { format } = req.query
+	const filters = auditFilters(req.query)
+
+	if (format === "csv" || format === "jsonl") {
+		res.setHeader("Content-Disposition", `attachment; filename="audit-log_${new Date().toISOString().split("T")[0]}.${format}"`)
+		res.type(format === "csv" ? "text/csv" : "application/x-ndjson")
+		return writeAuditExport(res, filters, format)
+	}
+
+	const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000)
+	res.json(await readAuditLog({ ...filters, limit }))
+})
+
+// Dashboard page for the audit log, filtered through the query string like the API
+asyncRoute("get", "/admin/audit", requireAdmin, requireRole("viewer"), async (req, res) => {
+	const filters = auditFilters(req.query)
+	const entries = await readAuditLog({ ...filters, limit: 200 })
+	const exportQuery = new URLSearchParams(filters).toString()
+	const exportLink = format => `/api/admin/audit-log?${exportQuery}${exportQuery ? "&" : ""}format=${format}`
+	const selected = (value, current) => (value === current ? " selected" : "")
+	const formatJson = value => escapeHtml(JSON.stringify(value, null, 2))
+
+	res.send(`
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Audit Log - ReplyBolt License Dashboard</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
     <style>
         body {
             font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
@@ -337,97 +5358,214 @@ app.get("/admin", async (req, res) => {
         }
         h1 {
             color: #1976d2;
-            margin-bottom: 30px;
-        }
-        .stats {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-            gap: 20px;
-            margin-bottom: 40px;
-        }
-        .stat-card {
-            background: #f8f9fa;
-            padding: 20px;
-            border-radius: 8px;
-            text-align: center;
-            border: 1px solid #e9ecef;
         }
-        .stat-value {
-            font-size: 36px;
-            font-weight: bold;
-            color: #1976d2;
-            margin: 10px 0;
+        .filters {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 10px;
+            margin-bottom: 20px;
         }
-        .stat-label {
-            color: #666;
-            font-size: 14px;
+        .filters input, .filters select {
+            padding: 8px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
         }
-        .email-status {
-            background: ${emailConfigured ? "#d4edda" : "#f8d7da"};
-            color: ${emailConfigured ? "#155724" : "#721c24"};
-            padding: 10px 15px;
-            border-radius: 5px;
-            margin-bottom: 20px;
+        .btn {
             display: inline-block;
+            padding: 8px 16px;
+            background: #1976d2;
+            color: white;
+            border: none;
+            border-radius: 4px;
+            cursor: pointer;
+            font-size: 14px;
+            text-decoration: none;
         }
         table {
             width: 100%;
             border-collapse: collapse;
-            margin-top: 20px;
+            font-size: 13px;
         }
         th, td {
-            padding: 12px;
+            padding: 8px;
             text-align: left;
             border-bottom: 1px solid #ddd;
+            vertical-align: top;
         }
         th {
-            background-color: #1976d2;
-            color: white;
-            font-weight: 500;
-            position: sticky;
-            top: 0;
-            z-index: 10;
+            background-color: #f8f9fa;
         }
-        tr:hover {
-            background-color: #f5f5f5;
+        .license-key {
+            font-family: monospace;
+            font-size: 12px;
         }
-        .status-active {
-            color: #4caf50;
-            font-weight: 500;
+        pre {
+            max-width: 500px;
+            max-height: 300px;
+            overflow: auto;
+            background: #f8f9fa;
+            padding: 8px;
+            font-size: 11px;
         }
-        .status-cancelled {
-            color: #f44336;
-            font-weight: 500;
+    </style>
+</head>
+<body>
+    <div class="container">
+        <p><a href="/admin">← Back to dashboard</a></p>
+        <h1>📜 Audit Log</h1>
+        
+        <form class="filters" method="GET" action="/admin/audit">
+            <input type="text" name="licenseKey" placeholder="License key" value="${escapeHtml(filters.licenseKey)}">
+            <select name="actorType">
+                <option value="">All actors</option>
+                ${ACTOR_TYPES.map(type => `<option value="${type}"${selected(type, filters.actorType)}>${type}</option>`).join("")}
+            </select>
+            <input type="text" name="actor" placeholder="Actor (username, event ID...)" value="${escapeHtml(filters.actor)}">
+            <select name="action">
+                <option value="">All actions</option>
+                ${AUDIT_ACTIONS.map(action => `<option value="${action}"${selected(action, filters.action)}>${action}</option>`).join("")}
+            </select>
+            <input type="date" name="since" value="${escapeHtml((filters.since || "").slice(0, 10))}" title="From">
+            <input type="date" name="until" value="${escapeHtml((filters.until || "").slice(0, 10))}" title="To">
+            <button type="submit" class="btn">Filter</button>
+            <a class="btn" href="/admin/audit">Clear</a>
+            <a class="btn" href="${escapeHtml(exportLink("csv"))}">📥 Export CSV</a>
+            <a class="btn" href="${escapeHtml(exportLink("jsonl"))}">📥 Export JSONL</a>
+        </form>
+        
+        <p>${entries.length === 200 ? "Showing the latest 200 matching entries - export for the rest." : `${entries.length} matching entries.`}</p>
+        
+        <table>
+            <thead>
+                <tr>
+                    <th>Time</th>
+                    <th>Actor</th>
+                    <th>IP</th>
+                    <th>Action</th>
+                    <th>License Key</th>
+                    <th>Reason</th>
+                    <th>Changes</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${entries
+									.map(
+										entry => `
+                    <tr>
+                        <td>${new Date(entry.at).toLocaleString()}</td>
+                        <td>${escapeHtml(entry.actorType)}${entry.actor ? `: ${escapeHtml(entry.actor)}` : ""}</td>
+                        <td>${escapeHtml(entry.ip)}</td>
+                        <td>${escapeHtml(entry.action)}</td>
+                        <td>${entry.licenseKey ? `<a class="license-key" href="/admin/audit?licenseKey=${encodeURIComponent(entry.licenseKey)}">${escapeHtml(entry.licenseKey)}</a>` : ""}</td>
+                        <td>${escapeHtml(entry.reason)}</td>
+                        <td>
+                            ${escapeHtml(entry.changes.join(", "))}
+                            ${
+															entry.before || entry.after
+																? `<details>
+                                <summary>Before / after</summary>
+                                <pre>${formatJson(entry.before)}</pre>
+                                <pre>${formatJson(entry.after)}</pre>
+                            </details>`
+																: ""
+														}
+                        </td>
+                    </tr>
+                `
+									)
+									.join("")}
+            </tbody>
+        </table>
+        ${entries.length === 0 ? '<p style="text-align: center; color: #666; margin-top: 40px;">No audit entries match these filters.</p>' : ""}
+    </div>
+</body>
+</html>
+    `)
+})
+
+// 16. API keys for scripts - sent as "Authorization: Bearer <key>" on /api/admin/* routes
+// Only admins signed in as owners manage keys; a key can't manage keys or admins
+asyncRoute("get", "/api/admin/api-keys", requireAdmin, requireRole("owner"), async (req, res) => {
+	res.json({ scopes: API_KEY_SCOPES, keys: await listApiKeys() })
+})
+
+asyncRoute("post", "/api/admin/api-keys", requireAdmin, requireRole("owner"), async (req, res) => {
+	const { name, scopes, expiresAt } = req.body
+
+	const result = await createApiKey({ name, scopes, expiresAt, createdBy: req.admin.username })
+	if (result.error) {
+		return res.status(400).json({ error: result.error })
+	}
+
+	console.log(
+		`API key created: ${result.apiKey.name} (${result.apiKey.id}) with ${result.apiKey.scopes.join(", ")} (by ${req.admin.username})`
+	)
+
+	// The only time the key itself is returned - it can't be recovered later
+	res.json({ success: true, key: result.key, apiKey: result.apiKey })
+})
+
+asyncRoute("delete", "/api/admin/api-keys/:id", requireAdmin, requireRole("owner"), async (req, res) => {
+	const error = await revokeApiKey(req.params.id)
+	if (error) {
+		return res.status(error === "API key not found" ? 404 : 400).json({ error })
+	}
+
+	console.log(`API key revoked: ${req.params.id} (by ${req.admin.username})`)
+
+	res.json({ success: true })
+})
+
+// Dashboard page for API keys
+asyncRoute("get", "/admin/api-keys", requireAdmin, requireRole("owner"), async (req, res) => {
+	const csrfToken = req.admin.csrfToken || ""
+	const keys = await listApiKeys()
+	const formatDate = value => (value ? new Date(value).toLocaleString() : "Never")
+
+	res.send(`
+<!DOCTYPE html>
+<html>
+<head>
+    <title>API Keys - ReplyBolt License Dashboard</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            margin: 0;
+            padding: 20px;
+            background-color: #f5f5f5;
+        }
+        .container {
+            max-width: 1400px;
+            margin: 0 auto;
+            background: white;
+            padding: 30px;
+            border-radius: 10px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
         }
-        .status-revoked {
-            color: #ff9800;
-            font-weight: 500;
+        h1 {
+            color: #1976d2;
         }
-        .license-key {
-            font-family: monospace;
-            background: #f5f5f5;
-            padding: 4px 8px;
-            border-radius: 4px;
-            font-size: 12px;
+        .form-group {
+            margin-bottom: 15px;
         }
-        .search-filters {
-            margin-bottom: 20px;
-            display: flex;
-            gap: 10px;
-            flex-wrap: wrap;
+        .form-group label {
+            display: block;
+            margin-bottom: 5px;
+            font-weight: bold;
         }
-        .search-filters input, .search-filters select {
-            padding: 10px;
+        .form-group input[type=text], .form-group input[type=date] {
+            padding: 8px;
             border: 1px solid #ddd;
             border-radius: 4px;
-            font-size: 16px;
+            width: 300px;
         }
-        .search-filters input[type="text"] {
-            flex: 1;
-            min-width: 250px;
+        .scope {
+            display: block;
+            margin-bottom: 5px;
         }
         .btn {
-            padding: 10px 20px;
+            padding: 8px 16px;
             background: #1976d2;
             color: white;
             border: none;
@@ -435,613 +5573,914 @@ app.get("/admin", async (req, res) => {
             cursor: pointer;
             font-size: 14px;
         }
-        .btn:hover {
-            background: #1565c0;
-        }
         .btn-danger {
-            background: #f44336;
-        }
-        .btn-danger:hover {
             background: #d32f2f;
         }
-        .btn-warning {
-            background: #ff9800;
-        }
-        .btn-warning:hover {
-            background: #f57c00;
-        }
         .btn-small {
             padding: 5px 10px;
             font-size: 12px;
         }
-        .actions {
+        .new-key {
+            display: none;
+            background: #d4edda;
+            color: #155724;
+            padding: 15px;
+            border-radius: 5px;
             margin-bottom: 20px;
-            display: flex;
-            gap: 10px;
         }
-        .license-actions {
-            display: flex;
-            gap: 5px;
+        .new-key code {
+            font-size: 14px;
+            word-break: break-all;
         }
-        .modal {
-            display: none;
-            position: fixed;
-            z-index: 1000;
-            left: 0;
-            top: 0;
+        table {
             width: 100%;
-            height: 100%;
-            overflow: auto;
-            background-color: rgba(0,0,0,0.4);
-        }
-        .modal-content {
-            background-color: #fefefe;
-            margin: 10% auto;
-            padding: 20px;
-            border: 1px solid #888;
-            width: 90%;
-            max-width: 500px;
-            border-radius: 8px;
-        }
-        .close {
-            color: #aaa;
-            float: right;
-            font-size: 28px;
-            font-weight: bold;
-            cursor: pointer;
-        }
-        .close:hover {
-            color: black;
-        }
-        .form-group {
-            margin-bottom: 15px;
-        }
-        .form-group label {
-            display: block;
-            margin-bottom: 5px;
-            font-weight: 500;
+            border-collapse: collapse;
+            font-size: 13px;
+            margin-top: 30px;
         }
-        .form-group input, .form-group select {
-            width: 100%;
+        th, td {
             padding: 8px;
-            border: 1px solid #ddd;
-            border-radius: 4px;
+            text-align: left;
+            border-bottom: 1px solid #ddd;
         }
-        .email-notice {
-            background: #e3f2fd;
-            color: #1565c0;
-            padding: 10px;
-            border-radius: 5px;
-            margin-top: 10px;
-            font-size: 14px;
+        th {
+            background-color: #f8f9fa;
         }
-        @media (max-width: 768px) {
-            .container {
-                padding: 15px;
-            }
-            table {
-                font-size: 14px;
-            }
-            .license-key {
-                font-size: 10px;
-            }
-            .license-actions {
-                flex-direction: column;
-            }
+        .license-key {
+            font-family: monospace;
+            font-size: 12px;
+        }
+        .status-revoked, .status-expired {
+            color: #999;
         }
     </style>
 </head>
 <body>
     <div class="container">
-        <h1>🚀 ReplyBolt License Dashboard</h1>
+        <p><a href="/admin">← Back to dashboard</a></p>
+        <h1>🔑 API Keys</h1>
+        <p>Scripts send a key as <code>Authorization: Bearer &lt;key&gt;</code> on <code>/api/admin/*</code> routes. Keys can't manage admins or other keys.</p>
         
-        <div class="email-status">
-            📧 Email Service: ${emailConfigured ? "Configured ✓" : "Not Configured ✗"}
+        <div class="new-key" id="newKey">
+            Copy this key now - it won't be shown again:<br>
+            <code id="newKeyValue"></code>
         </div>
         
-        <div class="stats">
-            <div class="stat-card">
-                <div class="stat-label">Total Sales</div>
-                <div class="stat-value">${stats.totalSales}</div>
+        <form id="apiKeyForm" onsubmit="createApiKey(event)">
+            <div class="form-group">
+                <label for="keyName">Name</label>
+                <input type="text" id="keyName" maxlength="100" placeholder="support-tooling" required>
             </div>
-            <div class="stat-card">
-                <div class="stat-label">Active Subscriptions</div>
-                <div class="stat-value">${stats.activeSubscriptions}</div>
+            <div class="form-group">
+                <label>Scopes</label>
+                ${Object.entries(API_KEY_SCOPES)
+									.map(
+										([scope, description]) =>
+											`<label class="scope"><input type="checkbox" name="scope" value="${scope}"> <strong>${scope}</strong> - ${description}</label>`
+									)
+									.join("")}
             </div>
-            <div class="stat-card">
-                <div class="stat-label">Total Revenue</div>
-                <div class="stat-value">$${stats.monthlyRevenue.toFixed(2)}</div>
+            <div class="form-group">
+                <label for="keyExpiresAt">Expires (optional)</label>
+                <input type="date" id="keyExpiresAt">
             </div>
-        </div>
-        
-        <div class="actions">
-            <button class="btn" onclick="location.reload()">🔄 Refresh</button>
-            <button class="btn" onclick="exportCSV()">📥 Export CSV</button>
-            <button class="btn" onclick="showCreateModal()">➕ Create License</button>
-        </div>
+            <button type="submit" class="btn">➕ Create Key</button>
+        </form>
         
-        <div class="search-filters">
-            <input type="text" id="searchInput" placeholder="Search by email, license key, or extension name..." onkeyup="filterTable()">
-            <select id="statusFilter" onchange="filterTable()">
-                <option value="">All Status</option>
-                <option value="active">Active</option>
-                <option value="cancelled">Cancelled</option>
-                <option value="revoked">Revoked</option>
-            </select>
-            <select id="typeFilter" onchange="filterTable()">
-                <option value="">All Types</option>
-                <option value="monthly">Monthly</option>
-                <option value="annual">Annual</option>
-                <option value="lifetime">Lifetime</option>
-            </select>
-        </div>
-        
-        <h2>License List (${Object.keys(licenses).length} total)</h2>
-        <table id="licenseTable">
+        <table>
             <thead>
                 <tr>
-                    <th>Email</th>
-                    <th>License Key</th>
-                    <th>Extension</th>
-                    <th>Extension ID</th>
-                    <th>Type</th>
+                    <th>Name</th>
+                    <th>Key</th>
+                    <th>Scopes</th>
                     <th>Status</th>
                     <th>Created</th>
                     <th>Expires</th>
+                    <th>Last Used</th>
                     <th>Actions</th>
                 </tr>
             </thead>
             <tbody>
-                ${Object.entries(licenses)
-									.sort((a, b) => new Date(b[1].createdAt) - new Date(a[1].createdAt))
+                ${keys
 									.map(
-										([key, license]) => `
-                    <tr data-status="${license.status}" data-type="${license.subscriptionType}">
-                        <td>${license.email}</td>
-                        <td><span class="license-key">${key}</span></td>
-                        <td>${license.extensionName || "ReplyBolt"}</td>
-                        <td><span class="license-key">${license.extensionId || generateExtensionIdForTemplate(license.extensionName || "ReplyBolt")}</span></td>
-                        <td>${license.subscriptionType}</td>
-                        <td class="status-${license.status}">${license.status}</td>
-                        <td>${new Date(license.createdAt).toLocaleDateString()}</td>
-                        <td>${new Date(license.expiresAt).toLocaleDateString()}</td>
-                        <td class="license-actions">
-                            ${license.status === "active" ? `<button class="btn btn-warning btn-small" onclick="revokeLicense('${key}')">Revoke</button>` : ""}
-                            <button class="btn btn-danger btn-small" onclick="deleteLicense('${key}')">Delete</button>
-                        </td>
+										apiKey => `
+                    <tr class="status-${apiKey.status}">
+                        <td>${escapeHtml(apiKey.name)}</td>
+                        <td><span class="license-key">${apiKey.prefix}…</span></td>
+                        <td>${apiKey.scopes.join(", ")}</td>
+                        <td>${apiKey.status}</td>
+                        <td>${formatDate(apiKey.createdAt)}${apiKey.createdBy ? ` by ${escapeHtml(apiKey.createdBy)}` : ""}</td>
+                        <td>${apiKey.expiresAt ? formatDate(apiKey.expiresAt) : "-"}</td>
+                        <td>${formatDate(apiKey.lastUsedAt)}${apiKey.lastUsedIp ? ` from ${escapeHtml(apiKey.lastUsedIp)}` : ""}</td>
+                        <td>${apiKey.status !== "revoked" ? `<button class="btn btn-danger btn-small" onclick="revokeApiKey('${apiKey.id}')">Revoke</button>` : ""}</td>
                     </tr>
                 `
 									)
 									.join("")}
             </tbody>
         </table>
-        
-        ${Object.keys(licenses).length === 0 ? '<p style="text-align: center; color: #666; margin-top: 40px;">No licenses yet. First sale coming soon! 🎉</p>' : ""}
-    </div>
-    
-    <!-- Create License Modal -->
-    <div id="createModal" class="modal">
-        <div class="modal-content">
-            <span class="close" onclick="closeCreateModal()">&times;</span>
-            <h2>Create New License</h2>
-            <form id="createLicenseForm" onsubmit="createLicense(event)">
-                <div class="form-group">
-                    <label for="email">Email</label>
-                    <input type="email" id="email" required>
-                </div>
-                <div class="form-group">
-                    <label for="extensionName">Extension Name</label>
-                    <select id="extensionName" required>
-                    <option value="ReplyBolt" selected>ReplyBolt</option>
-                    <option value="QuickReply Pro">QuickReply Pro</option>
-                    <option value="AutoResponder">AutoResponder</option>
-                    <option value="EmailHelper">EmailHelper</option>
-                    <option value="Custom">Custom Extension</option>
-                    </select>
-                </div>
-                <div class="form-group">
-                    <label for="subscriptionType">Subscription Type</label>
-                    <select id="subscriptionType" required>
-                        <option value="monthly">Monthly</option>
-                        <option value="annual">Annual</option>
-                        <option value="lifetime">Lifetime</option>
-                    </select>
-                </div>
-                <button type="submit" class="btn">Create License</button>
-                ${emailConfigured ? '<div class="email-notice">✉️ License key will be emailed automatically</div>' : '<div class="email-notice">⚠️ Email not configured - display license key to user manually</div>'}
-            </form>
-        </div>
+        ${keys.length === 0 ? '<p style="text-align: center; color: #666; margin-top: 40px;">No API keys yet.</p>' : ""}
     </div>
     
     <script>
-        function filterTable() {
-            const searchInput = document.getElementById('searchInput').value.toUpperCase();
-            const statusFilter = document.getElementById('statusFilter').value;
-            const typeFilter = document.getElementById('typeFilter').value;
-            const table = document.getElementById('licenseTable');
-            const tr = table.getElementsByTagName('tr');
-            
-            for (let i = 1; i < tr.length; i++) {
-                const tdEmail = tr[i].getElementsByTagName('td')[0];
-                const tdLicense = tr[i].getElementsByTagName('td')[1];
-                const tdExtension = tr[i].getElementsByTagName('td')[2];
-                const status = tr[i].getAttribute('data-status');
-                const type = tr[i].getAttribute('data-type');
-                
-                let showRow = true;
-                
-                // Text search
-                if (searchInput) {
-                    const emailText = tdEmail.textContent || tdEmail.innerText;
-                    const licenseText = tdLicense.textContent || tdLicense.innerText;
-                    const extensionText = tdExtension.textContent || tdExtension.innerText;
-                    
-                    if (!emailText.toUpperCase().includes(searchInput) && 
-                        !licenseText.toUpperCase().includes(searchInput) &&
-                        !extensionText.toUpperCase().includes(searchInput)) {
-                        showRow = false;
-                    }
-                }
-                
-                // Status filter
-                if (statusFilter && status !== statusFilter) {
-                    showRow = false;
-                }
-                
-                // Type filter
-                if (typeFilter && type !== typeFilter) {
-                    showRow = false;
-                }
-                
-                tr[i].style.display = showRow ? '' : 'none';
-            }
-        }
-        
-        function exportCSV() {
-            const table = document.getElementById('licenseTable');
-            let csv = [];
-            
-            for (let i = 0; i < table.rows.length; i++) {
-                let row = [];
-                // Exclude the last column (Actions)
-                for (let j = 0; j < table.rows[i].cells.length - 1; j++) {
-                    row.push('"' + table.rows[i].cells[j].innerText.replace(/"/g, '""') + '"');
-                }
-                csv.push(row.join(','));
-            }
-            
-            const csvContent = csv.join('\\n');
-            const blob = new Blob([csvContent], { type: 'text/csv' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = 'licenses_' + new Date().toISOString().split('T')[0] + '.csv';
-            a.click();
-        }
-        
-        function showCreateModal() {
-            document.getElementById('createModal').style.display = 'block';
-        }
-        
-        function closeCreateModal() {
-            document.getElementById('createModal').style.display = 'none';
-            document.getElementById('createLicenseForm').reset();
-        }
-        
-        function createLicense(event) {
+        function createApiKey(event) {
             event.preventDefault();
             
-            const email = document.getElementById('email').value;
-            const extensionName = document.getElementById('extensionName').value;
-            const subscriptionType = document.getElementById('subscriptionType').value;
-            
-            fetch('/api/admin/create-license', {
-                method: 'POST',
-                headers: {
-                    'Authorization': '${auth}',
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    email: email,
-                    extensionName: extensionName,
-                    subscriptionType: subscriptionType
-                })
-            })
-            .then(r => r.json())
-            .then(data => {
-                if (data.success) {
-                    let message = 'License created: ' + data.licenseKey;
-                    if (data.emailSent) {
-                        message += '\\n\\nEmail sent successfully to ' + email;
-                    } else if (!${emailConfigured}) {
-                        message += '\\n\\nEmail service not configured. Please share this license key with the user.';
-                    }
-                    alert(message);
-                    location.reload();
-                } else {
-                    alert('Error: ' + (data.error || 'Unknown error'));
-                }
-            })
-            .catch(err => {
-                alert('Error creating license: ' + err.message);
-            });
-        }
-        
-        function revokeLicense(licenseKey) {
-            const reason = prompt('Reason for revocation (optional):');
-            if (!confirm('Are you sure you want to revoke this license?')) return;
+            const scopes = Array.from(document.querySelectorAll('input[name=scope]:checked')).map(input => input.value);
+            const expiresAt = document.getElementById('keyExpiresAt').value;
             
-            fetch('/api/admin/revoke-license', {
+            fetch('/api/admin/api-keys', {
                 method: 'POST',
                 headers: {
-                    'Authorization': '${auth}',
+                    'X-CSRF-Token': '${csrfToken}',
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ 
-                    licenseKey: licenseKey,
-                    reason: reason
+                body: JSON.stringify({
+                    name: document.getElementById('keyName').value,
+                    scopes: scopes,
+                    // The end of the chosen day
+                    expiresAt: expiresAt ? expiresAt + 'T23:59:59.999Z' : null
                 })
             })
             .then(r => r.json())
             .then(data => {
                 if (data.success) {
-                    alert('License revoked successfully');
-                    location.reload();
+                    document.getElementById('apiKeyForm').reset();
+                    document.getElementById('newKeyValue').textContent = data.key;
+                    document.getElementById('newKey').style.display = 'block';
                 } else {
                     alert('Error: ' + (data.error || 'Unknown error'));
                 }
             });
         }
         
-        function deleteLicense(licenseKey) {
-            if (!confirm('Are you sure you want to DELETE this license? This cannot be undone!')) return;
+        function revokeApiKey(id) {
+            if (!confirm('Revoke this API key? Scripts using it stop working immediately.')) return;
             
-            fetch('/api/admin/delete-license', {
-                method: 'POST',
+            fetch('/api/admin/api-keys/' + encodeURIComponent(id), {
+                method: 'DELETE',
                 headers: {
-                    'Authorization': '${auth}',
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ licenseKey: licenseKey })
+                    'X-CSRF-Token': '${csrfToken}'
+                }
             })
             .then(r => r.json())
             .then(data => {
                 if (data.success) {
-                    alert('License deleted successfully');
                     location.reload();
                 } else {
                     alert('Error: ' + (data.error || 'Unknown error'));
                 }
             });
         }
-        
-        // Close modal when clicking outside
-        window.onclick = function(event) {
-            const modal = document.getElementById('createModal');
-            if (event.target == modal) {
-                closeCreateModal();
-            }
-        }
     </script>
 </body>
 </html>
-    `
-
-	res.send(html)
+    `)
 })
 
-// 4. Manual license creation (enhanced with extension name and email)
-app.post("/api/admin/create-license", async (req, res) => {
-	// Basic auth check
-	const auth = req.headers.authorization
-	const expectedAuth = "Basic " + Buffer.from(`admin:${process.env.ADMIN_PASSWORD || "changeme"}`).toString("base64")
+// 18. REST API v1 - licenses as a resource, for scripts and integrations (described by /api/v1/openapi.json)
+// Signs in like /api/admin/* (API key, session or Basic auth); single licenses come back as { data },
+// lists as { data, pagination }, and errors as { error, code } plus details for invalid fields
 
-	if (auth !== expectedAuth) {
-		return res.status(401).json({ error: "Unauthorized" })
-	}
+const V1_SORT_FIELDS = ["createdAt", "expiresAt", "email", "status", "subscriptionType"]
+const V1_MAX_PER_PAGE = 200
 
-	const { email, subscriptionType = "monthly", extensionName = "ReplyBolt" } = req.body
+// Date range filters - createdAt and expiresAt from and to a date
+const LICENSE_DATE_FILTERS = ["createdFrom", "createdTo", "expiresFrom", "expiresTo"]
 
-	if (!email) {
-		return res.status(400).json({ error: "Email required" })
+// Filters for license lists, from query parameters - returns { filters, details }, details naming each bad parameter
+// status, planId, subscriptionType and extensionId match exactly, email case-insensitively, and q searches the key,
+// email and extension name; createdFrom/createdTo and expiresFrom/expiresTo are ISO 8601 dates
+function parseLicenseFilters(query) {
+	const details = {}
+	const text = name => (typeof query[name] === "string" && query[name].trim() ? query[name].trim() : null)
+	const filters = {
+		status: text("status"),
+		email: text("email") && text("email").toLowerCase(),
+		planId: text("planId"),
+		subscriptionType: text("subscriptionType"),
+		extensionId: text("extensionId"),
+		search: text("q") && text("q").toLowerCase()
 	}
 
-	const licenseKey = generateLicenseKey()
-	const expiresAt = calculateExpiry(subscriptionType)
+	for (const name of LICENSE_DATE_FILTERS) {
+		let value = text(name)
+		if (value === null) {
+			continue
+		}
+		// A plain date as the upper bound means the whole of that day
+		if (name.endsWith("To") && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+			value += "T23:59:59.999Z"
+		}
+		const time = new Date(value).getTime()
+		if (Number.isNaN(time)) {
+			details[name] = "Must be an ISO 8601 date"
+		} else {
+			filters[name] = time
+		}
+	}
 
-	const licenses = await loadLicenses()
+	return { filters, details }
+}
 
-	licenses[licenseKey] = {
-		email: email,
-		subscriptionId: "MANUAL-" + Date.now(),
-		subscriptionType: subscriptionType,
-		status: "active",
-		createdAt: new Date().toISOString(),
-		expiresAt: expiresAt,
-		paypalSubscriptionId: null,
-		manual: true,
-		extensionName: extensionName,
-		extensionId: generateExtensionId(extensionName)
+// Licenses matching every filter (see parseLicenseFilters), as [licenseKey, license] entries
+async function findLicenses(filters) {
+	const extensions = await loadExtensions()
+	const inRange = (value, from, to) => {
+		const time = value ? new Date(value).getTime() : null
+		return (from === undefined || (time !== null && time >= from)) && (to === undefined || (time !== null && time <= to))
 	}
 
-	await saveLicenses(licenses)
+	return Object.entries(await licenseStore.list()).filter(([licenseKey, license]) => {
+		const extension = extensions[getLicenseExtensionId(license)]
+		return (
+			(!filters.status || license.status === filters.status) &&
+			(!filters.email || (license.email || "").toLowerCase() === filters.email) &&
+			(!filters.planId || license.planId === filters.planId) &&
+			(!filters.subscriptionType || license.subscriptionType === filters.subscriptionType) &&
+			(!filters.extensionId || isLicenseForExtension(license, filters.extensionId)) &&
+			inRange(license.createdAt, filters.createdFrom, filters.createdTo) &&
+			inRange(license.expiresAt, filters.expiresFrom, filters.expiresTo) &&
+			(!filters.search ||
+				[licenseKey, license.email, license.extensionName, extension && extension.name].some(value =>
+					(value || "").toLowerCase().includes(filters.search)
+				))
+		)
+	})
+}
 
-	// Update stats
-	const stats = await loadStats()
-	stats.totalSales += 1
-	stats.activeSubscriptions += 1
-	await saveStats(stats)
+const toLicenseResource = (licenseKey, license) => ({ licenseKey, ...license })
 
-	// Send license email (non-blocking, won't break if fails)
-	let emailSent = false
-	try {
-		const emailResult = await sendLicenseEmail({
-			email: email,
-			licenseKey: licenseKey,
-			extensionName: extensionName,
-			subscriptionType: subscriptionType,
-			expiresAt: expiresAt
-		})
-		emailSent = emailResult.sent
-		if (emailSent) {
-			console.log(`License email sent to ${email}`)
+// Check the editable fields of a license - returns { fields } ready to apply, or { details } naming each bad field
+// allowed lists the fields the request may set; planId and extensionId are replaced by the plan and the registry entry
+async function validateLicenseFields(body, allowed) {
+	const details = {}
+	const fields = {}
+
+	if (!body || typeof body !== "object" || Array.isArray(body)) {
+		return { details: { body: "Send a JSON object" } }
+	}
+	for (const name of Object.keys(body)) {
+		if (!allowed.includes(name)) {
+			details[name] = `Unknown field - send only: ${allowed.join(", ")}`
 		}
-	} catch (error) {
-		console.error("Error sending license email:", error)
-		// Continue without failing the license creation
 	}
 
-	res.json({
-		success: true,
-		licenseKey: licenseKey,
-		expiresAt: expiresAt,
-		emailSent: emailSent
-	})
+	if (body.email !== undefined) {
+		if (typeof body.email !== "string" || !/^[^\s@]+@[^\s@]+$/.test(body.email.trim()) || body.email.length > 254) {
+			details.email = "Must be an email address"
+		} else {
+			fields.email = body.email.trim()
+		}
+	}
+	if (body.planId !== undefined) {
+		const plan = typeof body.planId === "string" ? findPlan(await loadPlans(), body.planId) : null
+		if (!plan) {
+			details.planId = "Unknown plan"
+		} else {
+			fields.plan = plan
+		}
+	}
+	if (body.expiresAt !== undefined) {
+		const expiresAt = new Date(body.expiresAt)
+		if (typeof body.expiresAt !== "string" || Number.isNaN(expiresAt.getTime())) {
+			details.expiresAt = "Must be an ISO 8601 date"
+		} else {
+			fields.expiresAt = expiresAt.toISOString()
+		}
+	}
+	if (body.extensionId !== undefined) {
+		const extension = typeof body.extensionId === "string" ? findExtension(await loadExtensions(), body.extensionId) : null
+		if (!extension) {
+			details.extensionId = "Unknown extension"
+		} else {
+			fields.extension = extension
+		}
+	}
+	if (body.seats !== undefined && body.seats !== null) {
+		if (!Number.isInteger(body.seats) || body.seats < 1) {
+			details.seats = "Must be a positive integer"
+		} else {
+			fields.seats = body.seats
+		}
+	}
+	if (body.notes !== undefined) {
+		if (body.notes !== null && (typeof body.notes !== "string" || body.notes.length > 2000)) {
+			details.notes = "Must be text of up to 2000 characters, or null to clear"
+		} else {
+			fields.notes = body.notes
+		}
+	}
+
+	return Object.keys(details).length > 0 ? { details } : { fields }
+}
+
+// Load the license named in the URL, or send a 404 and return null
+async function findLicenseOr404(req, res) {
+	const license = await licenseStore.get(req.params.licenseKey)
+	if (!license) {
+		sendError(res, 404, "not_found", "License not found")
+		return null
+	}
+	return license
+}
+
+app.get("/api/v1/openapi.json", (req, res) => {
+	res.json(buildOpenApiDocument({ serverUrl: process.env.DOMAIN || `${req.protocol}://${req.get("host")}` }))
 })
 
-// 5. Revoke license
-app.post("/api/admin/revoke-license", async (req, res) => {
-	// Basic auth check
-	const auth = req.headers.authorization
-	const expectedAuth = "Basic " + Buffer.from(`admin:${process.env.ADMIN_PASSWORD || "changeme"}`).toString("base64")
+// List licenses, newest first by default - filters as in parseLicenseFilters; the admin dashboard's table pages through this
+asyncRoute("get", "/api/v1/licenses", requireAdmin, requireRole("viewer", "read"), async (req, res) => {
+	// Repeated parameters arrive as arrays - only single values are valid
+	const param = (name, fallback) => (req.query[name] === undefined ? fallback : typeof req.query[name] === "string" ? req.query[name] : "")
+	const page = Number(param("page", "1"))
+	const perPage = Number(param("perPage", "50"))
+	const sort = param("sort", "-createdAt")
+	const sortField = sort.replace(/^-/, "")
 
-	if (auth !== expectedAuth) {
-		return res.status(401).json({ error: "Unauthorized" })
+	const { filters, details } = parseLicenseFilters(req.query)
+	if (!Number.isInteger(page) || page < 1) {
+		details.page = "Must be a positive integer"
+	}
+	if (!Number.isInteger(perPage) || perPage < 1 || perPage > V1_MAX_PER_PAGE) {
+		details.perPage = `Must be an integer from 1 to ${V1_MAX_PER_PAGE}`
+	}
+	if (!V1_SORT_FIELDS.includes(sortField)) {
+		details.sort = `Must be one of ${V1_SORT_FIELDS.join(", ")}, with a leading - for descending`
+	}
+	if (Object.keys(details).length > 0) {
+		return sendError(res, 400, "validation_failed", "Invalid query parameters", details)
 	}
 
-	const { licenseKey, reason } = req.body
+	const direction = sort.startsWith("-") ? -1 : 1
+	const licenses = (await findLicenses(filters)).sort(([, a], [, b]) => {
+		const left = a[sortField] || ""
+		const right = b[sortField] || ""
+		return left < right ? -direction : left > right ? direction : 0
+	})
 
-	if (!licenseKey) {
-		return res.status(400).json({ error: "License key required" })
+	const total = licenses.length
+	res.json({
+		data: licenses.slice((page - 1) * perPage, page * perPage).map(([licenseKey, license]) => toLicenseResource(licenseKey, license)),
+		pagination: { page, perPage, total, totalPages: Math.ceil(total / perPage) }
+	})
+})
+
+asyncRoute("get", "/api/v1/licenses/:licenseKey", requireAdmin, requireRole("viewer", "read"), async (req, res) => {
+	const license = await findLicenseOr404(req, res)
+	if (license) {
+		res.json({ data: toLicenseResource(req.params.licenseKey, license) })
 	}
+})
 
-	const licenses = await loadLicenses()
+// Create a manual license and email the key to the customer
+asyncRoute("post", "/api/v1/licenses", requireAdmin, requireRole("support", "licenses:write"), async (req, res) => {
+	const { fields, details } = await validateLicenseFields(req.body, ["email", "planId", "extensionId", "seats", "notes"])
+	if (details || !fields.email || !fields.plan) {
+		return sendError(res, 400, "validation_failed", "Invalid license", {
+			...(fields && !fields.email ? { email: "Required" } : {}),
+			...(fields && !fields.plan ? { planId: "Required" } : {}),
+			...details
+		})
+	}
 
-	if (!licenses[licenseKey]) {
-		return res.status(404).json({ error: "License not found" })
+	const { extension, error } = await resolveLicenseExtension(fields.extension, fields.plan)
+	if (error) {
+		return sendError(res, 400, "validation_failed", "Invalid license", { [fields.extension ? "planId" : "extensionId"]: error })
 	}
 
-	// Check if it was active BEFORE changing status
-	const wasActive = licenses[licenseKey].status === "active"
+	const { licenseKey, license, emailSent } = await createManualLicense({ ...fields, extension }, adminAudit(req))
 
-	// Store license info before updating
-	const licenseInfo = {
-		email: licenses[licenseKey].email,
-		licenseKey: licenseKey,
-		extensionName: licenses[licenseKey].extensionName || "ReplyBolt",
-		reason: reason
+	res
+		.status(201)
+		.location(`/api/v1/licenses/${licenseKey}`)
+		.json({ data: toLicenseResource(licenseKey, license), emailSent })
+})
+
+// Change a license's email, plan, expiry, extension or notes - its status is left alone
+asyncRoute("patch", "/api/v1/licenses/:licenseKey", requireAdmin, requireRole("support", "licenses:write"), async (req, res) => {
+	const { fields, details } = await validateLicenseFields(req.body, ["email", "planId", "expiresAt", "extensionId", "notes"])
+	if (details || Object.keys(fields).length === 0) {
+		return sendError(res, 400, "validation_failed", "Invalid changes", details || { body: "Send at least one field to change" })
 	}
 
-	// Update license status to revoked
-	licenses[licenseKey].status = "revoked"
-	licenses[licenseKey].revokedAt = new Date().toISOString()
-	if (reason) {
-		licenses[licenseKey].revocationReason = reason
+	const license = await findLicenseOr404(req, res)
+	if (!license) {
+		return
 	}
 
-	await saveLicenses(licenses)
+	const { plan, extension, notes, ...changes } = fields
+	const plans = await loadPlans()
+	if (plan || extension) {
+		// The license's extension has to allow its plan, whichever of the two changes
+		const newExtension = extension || (await getLicenseExtension(license))
+		const newPlan = plan || getLicensePlan(plans, license)
+		if (newExtension && newPlan && !isPlanAllowed(newExtension, newPlan.planId)) {
+			return sendError(res, 400, "validation_failed", "Invalid changes", {
+				[plan ? "planId" : "extensionId"]: `${newExtension.name} licenses can't be on the ${newPlan.name} plan`
+			})
+		}
+	}
 
-	// Update stats if it WAS active (using our stored value)
-	if (wasActive) {
-		const stats = await loadStats()
-		stats.activeSubscriptions = Math.max(0, stats.activeSubscriptions - 1)
-		await saveStats(stats)
+	const updated = await updateLicense(
+		req.params.licenseKey,
+		current => {
+			if (plan) {
+				// Past payments stay with the old plan in the stats, as with change-plan
+				const payments = assignPaymentPlan(current, getLicensePlan(plans, current), current.planId || current.subscriptionType)
+				if (payments.length > 0) {
+					current.payments = payments
+				}
+			}
+			Object.assign(current, changes)
+			if (plan) {
+				current.planId = plan.planId
+				current.subscriptionType = plan.subscriptionType
+			}
+			if (extension) {
+				current.extensionId = extension.extensionId
+				current.extensionName = extension.name
+			}
+			if (notes === null) {
+				delete current.notes
+			} else if (notes !== undefined) {
+				current.notes = notes
+			}
+		},
+		{ ...adminAudit(req), action: "license.update", reason: `Updated ${Object.keys(req.body).join(", ")}` }
+	)
+	if (!updated) {
+		return sendError(res, 404, "not_found", "License not found")
 	}
 
-	// Send revocation email (non-blocking)
-	try {
-		const emailResult = await sendRevocationEmail(licenseInfo)
-		if (emailResult.sent) {
-			console.log(`Revocation email sent to ${licenseInfo.email}`)
-		}
-	} catch (error) {
-		console.error("Error sending revocation email:", error)
-		// Continue without failing
+	res.json({ data: toLicenseResource(req.params.licenseKey, updated) })
+})
+
+// Move a license to the trash - an optional reason goes in the query string (?reason=...) or the body
+asyncRoute("delete", "/api/v1/licenses/:licenseKey", requireAdmin, requireRole("owner", "licenses:write"), async (req, res) => {
+	const license = await findLicenseOr404(req, res)
+	if (!license) {
+		return
 	}
 
-	console.log(`License revoked: ${licenseKey}`)
+	await deleteLicense(req.params.licenseKey, license, req.query.reason || (req.body && req.body.reason), adminAudit(req))
+	res.status(204).end()
+})
 
-	res.json({
-		success: true,
-		message: "License revoked successfully"
-	})
+asyncRoute("post", "/api/v1/licenses/:licenseKey/revoke", requireAdmin, requireRole("owner", "licenses:write"), async (req, res) => {
+	const license = await findLicenseOr404(req, res)
+	if (!license) {
+		return
+	}
+
+	const revoked = await revokeLicense(req.params.licenseKey, req.body.reason, adminAudit(req))
+	if (!revoked) {
+		return sendError(res, 409, "conflict", "License is already revoked")
+	}
+	res.json({ data: toLicenseResource(req.params.licenseKey, revoked) })
 })
 
-// 6. Delete license
-app.post("/api/admin/delete-license", async (req, res) => {
-	// Basic auth check
-	const auth = req.headers.authorization
-	const expectedAuth = "Basic " + Buffer.from(`admin:${process.env.ADMIN_PASSWORD || "changeme"}`).toString("base64")
+asyncRoute("post", "/api/v1/licenses/:licenseKey/reinstate", requireAdmin, requireRole("owner", "licenses:write"), async (req, res) => {
+	const license = await findLicenseOr404(req, res)
+	if (!license) {
+		return
+	}
 
-	if (auth !== expectedAuth) {
-		return res.status(401).json({ error: "Unauthorized" })
+	const reinstated = await reinstateLicense(req.params.licenseKey, req.body.reason, adminAudit(req))
+	if (!reinstated) {
+		return sendError(res, 409, "conflict", "Only revoked licenses can be reinstated")
 	}
+	res.json({ data: toLicenseResource(req.params.licenseKey, reinstated) })
+})
 
-	const { licenseKey } = req.body
+// Push the expiry back by { count, unit } - unit is day (the default), month or year
+asyncRoute("post", "/api/v1/licenses/:licenseKey/extend", requireAdmin, requireRole("support", "licenses:write"), async (req, res) => {
+	const { count, unit = "day", reason } = req.body
+	const details = {}
+	if (!Number.isInteger(count) || count < 1 || count > 3650) {
+		details.count = "Must be an integer from 1 to 3650"
+	}
+	if (!EXTEND_UNITS.includes(unit)) {
+		details.unit = `Must be one of: ${EXTEND_UNITS.join(", ")}`
+	}
+	if (Object.keys(details).length > 0) {
+		return sendError(res, 400, "validation_failed", "Invalid extension", details)
+	}
 
-	if (!licenseKey) {
-		return res.status(400).json({ error: "License key required" })
+	const license = await findLicenseOr404(req, res)
+	if (!license) {
+		return
+	}
+	if (license.subscriptionType === "lifetime") {
+		return sendError(res, 409, "conflict", "Lifetime licenses don't expire")
+	}
+
+	const extended = await extendLicense(req.params.licenseKey, { unit, count }, reason, adminAudit(req))
+	if (!extended) {
+		return sendError(res, 404, "not_found", "License not found")
 	}
+	res.json({ data: toLicenseResource(req.params.licenseKey, extended) })
+})
 
-	const licenses = await loadLicenses()
+// Anything else under /api/v1 is a 404, and errors (such as a malformed JSON body) keep the API's error shape
+app.use("/api/v1", (req, res) => {
+	sendError(res, 404, "not_found", `No route for ${req.method} ${req.originalUrl}`)
+})
 
-	if (!licenses[licenseKey]) {
-		return res.status(404).json({ error: "License not found" })
+app.use("/api/v1", (error, req, res, next) => {
+	if (error.type === "entity.parse.failed") {
+		return sendError(res, 400, "invalid_json", "Request body is not valid JSON")
+	}
+	console.error("REST API error:", error)
+	sendError(res, error.status || 500, "internal_error", "Something went wrong")
+})
+
+// 19. License export and import - every field of the licenses matching the dashboard's filters, and files in
+// the same formats back in (to migrate from another system, or to grant many keys at once)
+asyncRoute("get", "/api/admin/export", requireAdmin, requireRole("viewer", "read"), async (req, res) => {
+	const format = req.query.format || "csv"
+	const { filters, details } = parseLicenseFilters(req.query)
+	if (!TRANSFER_FORMATS.includes(format)) {
+		details.format = `Must be one of: ${TRANSFER_FORMATS.join(", ")}`
+	}
+	if (Object.keys(details).length > 0) {
+		return res.status(400).json({ error: "Invalid export", details })
 	}
 
-	// Store license info before deletion for stats update and email
-	const wasActive = licenses[licenseKey].status === "active"
-	const licenseInfo = {
-		email: licenses[licenseKey].email,
-		extensionName: licenses[licenseKey].extensionName || "ReplyBolt",
-		subscriptionType: licenses[licenseKey].subscriptionType
+	const licenses = (await findLicenses(filters)).sort(([, a], [, b]) => new Date(a.createdAt) - new Date(b.createdAt))
+
+	res.setHeader("Content-Disposition", `attachment; filename="licenses_${new Date().toISOString().split("T")[0]}.${format}"`)
+	res.type(format === "csv" ? "text/csv" : format === "json" ? "application/json" : "application/x-ndjson")
+	await writeLicenseExport(res, licenses, format)
+})
+
+// Fields an import can set - subscriptionType and extensionName are worked out again from the plan and the registry,
+// and the license's timestamps (LICENSE_DATE_FIELDS) are kept as they are
+const IMPORT_FIELDS = [
+	"licenseKey",
+	"email",
+	"status",
+	"planId",
+	"subscriptionType",
+	"extensionId",
+	"extensionName",
+	"seats",
+	"manual",
+	"subscriptionId",
+	"paypalSubscriptionId",
+	"revocationReason",
+	"disputeId",
+	"cancelAtPeriodEnd",
+	"notes",
+	"devices",
+	"payments",
+	"statusHistory",
+	"remindersSent"
+]
+
+// Keys from other systems are kept, so customers don't need new ones
+const IMPORT_LICENSE_KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9-]{7,63}$/
+
+// Check imported licenses (see parseLicenseImport) - returns one { row, licenseKey, fields, license, errors } per record,
+// with errors naming each bad field (and license null); licenseKey is null for licenses that get a new key
+async function prepareLicenseImport(records) {
+	const plans = await loadPlans()
+	const extensions = await loadExtensions()
+	const existing = await licenseStore.list()
+	// Deleted licenses can be restored, so their keys stay taken
+	const takenKeys = new Set([...Object.keys(existing), ...(await listTrash()).map(entry => entry.licenseKey)])
+	const takenSubscriptions = new Set(
+		Object.values(existing)
+			.map(license => license.paypalSubscriptionId)
+			.filter(Boolean)
+	)
+
+	const rows = []
+	for (const { row, fields, error } of records) {
+		if (error) {
+			rows.push({ row, licenseKey: null, fields, license: null, errors: { row: error } })
+			continue
+		}
+
+		const errors = {}
+		const text = name => (typeof fields[name] === "string" && fields[name].trim() ? fields[name].trim() : null)
+		const isList = name => fields[name] === undefined || Array.isArray(fields[name])
+
+		for (const name of Object.keys(fields)) {
+			if (!IMPORT_FIELDS.includes(name) && !LICENSE_DATE_FIELDS.includes(name)) {
+				errors[name] = "Unknown field"
+			}
+		}
+
+		const licenseKey = text("licenseKey")
+		if (licenseKey && !IMPORT_LICENSE_KEY_PATTERN.test(licenseKey)) {
+			errors.licenseKey = "Must be 8 to 64 letters, digits and hyphens"
+		} else if (licenseKey && takenKeys.has(licenseKey)) {
+			errors.licenseKey = "A license with this key already exists (or is earlier in the file)"
+		}
+
+		const email = text("email")
+		if (!email || !/^[^\s@]+@[^\s@]+$/.test(email) || email.length > 254) {
+			errors.email = "Must be an email address"
+		}
+
+		const plan = text("planId")
+			? findPlan(plans, text("planId"))
+			: text("subscriptionType") && findPlanByType(plans, text("subscriptionType"))
+		if (!plan) {
+			errors.planId = text("planId") || text("subscriptionType") ? "Unknown plan" : "Required - or a subscriptionType from the plan catalog"
+		}
+		const requestedExtension = text("extensionId") ? findExtension(extensions, text("extensionId")) : null
+		let extension = null
+		if (text("extensionId") && !requestedExtension) {
+			errors.extensionId = "Unknown extension"
+		} else if (plan) {
+			const resolved = await resolveLicenseExtension(requestedExtension, plan)
+			if (resolved.error) {
+				errors[requestedExtension ? "planId" : "extensionId"] = resolved.error
+			}
+			extension = resolved.extension
+		}
+
+		const status = text("status") || "active"
+		if (!LICENSE_STATUSES.includes(status)) {
+			errors.status = `Must be one of: ${LICENSE_STATUSES.join(", ")}`
+		}
+
+		// Timestamps in ISO 8601; null leaves one out
+		const dates = {}
+		for (const name of Object.keys(fields).filter(name => LICENSE_DATE_FIELDS.includes(name))) {
+			const time = typeof fields[name] === "string" ? new Date(fields[name]) : null
+			if (fields[name] !== null && (!time || Number.isNaN(time.getTime()))) {
+				errors[name] = "Must be an ISO 8601 date"
+			} else if (time) {
+				dates[name] = time.toISOString()
+			}
+		}
+
+		if (fields.seats !== undefined && fields.seats !== null && (!Number.isInteger(fields.seats) || fields.seats < 1)) {
+			errors.seats = "Must be a positive integer"
+		}
+		for (const name of ["manual", "cancelAtPeriodEnd"]) {
+			if (fields[name] !== undefined && typeof fields[name] !== "boolean") {
+				errors[name] = "Must be true or false"
+			}
+		}
+		for (const name of ["subscriptionId", "paypalSubscriptionId", "revocationReason", "disputeId"]) {
+			if (fields[name] !== undefined && fields[name] !== null && typeof fields[name] !== "string") {
+				errors[name] = "Must be text"
+			}
+		}
+		if (fields.notes !== undefined && fields.notes !== null && (typeof fields.notes !== "string" || fields.notes.length > 2000)) {
+			errors.notes = "Must be text of up to 2000 characters"
+		}
+		const paypalSubscriptionId = text("paypalSubscriptionId")
+		if (paypalSubscriptionId && takenSubscriptions.has(paypalSubscriptionId)) {
+			errors.paypalSubscriptionId = "Another license already has this PayPal subscription"
+		}
+
+		if (!isList("devices") || (fields.devices || []).some(device => !device || !isValidDeviceId(device.deviceId))) {
+			errors.devices = "Must be a list of devices, each with a valid deviceId"
+		} else if (fields.devices && new Set(fields.devices.map(device => device.deviceId)).size < fields.devices.length) {
+			errors.devices = "Each device can only be listed once"
+		} else if (fields.devices && plan && !errors.seats && fields.devices.length > getSeatLimit({ seats: fields.seats }, plan)) {
+			errors.devices = `More devices than the license's ${getSeatLimit({ seats: fields.seats }, plan)} seat(s)`
+		}
+		for (const name of ["payments", "statusHistory"]) {
+			if (!isList(name) || (fields[name] || []).some(entry => !entry || typeof entry !== "object")) {
+				errors[name] = "Must be a list of objects"
+			}
+		}
+		if (fields.remindersSent !== undefined && (!fields.remindersSent || typeof fields.remindersSent !== "object")) {
+			errors.remindersSent = "Must be an object"
+		}
+
+		if (Object.keys(errors).length > 0) {
+			rows.push({ row, licenseKey, fields, license: null, errors })
+			continue
+		}
+
+		if (licenseKey) {
+			takenKeys.add(licenseKey)
+		}
+		if (paypalSubscriptionId) {
+			takenSubscriptions.add(paypalSubscriptionId)
+		}
+
+		const createdAt = dates.createdAt || new Date().toISOString()
+		const license = {
+			email: email,
+			subscriptionId: text("subscriptionId") || paypalSubscriptionId || "MANUAL-" + Date.now(),
+			subscriptionType: plan.subscriptionType,
+			planId: plan.planId,
+			status: status,
+			createdAt: createdAt,
+			expiresAt: dates.expiresAt || calculateExpiry(plan, new Date(createdAt)),
+			paypalSubscriptionId: paypalSubscriptionId,
+			manual: fields.manual === undefined ? !paypalSubscriptionId : fields.manual,
+			extensionName: extension.name,
+			extensionId: extension.extensionId,
+			seats: fields.seats || null,
+			devices: fields.devices || [],
+			...dates
+		}
+		for (const name of ["revocationReason", "disputeId", "cancelAtPeriodEnd", "notes", "payments", "statusHistory", "remindersSent"]) {
+			if (fields[name] !== undefined && fields[name] !== null) {
+				license[name] = fields[name]
+			}
+		}
+		rows.push({ row, licenseKey, fields, license, errors: null })
 	}
 
-	// Delete the license
-	delete licenses[licenseKey]
+	return rows
+}
+
+// Imports run one at a time, so two can't both claim the same keys
+let importRunning = false
 
-	await saveLicenses(licenses)
+// Import licenses from the request body (a file in ?format=csv, json or jsonl)
+// dryRun=true checks every license and changes nothing; otherwise nothing is imported unless every license is valid
+// sendEmails=true emails each new key to its customer, as for licenses created in the dashboard
+asyncRoute("post", "/api/admin/import", requireAdmin, requireRole("owner", "licenses:write"), async (req, res) => {
+	const format = req.query.format || "csv"
+	const dryRun = req.query.dryRun === "true"
+	const sendEmails = req.query.sendEmails === "true"
 
-	// Update stats
-	const stats = await loadStats()
-	stats.totalSales = Math.max(0, stats.totalSales - 1)
-	if (wasActive) {
-		stats.activeSubscriptions = Math.max(0, stats.activeSubscriptions - 1)
+	const { records, error } = parseLicenseImport(typeof req.body === "string" ? req.body : "", format)
+	if (error) {
+		return res.status(400).json({ error })
 	}
-	await saveStats(stats)
 
-	// Send deletion email (non-blocking)
+	if (importRunning) {
+		return res.status(409).json({ error: "Another import is running - try again when it has finished" })
+	}
+	importRunning = true
 	try {
-		const emailResult = await sendDeletionEmail(licenseInfo)
-		if (emailResult.sent) {
-			console.log(`Deletion email sent to ${licenseInfo.email}`)
+		await importLicenses(req, res, records, { format, dryRun, sendEmails })
+	} finally {
+		importRunning = false
+	}
+})
+
+async function importLicenses(req, res, records, { format, dryRun, sendEmails }) {
+	const rows = await prepareLicenseImport(records)
+	const invalid = rows.filter(row => row.errors).length
+	// Invalid licenses show what the file says
+	const summary = row => {
+		const values = row.license || row.fields
+		return {
+			row: row.row,
+			licenseKey: row.licenseKey,
+			email: values.email || null,
+			planId: values.planId || null,
+			extensionId: values.extensionId || null,
+			status: values.status || null,
+			expiresAt: values.expiresAt || null,
+			errors: row.errors
 		}
-	} catch (error) {
-		console.error("Error sending deletion email:", error)
-		// Continue without failing
 	}
 
-	console.log(`License deleted: ${licenseKey}`)
+	if (dryRun || invalid > 0) {
+		return res.status(dryRun ? 200 : 400).json({
+			...(dryRun ? {} : { error: "Some licenses are invalid - nothing was imported" }),
+			dryRun,
+			total: rows.length,
+			valid: rows.length - invalid,
+			invalid,
+			imported: 0,
+			results: rows.map(summary)
+		})
+	}
 
-	res.json({
-		success: true,
-		message: "License deleted successfully"
+	// Keys and subscriptions are checked again as each license is written - a webhook or an admin may have taken
+	// one since the file was checked. A license that can't be written is reported and the rest still go in
+	const results = []
+	for (const row of rows) {
+		const licenseKey = row.licenseKey || generateLicenseKey()
+		let conflict = null
+		try {
+			if ((await licenseStore.get(licenseKey)) || (await getTrashed(licenseKey))) {
+				conflict = { licenseKey: "A license with this key was created during the import" }
+			} else if (row.license.paypalSubscriptionId && (await licenseStore.findBySubscriptionId(row.license.paypalSubscriptionId))) {
+				conflict = { paypalSubscriptionId: "A license for this PayPal subscription was created during the import" }
+			} else {
+				await saveLicense(licenseKey, row.license, {
+					...adminAudit(req),
+					action: "license.import",
+					reason: `Imported from a ${format} file`
+				})
+			}
+		} catch (error) {
+			console.error(`Error importing row ${row.row}:`, error)
+			conflict = { row: "Could not be saved" }
+		}
+		if (conflict) {
+			results.push({ ...summary({ ...row, errors: conflict }), imported: false })
+			continue
+		}
+
+		let emailSent = false
+		if (sendEmails) {
+			try {
+				emailSent = (await sendLicenseKeyEmail(licenseKey, row.license)).sent
+			} catch (error) {
+				console.error(`Error sending license email for imported ${licenseKey}:`, error)
+			}
+		}
+		results.push({ ...summary({ ...row, licenseKey }), imported: true, emailSent })
+	}
+
+	const imported = results.filter(result => result.imported).length
+	const failed = results.length - imported
+	console.log(`Imported ${imported} license(s) from a ${format} file (by ${req.admin.username})${failed ? `, ${failed} failed` : ""}`)
+
+	res.status(failed ? 409 : 200).json({
+		...(failed ? { error: `${failed} license(s) could not be imported - the other ${imported} were` } : {}),
+		dryRun,
+		total: rows.length,
+		valid: rows.length - failed,
+		invalid: failed,
+		imported,
+		failed,
+		results
 	})
+}
+
+// Import files over the size limit still get a JSON answer
+app.use("/api/admin/import", (error, req, res, next) => {
+	if (error.type === "entity.too.large") {
+		return res.status(413).json({ error: "The file is too large - split it into parts of up to 10 MB" })
+	}
+	next(error)
+})
+
+// Errors in the dashboard and the admin API (see asyncRoute) - JSON for the API, plain text for pages
+app.use(["/admin", "/api/admin"], (error, req, res, next) => {
+	if (res.headersSent) {
+		return next(error)
+	}
+	const status = error.type === "entity.parse.failed" ? 400 : 500
+	const message = status === 400 ? "Request body is not valid JSON" : "Something went wrong"
+	if (status === 500) {
+		console.error("Admin error:", error)
+	}
+	if (req.originalUrl.startsWith("/api/")) {
+		return res.status(status).json({ error: message })
+	}
+	res.status(status).type("text").send(message)
 })
 
-// 7. Health check
+// 20. Health check
 app.get("/health", (req, res) => {
 	res.json({
 		status: "ok",
 		timestamp: new Date().toISOString(),
 		uptime: process.uptime(),
+		storage: licenseStore.driver,
 		emailConfigured: isEmailConfigured()
 	})
 })
 
-// Start server
-app.listen(PORT, () => {
-	console.log(`
+// Give licenses from before the extension registry their extension ID, then create the registry
+// from the plan catalog and the licenses if it doesn't exist yet
+async function ensureExtensionRegistry() {
+	const licenses = await licenseStore.list()
+	for (const [licenseKey, license] of Object.entries(licenses)) {
+		if (!license.extensionId) {
+			license.extensionId = getLicenseExtensionId(license)
+			await saveLicense(licenseKey, license, {
+				actorType: "system",
+				actor: "extension-registry",
+				action: "license.update",
+				reason: "Extension ID derived from the extension name"
+			})
+		}
+	}
+
+	if (await ensureExtensionsFile({ plans: await loadPlans(), licenses: Object.values(licenses) })) {
+		console.log("Extension registry created from the plan catalog and existing licenses")
+	}
+}
+
+// Start server once the data directory and license store are ready
+async function startServer() {
+	await ensureDataDir()
+	await licenseStore.init()
+	await ensureAdminUsers()
+	await ensureExtensionRegistry()
+
+	// Start scheduled jobs
+	scheduleJob("expiry-sweep", SWEEP_INTERVAL_MINUTES * 60 * 1000, sweepLicenses)
+	scheduleJob("trash-purge", 60 * 60 * 1000, purgeTrash)
+	scheduleJob("webhook-event-purge", 60 * 60 * 1000, purgeWebhookEvents)
+	if (BACKUP_INTERVAL_HOURS > 0) {
+		scheduleJob("backup", BACKUP_INTERVAL_HOURS * 60 * 60 * 1000, () => createBackup({ store: licenseStore }), {
+			initialDelayMs: 60 * 1000
+		})
+	}
+
+	app.listen(PORT, () => {
+		console.log(`
     ====================================
     🚀 ReplyBolt License Server Started!
     ====================================
@@ -1051,19 +6490,47 @@ app.listen(PORT, () => {
     Endpoints:
     - POST /webhook/paypal        - PayPal webhooks
     - POST /api/verify            - Verify license
+    - POST /api/activate          - Activate a device
+    - POST /api/deactivate        - Deactivate a device
+    - GET  /api/public-keys       - License token public keys
     - GET  /admin                 - Admin dashboard
+    - GET  /admin/login           - Admin sign-in
+    - GET  /admin/licenses/:key   - License details and timeline
     - POST /api/admin/create-license  - Create license
     - POST /api/admin/revoke-license  - Revoke license
-    - POST /api/admin/delete-license  - Delete license
+    - POST /api/admin/delete-license  - Move license to the trash
+    - GET  /api/admin/trash           - Deleted licenses
+    - POST /api/admin/extend-license  - Extend license
+    - POST /api/admin/change-plan     - Change a license's plan
+    - GET  /api/admin/webhook-events  - Webhook event ledger
+    - GET  /api/admin/plans           - Plan catalog
+    - GET  /api/admin/extensions      - Extension registry
+    - GET  /api/admin/stats           - Revenue and license stats
+    - GET  /api/admin/jobs            - Scheduled job runs
+    - GET  /api/admin/backups         - Data backups
+    - GET  /api/admin/rate-limits     - Rate limits and blocked IPs
+    - GET  /api/admin/users           - Admin users
+    - GET  /api/admin/audit-log       - Audit log of license changes
+    - GET  /api/admin/export          - Export licenses (CSV, JSON, JSONL)
+    - POST /api/admin/import          - Import licenses
+    - POST /api/admin/bulk            - Bulk license actions
+    - GET  /api/admin/api-keys        - API keys
+    - GET  /api/v1/licenses           - REST API (see /api/v1/openapi.json)
     - GET  /health                - Health check
     
     Admin Dashboard:
     - URL: http://localhost:${PORT}/admin
-    - Username: admin
-    - Password: ${process.env.ADMIN_PASSWORD || "changeme"}
+    - Sign in with an admin user (the first one comes from ADMIN_USERNAME / ADMIN_PASSWORD)
     
+    Storage: ${licenseStore.driver}
     Email Service: ${isEmailConfigured() ? "Configured ✓" : "Not Configured ✗"}
     
     ====================================
     `)
+	})
+}
+
+startServer().catch(error => {
+	console.error("Error starting server:", error)
+	process.exit(1)
 })
@@ -0,0 +1,39 @@
+// storage/index.js - Pluggable license storage for ReplyBolt License Server
+//
+// Every driver has the same async interface:
+//   init()                          - open the store (create files, tables, run migrations)
+//   get(licenseKey)                 - license or null
+//   list()                          - all licenses, keyed by license key
+//   findBySubscriptionId(id)        - [licenseKey, license] for a PayPal subscription ID, or null
+//   findBySaleId(saleId)            - [licenseKey, license] with a payment for that sale, or null
+//   findByEmail(email)              - [licenseKey, license] entries for an email (case-insensitive)
+//   save(licenseKey, license)       - create or replace one license
+//   update(licenseKey, change)      - call change(license) on the stored license and save it in one step, so no other
+//                                     write lands in between; change must be synchronous and can return false to leave
+//                                     the license as it was. Returns the saved license, or null if none was saved
+//   remove(licenseKey)              - delete one license, returning false if it didn't exist
+//   backup(dir) / restore(dir)      - copy data kept outside the JSON data files to/from a backup directory,
+//                                     returning the file names
+//   close()
+const { createJsonDriver } = require("./jsonDriver")
+const { createSqliteDriver } = require("./sqliteDriver")
+
+const DRIVERS = {
+	json: createJsonDriver,
+	sqlite: createSqliteDriver
+}
+
+// Create the store named by STORAGE_DRIVER (defaults to the JSON file)
+const createLicenseStore = (driver = process.env.STORAGE_DRIVER || "json") => {
+	const createDriver = DRIVERS[driver]
+	if (!createDriver) {
+		throw new Error(`Unknown STORAGE_DRIVER "${driver}" - use one of: ${Object.keys(DRIVERS).join(", ")}`)
+	}
+	return { driver, ...createDriver() }
+}
+
+// Export functions
+module.exports = {
+	DRIVERS,
+	createLicenseStore
+}
@@ -0,0 +1,82 @@
+// storage/jsonDriver.js - License storage in a single JSON file (data/licenses.json)
+const fs = require("fs").promises
+const { readJsonFile, writeJsonFile, updateJsonFile } = require("../jsonFile")
+
+const LICENSES_FILE = "./data/licenses.json"
+
+const createJsonDriver = ({ file = LICENSES_FILE } = {}) => {
+	// A missing file is an empty store; a corrupt one is an error, so a save can't overwrite it with {}
+	const readAll = () => readJsonFile(file, {})
+
+	// Only the file's own keys are licenses - "constructor" or "__proto__" must not find Object.prototype members
+	const hasLicense = (licenses, licenseKey) => Object.prototype.hasOwnProperty.call(licenses, licenseKey)
+
+	// [licenseKey, license] entries matching a predicate
+	const findEntries = async predicate => Object.entries(await readAll()).filter(([, license]) => predicate(license))
+
+	return {
+		init: async () => {
+			try {
+				await fs.access(file)
+			} catch {
+				await writeJsonFile(file, {})
+			}
+		},
+
+		get: async licenseKey => {
+			const licenses = await readAll()
+			return hasLicense(licenses, licenseKey) ? licenses[licenseKey] : null
+		},
+
+		list: readAll,
+
+		findBySubscriptionId: async subscriptionId =>
+			(await findEntries(license => license.paypalSubscriptionId === subscriptionId))[0] || null,
+
+		findBySaleId: async saleId =>
+			(await findEntries(license => (license.payments || []).some(payment => payment.saleId === saleId)))[0] || null,
+
+		findByEmail: async email => findEntries(license => (license.email || "").toLowerCase() === email.toLowerCase()),
+
+		// Writes are queued per file, so concurrent saves of different licenses all land
+		save: async (licenseKey, license) => {
+			await updateJsonFile(file, licenses => {
+				licenses[licenseKey] = license
+			})
+		},
+
+		update: async (licenseKey, change) => {
+			let updated = null
+			await updateJsonFile(file, licenses => {
+				if (hasLicense(licenses, licenseKey) && change(licenses[licenseKey]) !== false) {
+					updated = licenses[licenseKey]
+				}
+			})
+			return updated
+		},
+
+		remove: async licenseKey => {
+			let removed = false
+			await updateJsonFile(file, licenses => {
+				removed = hasLicense(licenses, licenseKey)
+				if (removed) {
+					delete licenses[licenseKey]
+				}
+			})
+			return removed
+		},
+
+		// licenses.json is backed up and restored with the rest of the data directory
+		backup: async () => [],
+
+		restore: async () => [],
+
+		close: async () => {}
+	}
+}
+
+// Export functions
+module.exports = {
+	LICENSES_FILE,
+	createJsonDriver
+}
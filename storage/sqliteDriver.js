@@ -0,0 +1,191 @@
+// storage/sqliteDriver.js - License storage in an embedded SQLite database
+const fs = require("fs").promises
+const { copyFileSync, existsSync, rmSync } = require("fs")
+const path = require("path")
+const { LICENSES_FILE } = require("./jsonDriver")
+
+const SQLITE_FILE = "./data/licenses.db"
+
+// The license record is stored whole as JSON; the columns next to it are what we look licenses up by
+const SCHEMA = `
+	CREATE TABLE IF NOT EXISTS licenses (
+		license_key TEXT PRIMARY KEY,
+		email TEXT,
+		paypal_subscription_id TEXT,
+		status TEXT,
+		data TEXT NOT NULL
+	);
+	CREATE INDEX IF NOT EXISTS licenses_email ON licenses (email COLLATE NOCASE);
+	CREATE INDEX IF NOT EXISTS licenses_paypal_subscription_id ON licenses (paypal_subscription_id);
+
+	CREATE TABLE IF NOT EXISTS license_sales (
+		sale_id TEXT NOT NULL,
+		license_key TEXT NOT NULL REFERENCES licenses (license_key) ON DELETE CASCADE,
+		PRIMARY KEY (sale_id, license_key)
+	);
+	CREATE INDEX IF NOT EXISTS license_sales_license_key ON license_sales (license_key);
+
+	CREATE TABLE IF NOT EXISTS meta (
+		key TEXT PRIMARY KEY,
+		value TEXT
+	);
+`
+
+const createSqliteDriver = ({ file = process.env.SQLITE_PATH || SQLITE_FILE, legacyFile = LICENSES_FILE } = {}) => {
+	// better-sqlite3 is an optional dependency - only installs that use this driver need it
+	let Database
+	try {
+		Database = require("better-sqlite3")
+	} catch {
+		throw new Error('The sqlite storage driver needs the better-sqlite3 package - run "npm install better-sqlite3"')
+	}
+
+	let db = null
+	let statements = null
+
+	const toEntry = row => (row ? [row.license_key, JSON.parse(row.data)] : null)
+
+	const writeLicense = (licenseKey, license) => {
+		statements.upsert.run({
+			licenseKey,
+			email: license.email || null,
+			paypalSubscriptionId: license.paypalSubscriptionId || null,
+			status: license.status || null,
+			data: JSON.stringify(license)
+		})
+		statements.deleteSales.run(licenseKey)
+		const saleIds = new Set((license.payments || []).map(payment => payment.saleId).filter(Boolean))
+		saleIds.forEach(saleId => statements.insertSale.run(saleId, licenseKey))
+	}
+
+	// One-shot import of an existing licenses.json - runs the first time the database is opened
+	const migrateFromJson = async () => {
+		if (statements.getMeta.get("json_migrated_at")) {
+			return
+		}
+
+		let licenses = {}
+		try {
+			licenses = JSON.parse(await fs.readFile(legacyFile, "utf8"))
+		} catch (error) {
+			if (error.code !== "ENOENT") {
+				throw new Error(`Could not migrate ${legacyFile}: ${error.message}`)
+			}
+		}
+
+		const count = Object.keys(licenses).length
+		db.transaction(() => {
+			Object.entries(licenses).forEach(([licenseKey, license]) => writeLicense(licenseKey, license))
+			statements.setMeta.run("json_migrated_at", new Date().toISOString())
+			statements.setMeta.run("json_migrated_count", String(count))
+		})()
+
+		if (count > 0) {
+			console.log(`Migrated ${count} license(s) from ${legacyFile} to ${file} - the JSON file is no longer used`)
+		}
+	}
+
+	const open = () => {
+		db = new Database(file)
+		db.pragma("journal_mode = WAL")
+		db.pragma("foreign_keys = ON")
+		db.exec(SCHEMA)
+
+		statements = {
+			get: db.prepare("SELECT license_key, data FROM licenses WHERE license_key = ?"),
+			list: db.prepare("SELECT license_key, data FROM licenses ORDER BY rowid"),
+			bySubscription: db.prepare("SELECT license_key, data FROM licenses WHERE paypal_subscription_id = ? LIMIT 1"),
+			bySale: db.prepare(
+				"SELECT licenses.license_key, licenses.data FROM license_sales JOIN licenses USING (license_key) WHERE sale_id = ? LIMIT 1"
+			),
+			byEmail: db.prepare("SELECT license_key, data FROM licenses WHERE email = ? COLLATE NOCASE ORDER BY rowid"),
+			upsert: db.prepare(`
+					INSERT INTO licenses (license_key, email, paypal_subscription_id, status, data)
+					VALUES (@licenseKey, @email, @paypalSubscriptionId, @status, @data)
+					ON CONFLICT (license_key) DO UPDATE SET
+						email = excluded.email,
+						paypal_subscription_id = excluded.paypal_subscription_id,
+						status = excluded.status,
+						data = excluded.data
+				`),
+			remove: db.prepare("DELETE FROM licenses WHERE license_key = ?"),
+			deleteSales: db.prepare("DELETE FROM license_sales WHERE license_key = ?"),
+			insertSale: db.prepare("INSERT OR IGNORE INTO license_sales (sale_id, license_key) VALUES (?, ?)"),
+			getMeta: db.prepare("SELECT value FROM meta WHERE key = ?"),
+			setMeta: db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value")
+		}
+	}
+
+	return {
+		init: async () => {
+			open()
+			await migrateFromJson()
+		},
+
+		get: async licenseKey => {
+			const entry = toEntry(statements.get.get(licenseKey))
+			return entry ? entry[1] : null
+		},
+
+		list: async () => Object.fromEntries(statements.list.all().map(toEntry)),
+
+		findBySubscriptionId: async subscriptionId => toEntry(statements.bySubscription.get(subscriptionId)),
+
+		findBySaleId: async saleId => toEntry(statements.bySale.get(saleId)),
+
+		findByEmail: async email => statements.byEmail.all(email).map(toEntry),
+
+		// The license row and its sale index change together or not at all
+		save: async (licenseKey, license) => {
+			db.transaction(() => writeLicense(licenseKey, license))()
+		},
+
+		// Read and written in one transaction - better-sqlite3 is synchronous, so nothing else runs in between
+		update: async (licenseKey, change) =>
+			db.transaction(() => {
+				const entry = toEntry(statements.get.get(licenseKey))
+				if (!entry || change(entry[1]) === false) {
+					return null
+				}
+				writeLicense(licenseKey, entry[1])
+				return entry[1]
+			})(),
+
+		remove: async licenseKey => statements.remove.run(licenseKey).changes > 0,
+
+		// Online backup - safe while the database is in use
+		backup: async backupPath => {
+			const name = path.basename(file)
+			await db.backup(path.join(backupPath, name))
+			return [name]
+		},
+
+		// Swap the database file synchronously, so no query runs against a half-replaced database
+		restore: async backupPath => {
+			const name = path.basename(file)
+			const source = path.join(backupPath, name)
+			if (!existsSync(source)) {
+				return []
+			}
+			db.close()
+			copyFileSync(source, file)
+			rmSync(`${file}-wal`, { force: true })
+			rmSync(`${file}-shm`, { force: true })
+			open()
+			return [name]
+		},
+
+		close: async () => {
+			if (db) {
+				db.close()
+				db = null
+			}
+		}
+	}
+}
+
+// Export functions
+module.exports = {
+	SQLITE_FILE,
+	createSqliteDriver
+}